@@ -3,11 +3,15 @@
 import { spawn, execSync } from 'child_process';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
-import { existsSync, mkdirSync } from 'fs';
+import { existsSync, mkdirSync, writeFileSync } from 'fs';
+import { CONFIG_DIR, CONFIG_FILE, formatDuration, loadConfig, legacyUrls, primaryHttpHost } from './lib/config.js';
+import { formatCoverage } from './lib/endpoint-coverage.js';
+import { describeLocalSource } from './lib/local-sources.js';
+import { startMockServer } from './lib/mock-server.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const homeDir = process.env.HOME;
-const configDir = join(homeDir, '.config', 'jdss-rest-doc-mcp');
+const configDir = CONFIG_DIR;
 
 function ensureConfigDir() {
     if (!existsSync(configDir)) {
@@ -22,17 +26,74 @@ JDSS REST API Documentation MCP - Global CLI
 Usage: jdss-rest-doc <command> [options]
 
 Commands:
-  start [--port PORT]     Start the MCP server
+  start                   Start the MCP server (stdio)
+        [--port PORT]     Serve MCP over HTTP/SSE on PORT instead (GET /sse, GET /health)
+        [--bind ADDR]     Address to listen on (default: 127.0.0.1)
+        [--token TOKEN]   Require 'Authorization: Bearer TOKEN' (or set JDSS_DOC_TOKEN)
   test                    Test documentation access
   explore                 Analyze documentation and generate reports
+  export-openapi          Export a release as an OpenAPI 3.1 specification
+        [--release KEY]   Release: latest, trunk, discovered key (e.g. jeffersonville_v4)
+                          or a local ZIP / unpacked directory
+        [--api-version V] API version: v3 or v4 (default: v4)
+        [--format FMT]    yaml or json (default: yaml)
+        [--output FILE]   Write to FILE instead of stdout
+  generate-client         Generate a typed TypeScript client for a release
+        [--release KEY]   Release, as for export-openapi (default: latest)
+        [--api-version V] API version: v3 or v4 (default: v4)
+        [--output DIR]    Output directory (default: ./jdss-client)
+        [--class NAME]    Client class name (default: JovianDSSClient)
+  mock                    Serve a mock JovianDSS REST API built from the documentation
+        [--release KEY]   Release, as for export-openapi (default: latest)
+        [--api-version V] API version: v3 or v4 (default: v4)
+        [--port PORT]     Port to listen on (default: 8080)
+        [--bind ADDR]     Address to listen on (default: 127.0.0.1)
+        [--stateless]     Always answer with the documented examples (no in-memory
+                          pools, volumes and snapshots)
+  watch                   Poll the documentation and report changed endpoints
+        [--release KEYS]  Comma-separated releases or keys (default: all discovered)
+        [--watch-interval DURATION]  Poll interval, e.g. 30m or 1h (default: 1h)
+        [--once]          Check once and exit (baseline on the first run)
+        [--json]          Print change events as JSON lines
+  coverage [DIR]          Report which documented endpoints the code in DIR (default: .)
+                          uses, which it does not, and its undocumented or removed calls
+        [--release KEY]   Release the calls are checked against (default: latest)
+        [--api-version V] Only calls to v3 or v4 (default: every version found)
+        [--exclude NAMES] Comma-separated file or directory names to skip
+        [--json]          Print the report as JSON
+        [--strict]        Exit with status 1 when a call is undocumented or removed
+  releases                List documentation releases, newest first, and what 'latest' is
+        [--api-version V] Only releases providing v3 or v4
+        [--inspect]       Load every release ZIP for build dates and endpoint counts
   demo                    Show usage examples
   config                  Show configuration information
   help                    Show this help message
 
+Global options (override config file and environment):
+  --host URL|DIR          Documentation host; repeat for failover order
+  --source ZIP|DIR        Local documentation ZIP or unpacked directory; repeatable
+  --config FILE           Configuration file (default: ${CONFIG_FILE})
+  --cache-dir DIR         Documentation cache directory
+  --legacy-release NAME   Release used for legacy fallback URLs
+  --default-release NAME  Release 'latest' resolves to (default: newest discovered)
+  --offline               Serve only cached documentation (no network)
+  --watch                 Start the change watcher in the MCP server (see watch)
+  --appliance-url URL     Appliance for live read-only calls (call_jdss_api tool)
+  --render-scripts        Run page scripts in a restricted process when a page has
+                          no static content (default: never run page scripts)
+
 Examples:
   jdss-rest-doc start         # Start MCP server
+  jdss-rest-doc start --port 8765 --bind 0.0.0.0   # Share one server with the team
   jdss-rest-doc test          # Test connectivity
   jdss-rest-doc explore       # Download and analyze docs
+  jdss-rest-doc export-openapi --release jeffersonville_v4 --output jdss.yaml
+  jdss-rest-doc export-openapi --release ./ticket-4711/docs.zip
+  jdss-rest-doc generate-client --release trunk --output src/jdss
+  jdss-rest-doc mock --release jeffersonville --port 8080   # Appliance stand-in for CI
+  jdss-rest-doc watch --release trunk --watch-interval 30m   # Nightly trunk changes
+  jdss-rest-doc coverage ./src --release trunk   # Calls that break in the next release
+  jdss-rest-doc releases --inspect   # Release order, build dates, endpoint counts
   jdss-rest-doc config        # Show config paths
 
 Global Installation:
@@ -42,19 +103,39 @@ Global Installation:
     `);
 }
 
-function showConfig() {
+function showConfig(args) {
+    const config = loadConfig({ argv: args });
+    const primary = primaryHttpHost(config);
+    const legacy = primary ? legacyUrls(primary.url, config.legacyRelease) : null;
+    const hosts = config.hosts
+        .map(host => `  ${host.priority}. ${host.name.padEnd(16)} ${host.type === 'http' ? host.url : host.path}`)
+        .join('\n');
+    const sources = config.sources.map(source => `  ${source}`).join('\n') || '  (none)';
+    
     console.log(`
 JDSS REST API Documentation MCP - Configuration
 
 Installation directory: ${__dirname}
 Configuration directory: ${configDir}
-Binary location: ${homeDir}/.local/bin/jdss-rest-doc
+Configuration file:      ${config.configFile || `${CONFIG_FILE} (not present)`}
+Documentation cache:     ${config.cacheDir}
+Offline mode:            ${config.offline ? 'yes' : 'no'}
+Change watcher:          ${config.watch ? 'on in the server' : 'off in the server'}, every ${formatDuration(config.watchInterval)}, log: ${config.watchLog}
+Latest release:          ${config.defaultRelease ? `${config.defaultRelease} (pinned)` : 'newest discovered'}${config.releaseOrder.length > 0 ? `, order: ${config.releaseOrder.join(', ')}` : ''}
+Live API bridge:         ${config.applianceUrl ? `${config.applianceUrl}${config.applianceUser ? ` as ${config.applianceUser}` : ''}, allowed: GET, HEAD${config.applianceAllowMethods.map(entry => `, ${entry}`).join('')}, audit log: ${config.applianceAuditLog}` : 'off (no applianceUrl)'}
+Page scripts:            ${config.renderScripts ? `sandboxed fallback (${config.scriptTimeout} ms, ${config.scriptMemoryMb} MB)` : 'never run'}
 
-Documentation URLs:
-  Latest: http://dh.lan:777/docs/EDSS/JEFFERSONVILLE/documentation/v4/
-  Trunk:  http://dh.lan:777/docs/EDSS/trunk/documentation/v4/
-  ZIP:    http://dh.lan:777/docs/EDSS/JEFFERSONVILLE/documentation/v4/get_doc.php?t=zip
+Documentation hosts (in priority order):
+${hosts}
 
+Local documentation sources:
+${sources}
+${legacy ? `
+Legacy fallback URLs:
+  Latest: ${legacy.latest}
+  Trunk:  ${legacy.trunk}
+  ZIP:    ${legacy.latestZip}
+` : ''}
 MCP Configuration for Claude Desktop:
 {
   "mcpServers": {
@@ -67,63 +148,295 @@ MCP Configuration for Claude Desktop:
     `);
 }
 
-async function testDocs() {
+async function testDocs(args) {
     console.log("Testing EDSS Documentation Access...");
     console.log("====================================");
     
-    const urls = [
-        "http://dh.lan:777/docs/EDSS/JEFFERSONVILLE/documentation/v4/",
-        "http://dh.lan:777/docs/EDSS/trunk/documentation/v4/",
-        "http://dh.lan:777/docs/EDSS/JEFFERSONVILLE/documentation/v4/get_doc.php?t=zip"
-    ];
+    const config = loadConfig({ argv: args });
+    
+    for (const host of config.hosts) {
+        if (host.type === 'directory') {
+            console.log(`${host.path}: ${existsSync(host.path) ? "✅ Local directory" : "❌ Not found"}`);
+            continue;
+        }
+        
+        const legacy = legacyUrls(host.url, config.legacyRelease);
+        const urls = [host.url, legacy.latest, legacy.trunk, legacy.latestZip];
+        
+        for (const url of urls) {
+            try {
+                const response = await fetch(url, { method: 'HEAD', signal: AbortSignal.timeout(config.requestTimeout) });
+                const status = response.status;
+                const statusText = status === 200 ? "✅ Accessible" : 
+                                  status === 404 ? "❌ Not found" : 
+                                  "⚠️ Check network/server";
+                console.log(`${url}: ${status} ${statusText}`);
+            } catch (error) {
+                console.log(`${url}: ❌ Error - ${error.message}`);
+            }
+        }
+    }
     
-    for (const url of urls) {
+    for (const source of config.sources) {
         try {
-            const response = await fetch(url, { method: 'HEAD' });
-            const status = response.status;
-            const statusText = status === 200 ? "✅ Accessible" : 
-                              status === 404 ? "❌ Not found" : 
-                              "⚠️ Check network/server";
-            console.log(`${url}: ${status} ${statusText}`);
+            const link = await describeLocalSource(source);
+            console.log(`${source}: ✅ ${link.release} ${link.apiVersion}`);
         } catch (error) {
-            console.log(`${url}: ❌ Error - ${error.message}`);
+            console.log(`${source}: ❌ ${error.message}`);
         }
     }
 }
 
-async function exploreDocs() {
+async function exploreDocs(args) {
     ensureConfigDir();
     console.log("Exploring EDSS Documentation...");
     console.log(`Results will be saved to: ${configDir}`);
     
     const explorerPath = join(__dirname, 'edss-doc-explorer.js');
-    const child = spawn('node', [explorerPath, 'all'], {
+    const child = spawn('node', [explorerPath, 'all', ...args], {
         cwd: configDir,
         stdio: 'inherit'
     });
     
-    child.on('close', (code) => {
-        if (code === 0) {
-            console.log(`\nGenerated files in: ${configDir}`);
-        }
+    const code = await new Promise((resolve, reject) => {
+        child.on('error', reject);
+        child.on('close', resolve);
     });
+    if (code === 0) {
+        console.log(`\nGenerated files in: ${configDir}`);
+    } else {
+        process.exitCode = code || 1;
+    }
+}
+
+function optionValue(args, name, fallback = null) {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+/**
+ * Print a command failure with the URL attempted and the hints of a typed error
+ */
+function reportFailure(prefix, error) {
+    console.error(`${prefix}: ${error.message}`);
+    if (error.url) {
+        console.error(`URL: ${error.url}`);
+    }
+    for (const hint of error.hints || []) {
+        console.error(`Hint: ${hint}`);
+    }
+    process.exitCode = 1;
+}
+
+async function createServer(args) {
+    const { EDSSDocumentationMCPServer } = await import('./index.js');
+    return new EDSSDocumentationMCPServer(loadConfig({ argv: args }));
+}
+
+async function exportOpenAPI(args) {
+    const release = optionValue(args, '--release', 'latest');
+    const apiVersion = optionValue(args, '--api-version', 'v4');
+    const output = optionValue(args, '--output');
+    const format = optionValue(args, '--format', output && output.endsWith('.json') ? 'json' : 'yaml');
+    
+    try {
+        const server = await createServer(args);
+        const { model, text } = await server.buildOpenAPISpecification(release, apiVersion, format);
+        const notice = server.staleNotice(model.freshness);
+        if (notice) {
+            console.error(notice);
+        }
+        
+        if (output) {
+            writeFileSync(output, text);
+            console.error(`Wrote OpenAPI specification for ${model.release} ${model.apiVersion} ` +
+                `(${model.operations.length} operations) to: ${output}`);
+        } else {
+            process.stdout.write(text);
+        }
+    } catch (error) {
+        reportFailure('Export failed', error);
+    }
+}
+
+async function generateClient(args) {
+    const release = optionValue(args, '--release', 'latest');
+    const apiVersion = optionValue(args, '--api-version', 'v4');
+    const outputDir = optionValue(args, '--output', 'jdss-client');
+    const className = optionValue(args, '--class');
+    
+    try {
+        const server = await createServer(args);
+        const { model, result } = await server.buildTypeScriptClient(release, apiVersion, { outputDir, className });
+        const notice = server.staleNotice(model.freshness);
+        if (notice) {
+            console.error(notice);
+        }
+        
+        console.log(`Generated TypeScript client for ${model.release} ${model.apiVersion} ` +
+            `(${model.operations.length} operations) in: ${outputDir}`);
+        result.written.forEach(path => console.log(`  updated    ${path}`));
+        result.unchanged.forEach(path => console.log(`  unchanged  ${path}`));
+    } catch (error) {
+        reportFailure('Client generation failed', error);
+    }
+}
+
+async function startMock(args) {
+    const release = optionValue(args, '--release', 'latest');
+    const apiVersion = optionValue(args, '--api-version', 'v4');
+    const port = Number(optionValue(args, '--port', 8080));
+    const bind = optionValue(args, '--bind', '127.0.0.1');
+    
+    try {
+        const server = await createServer(args);
+        const { model, appliance } = await server.buildMockAppliance(release, apiVersion, {
+            stateful: !args.includes('--stateless')
+        });
+        const notice = server.staleNotice(model.freshness);
+        if (notice) {
+            console.error(notice);
+        }
+        
+        const httpServer = await startMockServer(appliance, { port, host: bind });
+        const address = httpServer.address();
+        console.error(`Mock JovianDSS ${model.release} ${model.apiVersion} (${model.operations.length} operations, ` +
+            `${appliance.stateful ? 'stateful' : 'stateless'}) listening on http://${address.address}:${address.port}`);
+        console.error('Use Ctrl+C to stop');
+    } catch (error) {
+        reportFailure('Mock server failed', error);
+    }
 }
 
-function startServer(port) {
-    const args = [join(__dirname, 'index.js')];
-    if (port) {
-        args.push('--port', port);
+function printChangeEvent(event, json) {
+    if (json) {
+        console.log(JSON.stringify(event));
+        return;
+    }
+    const { added, removed, changed, breaking } = event.summary;
+    console.log(`[${event.detectedAt}] ${event.release} ${event.apiVersion} changed: ` +
+        `${added} added, ${removed} removed, ${changed} changed (${breaking} breaking)`);
+    for (const id of event.operations.added) {
+        console.log(`  + ${id}`);
     }
+    for (const id of event.operations.removed) {
+        console.log(`  - ${id}`);
+    }
+    for (const change of event.changes.filter(item => !item.type.startsWith('operation-'))) {
+        console.log(`  ${change.breaking ? '!' : '~'} ${change.operation}: ${change.message}`);
+    }
+}
+
+async function watchDocs(args) {
+    const json = args.includes('--json');
+    const releases = optionValue(args, '--release');
+    
+    try {
+        const server = await createServer(args);
+        const watcher = server.createWatcher({
+            releases: releases ? releases.split(',').map(release => release.trim()) : server.config.watchReleases,
+            onChange: event => printChangeEvent(event, json)
+        });
+        
+        const check = async () => {
+            try {
+                await watcher.check();
+                watcher.lastCheck.errors.forEach(error => console.error(`⚠️ ${error}`));
+                if (!json) {
+                    console.error(`Checked at ${watcher.lastCheck.checkedAt}: ${watcher.lastCheck.events} change event(s)`);
+                }
+            } catch (error) {
+                reportFailure('Watch failed', error);
+            }
+        };
+        
+        if (args.includes('--once')) {
+            await check();
+            return;
+        }
+        
+        console.error(`Watching ${releases || 'all discovered releases'} every ${formatDuration(watcher.interval)}; ` +
+            `events are logged to ${server.config.watchLog}`);
+        console.error('Use Ctrl+C to stop');
+        await check();
+        setInterval(check, watcher.interval);
+    } catch (error) {
+        reportFailure('Watch failed', error);
+    }
+}
+
+async function reportCoverage(args) {
+    const directory = args[0] && !args[0].startsWith('--') ? args[0] : '.';
+    const release = optionValue(args, '--release', 'latest');
+    const exclude = optionValue(args, '--exclude');
+    
+    try {
+        const server = await createServer(args);
+        const { models, report } = await server.buildCoverageReport(directory, release, {
+            apiVersion: optionValue(args, '--api-version') || undefined,
+            exclude: exclude ? exclude.split(',').map(name => name.trim()) : []
+        });
+        const notice = server.staleNotice(...models.map(model => model.freshness));
+        if (notice) {
+            console.error(notice);
+        }
+        
+        if (args.includes('--json')) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            process.stdout.write(formatCoverage(report));
+        }
+        if (args.includes('--strict') && report.summary.undocumented > 0) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        reportFailure('Coverage report failed', error);
+    }
+}
+
+async function listReleases(args) {
+    try {
+        const server = await createServer(args);
+        const catalog = await server.buildReleaseCatalog({
+            apiVersion: optionValue(args, '--api-version') || undefined,
+            inspect: args.includes('--inspect')
+        });
+        
+        console.log(`Latest: ${Object.entries(catalog.latest).map(([api, release]) => `${api} ${release || '(none)'}`).join(', ') || '(none)'}` +
+            (catalog.defaultRelease ? ` (pinned: ${catalog.defaultRelease})` : ''));
+        console.log('');
+        for (const release of catalog.releases) {
+            const endpoints = Object.entries(release.endpoints)
+                .map(([api, count]) => `${api}: ${count ?? '?'}`)
+                .join(', ');
+            const built = release.buildDate ? `${release.buildDate.slice(0, 10)} (${release.buildDateSource})` : 'unknown';
+            console.log(`${String(release.order).padStart(3)}. ${release.release.padEnd(24)} ${release.channel.padEnd(8)} ` +
+                `built ${built.padEnd(26)} endpoints ${endpoints}${release.pinned ? '  [latest, pinned]' : ''}`);
+        }
+        [...(catalog.warnings || []), ...(catalog.errors || [])].forEach(message => console.error(`⚠️ ${message}`));
+        if (!args.includes('--inspect')) {
+            console.log('\nBuild dates and endpoint counts are known for loaded releases only; use --inspect to load all.');
+        }
+    } catch (error) {
+        reportFailure('Listing releases failed', error);
+    }
+}
+
+function startServer(options) {
+    // Options (--port, --host, --offline, ...) are passed through to the server
+    const args = [join(__dirname, 'index.js'), ...options];
     
     console.log("Starting EDSS Documentation MCP Server...");
     console.log("Use Ctrl+C to stop");
     
     const child = spawn('node', args, { stdio: 'inherit' });
     
-    process.on('SIGINT', () => {
-        child.kill('SIGINT');
-        process.exit(0);
-    });
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, () => {
+            child.kill(signal);
+            process.exit(0);
+        });
+    }
 }
 
 function showDemo() {
@@ -132,11 +445,24 @@ EDSS Documentation MCP Tools Demo
 =================================
 
 Available MCP Tools:
-1. get_edss_documentation      - Retrieve documentation content
-2. search_edss_documentation   - Search within documentation
-3. analyze_edss_api_endpoints  - Extract API endpoints
-4. download_edss_documentation - Get ZIP download info
-5. compare_documentation_versions - Compare latest vs trunk
+1. get_edss_documentation            - Retrieve documentation content, a section or a page of it
+2. search_edss_documentation         - Ranked search with method:, path:, release: ... filters
+3. analyze_edss_api_endpoints        - Extract API endpoints
+4. download_edss_documentation       - Get ZIP download info
+5. compare_documentation_versions    - Compare two releases, with breaking changes
+6. export_openapi_specification      - Export a release as OpenAPI 3.1
+7. generate_typescript_client        - Generate a typed TypeScript client
+8. validate_jdss_request             - Check a request against the documentation
+9. list_documentation_sections       - Table of contents of a release
+10. generate_jdss_example            - curl, Python, Node and Ansible examples
+11. list_documentation_releases      - Releases with build dates and endpoint counts
+12. get_jdss_schema                  - Payload models as JSON Schema
+13. find_jdss_operations             - Operations by resource, intent, parameter or field
+14. plan_jdss_migration              - Map v3 calls onto v4
+15. report_jdss_coverage             - Documented endpoints used by a code base
+16. get_edss_documentation_enhanced  - Documentation with collapsed content revealed
+17. discover_documentation_links     - Discovered releases and their URLs
+18. call_jdss_api                    - Documented calls to an appliance (when applianceUrl is set)
 
 Example Claude Queries:
 • "Get the EDSS documentation latest version"
@@ -159,28 +485,51 @@ Current working directory: ${process.cwd()}
 const command = process.argv[2];
 const args = process.argv.slice(3);
 
-switch (command) {
-    case 'start':
-        const portIndex = args.indexOf('--port');
-        const port = portIndex !== -1 ? args[portIndex + 1] : null;
-        startServer(port);
-        break;
-    case 'test':
-        testDocs();
-        break;
-    case 'explore':
-        exploreDocs();
-        break;
-    case 'config':
-        showConfig();
-        break;
-    case 'demo':
-        showDemo();
-        break;
-    case 'help':
-    case '--help':
-    case '-h':
-    default:
-        showHelp();
-        break;
+async function main() {
+    switch (command) {
+        case 'start':
+            startServer(args);
+            break;
+        case 'test':
+            await testDocs(args);
+            break;
+        case 'explore':
+            await exploreDocs(args);
+            break;
+        case 'export-openapi':
+            await exportOpenAPI(args);
+            break;
+        case 'generate-client':
+            await generateClient(args);
+            break;
+        case 'mock':
+            await startMock(args);
+            break;
+        case 'watch':
+            await watchDocs(args);
+            break;
+        case 'coverage':
+            await reportCoverage(args);
+            break;
+        case 'releases':
+            await listReleases(args);
+            break;
+        case 'config':
+            showConfig(args);
+            break;
+        case 'demo':
+            showDemo();
+            break;
+        case 'help':
+        case '--help':
+        case '-h':
+        default:
+            showHelp();
+            break;
+    }
 }
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
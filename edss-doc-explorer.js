@@ -3,14 +3,12 @@
 import { readFileSync, writeFileSync } from 'fs';
 import { createWriteStream } from 'fs';
 import { pipeline } from 'stream/promises';
+import { loadConfig, legacyUrls, primaryHttpHost, DEFAULT_HOST } from './lib/config.js';
 
 class EDSSDocExplorer {
-  constructor() {
-    this.docUrls = {
-      latest: "http://dh.lan:777/docs/EDSS/JEFFERSONVILLE/documentation/v4/",
-      trunk: "http://dh.lan:777/docs/EDSS/trunk/documentation/v4/",
-      latestZip: "http://dh.lan:777/docs/EDSS/JEFFERSONVILLE/documentation/v4/get_doc.php?t=zip"
-    };
+  constructor(config = loadConfig()) {
+    const primary = primaryHttpHost(config);
+    this.docUrls = legacyUrls(primary ? primary.url : DEFAULT_HOST, config.legacyRelease);
   }
 
   async fetchDocumentation(version = "latest") {
@@ -159,7 +157,7 @@ class EDSSDocExplorer {
 // CLI interface
 async function main() {
   const args = process.argv.slice(2);
-  const explorer = new EDSSDocExplorer();
+  const explorer = new EDSSDocExplorer(loadConfig({ argv: args.slice(1) }));
   
   if (args.length === 0) {
     console.log(`
@@ -173,9 +171,9 @@ Usage:
   node edss-doc-explorer.js all        # Do everything
 
 Available documentation URLs:
-  Latest: http://dh.lan:777/docs/EDSS/JEFFERSONVILLE/documentation/v4/
-  Trunk:  http://dh.lan:777/docs/EDSS/trunk/documentation/v4/
-  ZIP:    http://dh.lan:777/docs/EDSS/JEFFERSONVILLE/documentation/v4/get_doc.php?t=zip
+  Latest: ${explorer.docUrls.latest}
+  Trunk:  ${explorer.docUrls.trunk}
+  ZIP:    ${explorer.docUrls.latestZip}
     `);
     return;
   }
@@ -4,14 +4,114 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { 
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+  SetLevelRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import JSZip from 'jszip';
-import { JSDOM } from 'jsdom';
+import { EndpointModelParser, slugify } from './lib/endpoint-model.js';
+import { DocumentationCache } from './lib/doc-cache.js';
+import { DocumentationWatcher } from './lib/doc-watcher.js';
+import { OpenAPIExporter, toYAML } from './lib/openapi-exporter.js';
+import { DocumentationDiff, comparableKey, formatChangelog } from './lib/version-diff.js';
+import { SearchIndex, parseQuery } from './lib/search-index.js';
+import { TypeScriptClientGenerator, writeGeneratedFiles } from './lib/client-generator.js';
+import { DocumentationOutline } from './lib/doc-sections.js';
+import { estimateTokens, renderDocumentation, renderDocumentationPage } from './lib/doc-render.js';
+import { needsScripts, readDocumentationPage, renderStatic, renderWithScripts } from './lib/dom-renderer.js';
+import { ExampleGenerator } from './lib/example-generator.js';
+import { MockAppliance } from './lib/mock-server.js';
+import { ReleaseCatalog, inspectBuildDate } from './lib/release-catalog.js';
+import { SchemaCatalog } from './lib/schema-models.js';
+import { INTENTS, OperationFinder } from './lib/operation-finder.js';
+import { ApplianceBridge } from './lib/appliance-bridge.js';
+import { MigrationPlanner, formatMigration } from './lib/api-migration.js';
+import { coverageReport, formatCoverage, scanSourceTree } from './lib/endpoint-coverage.js';
+import { RequestValidator, matchOperation } from './lib/request-validator.js';
+import {
+  ApplianceNotConfiguredError, DocumentationError, NotFoundError, ParseError, ReleaseNotFoundError, ValidationError, requestError, withContext, withUrl
+} from './lib/errors.js';
+import {
+  RESOURCE_TEMPLATES, contentHash, listModelResources, operationUri, parseResourceUri, readModelResource, releaseUri
+} from './lib/doc-resources.js';
+import { PROMPTS, curlCallPrompt, explainEndpointPrompt, releaseChangesPrompt } from './lib/doc-prompts.js';
+import { defaultConfig, formatDuration, loadConfig, normalizeHosts, normalizeSources, primaryHttpHost, legacyUrls } from './lib/config.js';
+import { describeLocalSource, discoverDirectoryHost, isLocalSource, localSourcePath } from './lib/local-sources.js';
+import { startHttpServer } from './lib/http-server.js';
+import { realpathSync } from 'fs';
+import { basename, sep } from 'path';
+import { fileURLToPath } from 'url';
 
-class EDSSDocumentationMCPServer {
+export class EDSSDocumentationMCPServer {
   constructor(options = {}) {
-    this.server = new Server(
+    // Resolved settings (see lib/config.js); explicit options override the defaults
+    this.config = { ...defaultConfig(), ...options };
+    this.config.hosts = normalizeHosts(this.config.hosts);
+    this.config.sources = normalizeSources(this.config.sources);
+    this.config.fileRoots = normalizeSources(this.config.fileRoots);
+
+    // Set when serving over HTTP: tool arguments naming server paths are then limited to `fileRoots`
+    this.remote = false;
+
+    // Dynamic link discovery from the configured documentation hosts
+    const primaryHost = primaryHttpHost(this.config);
+    this.baseUrl = primaryHost ? primaryHost.url : null;
+    this.discoveredLinks = null;
+    this.cacheTimeout = this.config.cacheTimeout;
+    this.lastDiscovery = null;
+    this.discoveryTtl = this.cacheTimeout;
+    
+    // Build dates and endpoint counts by ZIP URL, for the release catalog (loaded on first use)
+    this.releaseMetadata = null;
+    // Release `latest` resolved to per API version, kept until a forced refresh
+    this.resolvedLatest = {};
+
+    // Parsed endpoint models and section outlines keyed by ZIP URL
+    this.modelCache = new Map();
+    this.outlineCache = new Map();
+
+    // Full-text index over parsed operations of every searched release
+    this.searchIndex = new SearchIndex();
+
+    // Downloaded ZIPs and parsed models persisted across runs
+    this.cache = new DocumentationCache({
+      directory: this.config.cacheDir,
+      offline: this.config.offline,
+      downloadTimeout: this.config.downloadTimeout
+    });
+    
+    // Legacy URLs for backwards compatibility
+    this.legacyDocUrls = this.baseUrl ? legacyUrls(this.baseUrl, this.config.legacyRelease) : null;
+    
+    // Resource subscriptions (URI -> content hash and subscribed sessions) and the last listed resource URIs
+    this.subscriptions = new Map();
+    this.listedResources = null;
+    
+    // Connected MCP sessions: one for stdio, one per client in HTTP mode
+    this.sessions = new Set();
+    this.startedAt = Date.now();
+    
+    // Minimum log level per session (logging/setLevel); change events are sent as log messages
+    this.logLevels = new WeakMap();
+    this.watcher = null;
+    
+    // Live API bridge, created on first use when an appliance is configured
+    this.applianceBridge = null;
+    
+    this.server = this.createMcpServer();
+  }
+
+  /**
+   * New MCP protocol server backed by this instance's discovery, caches and
+   * index, so every connected client shares the parsed documentation
+   */
+  createMcpServer() {
+    const server = new Server(
       {
         name: "edss-documentation-server",
         version: "1.0.0",
@@ -19,46 +119,84 @@ class EDSSDocumentationMCPServer {
       {
         capabilities: {
           tools: {},
+          resources: { subscribe: true, listChanged: true },
+          prompts: {},
         },
       }
     );
-
-    // Dynamic link discovery from dh.lan main page
-    this.baseUrl = "http://dh.lan:777/";
-    this.discoveredLinks = null;
-    this.cacheTimeout = 10 * 60 * 1000; // 10 minutes cache
-    this.lastDiscovery = null;
-    
-    // Legacy URLs for backwards compatibility
-    this.legacyDocUrls = {
-      latest: "http://dh.lan:777/docs/EDSS/JEFFERSONVILLE/documentation/v4/",
-      trunk: "http://dh.lan:777/docs/EDSS/trunk/documentation/v4/",
-      latestZip: "http://dh.lan:777/docs/EDSS/JEFFERSONVILLE/documentation/v4/get_doc.php?t=zip"
-    };
     
-    this.setupHandlers();
+    this.setupHandlers(server);
+    this.setupResourceHandlers(server);
+    this.setupPromptHandlers(server);
+    return server;
   }
 
-  setupHandlers() {
+  setupHandlers(server) {
     // List available tools
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       return {
         tools: [
           {
             name: "get_edss_documentation",
-            description: "Get EDSS REST API documentation (latest or trunk version)",
+            description: "Get EDSS REST API documentation as Markdown, text, JSON or HTML, one section and one page at a time (see list_documentation_sections)",
             inputSchema: {
               type: "object",
               properties: {
                 version: {
                   type: "string",
-                  enum: ["latest", "trunk"],
                   default: "latest",
-                  description: "Documentation version to retrieve"
+                  description: "Documentation version to retrieve: 'latest', 'trunk', a release name or a local source (file:///path/docs.zip or an unpacked directory)"
+                },
+                apiVersion: {
+                  type: "string",
+                  enum: ["v3", "v4"],
+                  default: "v4"
                 },
                 section: {
                   type: "string", 
-                  description: "Optional: specific section or page to retrieve (if available)"
+                  description: "Optional: section ID from list_documentation_sections (e.g. 'pools') or a fuzzy section title (e.g. 'snapshots')"
+                },
+                format: {
+                  type: "string",
+                  enum: ["html", "markdown", "text", "json"],
+                  default: "markdown",
+                  description: "Output format: Markdown (scripts and navigation stripped), plain text, JSON content blocks or the original HTML"
+                },
+                page: {
+                  type: "integer",
+                  minimum: 1,
+                  default: 1,
+                  description: "Page to return when the content is longer than pageSize"
+                },
+                pageSize: {
+                  type: "integer",
+                  minimum: 1,
+                  default: 20000,
+                  description: "Maximum characters per page of the formatted output"
+                }
+              }
+            }
+          },
+          {
+            name: "list_documentation_sections",
+            description: "Hierarchical table of contents of the documentation with stable section IDs for get_edss_documentation",
+            inputSchema: {
+              type: "object",
+              properties: {
+                version: {
+                  type: "string",
+                  default: "latest",
+                  description: "'latest', 'trunk', a release name, a discovered key or a local source"
+                },
+                apiVersion: {
+                  type: "string",
+                  enum: ["v3", "v4"],
+                  default: "v4"
+                },
+                depth: {
+                  type: "integer",
+                  minimum: 1,
+                  description: "Optional: number of heading levels to include (default: all)"
                 }
               }
             }
@@ -73,25 +211,40 @@ class EDSSDocumentationMCPServer {
                   type: "boolean",
                   default: true,
                   description: "Return download information for ZIP file"
+                },
+                version: {
+                  type: "string",
+                  default: "latest",
+                  description: "'latest', 'trunk', a release name or a local source path"
                 }
               }
             }
           },
           {
             name: "search_edss_documentation",
-            description: "Search for specific terms or endpoints in EDSS documentation", 
+            description: "Ranked full-text search over documented operations and sections, with fielded queries", 
             inputSchema: {
               type: "object",
               properties: {
                 query: {
                   type: "string",
-                  description: "Search term (e.g., 'patient', 'assessment', 'POST', '/api/patients')"
+                  description: "Free text plus optional filters method:, path:, section:, param:, release:, api: (e.g. 'create snapshot method:POST path:/pools')"
                 },
                 version: {
                   type: "string",
-                  enum: ["latest", "trunk", "both"],
                   default: "latest", 
-                  description: "Which version to search"
+                  description: "Which releases to search: 'latest', 'trunk', 'both', 'all', a release name / discovered key or a local source (file:///path/docs.zip); release: and api: filters in the query take precedence"
+                },
+                apiVersion: {
+                  type: "string",
+                  enum: ["v3", "v4"],
+                  description: "Only search this API version (default: v4, or every version with 'all')"
+                },
+                limit: {
+                  type: "integer",
+                  minimum: 0,
+                  default: 20,
+                  description: "Maximum number of results"
                 }
               },
               required: ["query"]
@@ -105,36 +258,331 @@ class EDSSDocumentationMCPServer {
               properties: {
                 version: {
                   type: "string",
-                  enum: ["latest", "trunk"],
                   default: "latest",
-                  description: "Documentation version to analyze"
+                  description: "Version: 'latest', 'trunk', a specific release name or a local source (file:///path/docs.zip or an unpacked directory)"
+                },
+                apiVersion: {
+                  type: "string",
+                  enum: ["v3", "v4"],
+                  default: "v4"
+                },
+                section: {
+                  type: "string",
+                  description: "Optional: only list operations from this documentation section"
                 },
                 detailed: {
                   type: "boolean",
                   default: false,
-                  description: "Include detailed analysis of endpoints, parameters, and schemas"
+                  description: "Include parameters, response codes and examples for each operation"
                 }
               }
             }
           },
           {
             name: "compare_documentation_versions", 
-            description: "Compare latest and trunk versions of EDSS documentation",
+            description: "Compare two EDSS documentation releases (default: latest vs trunk); 'semantic' focus returns a changelog with breaking changes flagged",
             inputSchema: {
               type: "object",
               properties: {
                 focus: {
                   type: "string",
-                  enum: ["endpoints", "changes", "summary", "all"],
+                  enum: ["endpoints", "changes", "summary", "all", "semantic"],
                   default: "summary",
                   description: "What to focus the comparison on"
+                },
+                from: {
+                  type: "string",
+                  default: "latest",
+                  description: "Base release: 'latest', 'trunk', a release name, a discovered key such as 'jeffersonville_v3' or a local source (file:///path/docs.zip)"
+                },
+                to: {
+                  type: "string",
+                  default: "trunk",
+                  description: "Target release, same forms as 'from'"
+                },
+                apiVersion: {
+                  type: "string",
+                  enum: ["v3", "v4"],
+                  default: "v4",
+                  description: "API version used when 'from'/'to' are not discovered keys"
+                },
+                format: {
+                  type: "string",
+                  enum: ["markdown", "json"],
+                  default: "markdown",
+                  description: "Output format for the 'semantic' focus"
+                }
+              }
+            }
+          },
+          {
+            name: "export_openapi_specification",
+            description: "Export a discovered documentation release as an OpenAPI 3.1 specification",
+            inputSchema: {
+              type: "object",
+              properties: {
+                version: {
+                  type: "string",
+                  default: "latest",
+                  description: "'latest', 'trunk', a release name, a discovered key such as 'jeffersonville_v4' or a local source (file:///path/docs.zip)"
+                },
+                apiVersion: {
+                  type: "string",
+                  enum: ["v3", "v4"],
+                  default: "v4"
+                },
+                format: {
+                  type: "string",
+                  enum: ["yaml", "json"],
+                  default: "yaml",
+                  description: "Output format of the specification"
+                }
+              }
+            }
+          },
+          {
+            name: "generate_typescript_client",
+            description: "Generate a typed TypeScript client (one method per operation, Basic auth) for a documentation release",
+            inputSchema: {
+              type: "object",
+              properties: {
+                version: {
+                  type: "string",
+                  default: "latest",
+                  description: "'latest', 'trunk', a release name, a discovered key or a local source (file:///path/docs.zip)"
+                },
+                apiVersion: {
+                  type: "string",
+                  enum: ["v3", "v4"],
+                  default: "v4"
+                },
+                outputDir: {
+                  type: "string",
+                  description: "Optional: write client.ts, types.ts and index.ts to this directory instead of returning them"
+                },
+                className: {
+                  type: "string",
+                  default: "JovianDSSClient",
+                  description: "Name of the generated client class"
+                }
+              }
+            }
+          },
+          {
+            name: "validate_jdss_request",
+            description: "Check a planned JovianDSS REST call (method, path, query, JSON body) against the documented operation: unknown fields, missing required parameters, wrong types, enum violations and trunk-only endpoints",
+            inputSchema: {
+              type: "object",
+              properties: {
+                method: {
+                  type: "string",
+                  description: "HTTP method, e.g. POST"
+                },
+                path: {
+                  type: "string",
+                  description: "Concrete request path, e.g. /api/v4/pools/Pool-0/volumes (a query string is accepted)"
+                },
+                query: {
+                  type: "object",
+                  description: "Optional: query parameters"
+                },
+                body: {
+                  description: "Optional: JSON request body"
+                },
+                version: {
+                  type: "string",
+                  default: "latest",
+                  description: "Release to validate against: 'latest', 'trunk', a release name, a discovered key or a local source"
+                },
+                apiVersion: {
+                  type: "string",
+                  enum: ["v3", "v4"],
+                  default: "v4"
+                }
+              },
+              required: ["method", "path"]
+            }
+          },
+          {
+            name: "generate_jdss_example",
+            description: "Ready-to-run examples of a documented JovianDSS REST operation in curl, Python requests, Node fetch and as an Ansible uri task, with base path, Basic auth, content type and a request body from the documented example or fields",
+            inputSchema: {
+              type: "object",
+              properties: {
+                method: {
+                  type: "string",
+                  description: "HTTP method, e.g. POST"
+                },
+                path: {
+                  type: "string",
+                  description: "Documented or concrete path, e.g. /api/v4/pools/{pool}/volumes or /api/v4/pools/Pool-0/volumes"
+                },
+                pathParameters: {
+                  type: "object",
+                  description: "Optional: path parameter values, e.g. {\"pool\": \"Pool-0\"}"
+                },
+                query: {
+                  type: "object",
+                  description: "Optional: query parameter values"
+                },
+                body: {
+                  description: "Optional: body values; objects are merged into the generated body"
+                },
+                languages: {
+                  type: "array",
+                  items: { type: "string", enum: ["curl", "python", "node", "ansible"] },
+                  description: "Optional: snippets to generate (default: all)"
+                },
+                appliance: {
+                  type: "string",
+                  description: "Appliance address or URL (default: joviandss:82)"
+                },
+                version: {
+                  type: "string",
+                  default: "latest",
+                  description: "Release the operation is documented in: 'latest', 'trunk', a release name, a discovered key or a local source"
+                },
+                apiVersion: {
+                  type: "string",
+                  enum: ["v3", "v4"],
+                  default: "v4"
+                }
+              },
+              required: ["method", "path"]
+            }
+          },
+          {
+            name: "get_jdss_schema",
+            description: "Named JovianDSS payload models (pool, volume, snapshot, share, ...) from request and response bodies: list them, or get one as JSON Schema with nested objects and arrays resolved, constraints (enums, ranges, defaults) and the operations using it as input or output",
+            inputSchema: {
+              type: "object",
+              properties: {
+                model: {
+                  type: "string",
+                  description: "Optional: model name, e.g. 'Pool', 'volumes' or 'PoolVdev'; omit to list all models"
+                },
+                version: {
+                  type: "string",
+                  default: "latest",
+                  description: "Release: 'latest', 'trunk', a release name, a discovered key or a local source"
+                },
+                apiVersion: {
+                  type: "string",
+                  enum: ["v3", "v4"],
+                  default: "v4"
                 }
               }
             }
           },
+          {
+            name: "find_jdss_operations",
+            description: "Reverse lookup of JovianDSS operations: by resource noun (synonyms such as zvol/volume, dataset/filesystem, share/export), intent (create, list, get, update, delete, action), accepted parameter or property, returned response field, or a plain question such as 'how do I create a snapshot of a zvol'. Returns matching operations with their paths and one-line summaries",
+            inputSchema: {
+              type: "object",
+              properties: {
+                query: {
+                  type: "string",
+                  description: "Optional: free-text question, e.g. 'create a snapshot of a zvol'"
+                },
+                resource: {
+                  type: "string",
+                  description: "Optional: resource noun, e.g. 'zvol', 'pools' or 'filesystem'"
+                },
+                intent: {
+                  type: "string",
+                  enum: INTENTS,
+                  description: "Optional: what the operation does"
+                },
+                parameter: {
+                  type: "string",
+                  description: "Optional: parameter or body property the operation accepts, e.g. 'compression'"
+                },
+                field: {
+                  type: "string",
+                  description: "Optional: field the operation returns, e.g. 'health'"
+                },
+                limit: {
+                  type: "number",
+                  default: 20,
+                  description: "Maximum number of operations returned"
+                },
+                version: {
+                  type: "string",
+                  default: "latest",
+                  description: "Release: 'latest', 'trunk', a release name, a discovered key or a local source"
+                },
+                apiVersion: {
+                  type: "string",
+                  enum: ["v3", "v4"],
+                  default: "v4"
+                }
+              }
+            }
+          },
+          {
+            name: "plan_jdss_migration",
+            description: "v3 to v4 migration assistant: maps each v3 operation to its v4 equivalent (by path, resource and parameters) and lists v3 operations without a counterpart. Given code or a list of v3 calls, returns a migration table with the replacement call and the parameter renames",
+            inputSchema: {
+              type: "object",
+              properties: {
+                calls: {
+                  type: "string",
+                  description: "Optional: code using /api/v3 URLs, or one call per line ('GET /api/v3/pools/Pool-0'); omit for the full operation mapping"
+                },
+                from: {
+                  type: "string",
+                  default: "latest",
+                  description: "Release whose v3 documentation is migrated from"
+                },
+                to: {
+                  type: "string",
+                  description: "Release whose v4 documentation is migrated to (default: same as 'from')"
+                },
+                format: {
+                  type: "string",
+                  enum: ["markdown", "json"],
+                  default: "markdown"
+                }
+              }
+            }
+          },
+          {
+            name: "report_jdss_coverage",
+            description: "Coverage of the documented JovianDSS REST API by a source tree on the server's machine: scans JS/TS, Python, shell and Ansible YAML files for /api/vN calls and lists the documented operations used (with file:line), the ones never used, and the calls that are undocumented or removed in the release. Run against trunk to see which calls break in the next release",
+            inputSchema: {
+              type: "object",
+              properties: {
+                directory: {
+                  type: "string",
+                  description: "Source directory or file to scan"
+                },
+                version: {
+                  type: "string",
+                  default: "latest",
+                  description: "Release the calls are checked against: 'latest', 'trunk', a release name, a discovered key or a local source"
+                },
+                apiVersion: {
+                  type: "string",
+                  enum: ["v3", "v4"],
+                  description: "Optional: only calls to this API version (default: every version found)"
+                },
+                exclude: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Optional: file or directory names to skip, in addition to hidden directories and dependencies"
+                },
+                format: {
+                  type: "string",
+                  enum: ["markdown", "json"],
+                  default: "markdown"
+                }
+              },
+              required: ["directory"]
+            }
+          },
           {
             name: "discover_documentation_links",
-            description: "Discover all available EDSS documentation by parsing dh.lan homepage",
+            description: "Discover all available EDSS documentation from the configured hosts (dh.lan homepage by default) and local sources",
             inputSchema: {
               type: "object",
               properties: {
@@ -146,16 +594,40 @@ class EDSSDocumentationMCPServer {
               }
             }
           },
+          {
+            name: "list_documentation_releases",
+            description: "List the documentation releases in order (newest first) with API versions, build date, endpoint count and which release 'latest' resolves to",
+            inputSchema: {
+              type: "object",
+              properties: {
+                apiVersion: {
+                  type: "string",
+                  enum: ["v3", "v4"],
+                  description: "Only list releases providing this API version"
+                },
+                inspect: {
+                  type: "boolean",
+                  default: false,
+                  description: "Download (or read from cache) every release ZIP to fill in build dates and endpoint counts"
+                },
+                refresh: {
+                  type: "boolean",
+                  default: false,
+                  description: "Force refresh discovery cache"
+                }
+              }
+            }
+          },
           {
             name: "get_edss_documentation_enhanced",
-            description: "Get EDSS documentation with automatic version discovery and jQuery processing",
+            description: "Get EDSS documentation with automatic version discovery and collapsed content revealed",
             inputSchema: {
               type: "object",
               properties: {
                 version: {
                   type: "string",
                   default: "latest",
-                  description: "Version: 'latest', 'trunk', or specific release name"
+                  description: "Version: 'latest', 'trunk', a specific release name or a local source (file:///path/docs.zip or an unpacked directory)"
                 },
                 apiVersion: {
                   type: "string",
@@ -165,17 +637,67 @@ class EDSSDocumentationMCPServer {
                 useJavaScript: {
                   type: "boolean",
                   default: true,
-                  description: "Process with jQuery to reveal hidden content"
+                  description: "Reveal collapsed operation content (static DOM transformation; page scripts only run when enabled with --render-scripts)"
+                },
+                format: {
+                  type: "string",
+                  enum: ["html", "markdown", "text", "json"],
+                  default: "markdown",
+                  description: "Output format: Markdown (scripts and navigation stripped), plain text, JSON content blocks or the original HTML"
                 }
               }
             }
-          }
+          },
+          // Opt-in: only offered when an appliance is configured
+          ...(this.config.applianceUrl ? [
+            {
+              name: "call_jdss_api",
+              description: `Run a documented JovianDSS REST call against the configured appliance (${this.config.applianceUrl}) to show its real state next to the documentation. The call must match a documented operation and pass validation; only GET is allowed unless other methods are allow-listed in the configuration. The response is checked against the documented examples`,
+              inputSchema: {
+                type: "object",
+                properties: {
+                  method: {
+                    type: "string",
+                    default: "GET",
+                    description: "HTTP method; anything but GET and HEAD must be allow-listed (applianceAllowMethods)"
+                  },
+                  path: {
+                    type: "string",
+                    description: "Concrete path, e.g. /api/v4/pools/Pool-0/volumes (the /api/vN prefix may be left out)"
+                  },
+                  query: {
+                    type: "object",
+                    description: "Optional query parameters"
+                  },
+                  body: {
+                    description: "Optional JSON request body"
+                  },
+                  version: {
+                    type: "string",
+                    default: "latest",
+                    description: "Documentation release the call is checked against"
+                  },
+                  apiVersion: {
+                    type: "string",
+                    enum: ["v3", "v4"],
+                    description: "API version (default: from the path, otherwise v4)"
+                  }
+                },
+                required: ["path"]
+              }
+            }
+          ] : [])
         ]
       };
     });
 
+    server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+      this.logLevels.set(server, request.params.level);
+      return {};
+    });
+
     // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
       try {
         const { name, arguments: args } = request.params;
 
@@ -183,6 +705,9 @@ class EDSSDocumentationMCPServer {
           case "get_edss_documentation":
             return await this.getDocumentation(args);
             
+          case "list_documentation_sections":
+            return await this.listSections(args);
+            
           case "download_edss_documentation":
             return await this.downloadDocumentation(args);
             
@@ -198,56 +723,409 @@ class EDSSDocumentationMCPServer {
           case "discover_documentation_links":
             return await this.discoverLinks(args);
 
+          case "list_documentation_releases":
+            return await this.listReleases(args);
+
           case "get_edss_documentation_enhanced":
             return await this.getDocumentationEnhanced(args);
+
+          case "export_openapi_specification":
+            return await this.exportOpenAPI(args);
+
+          case "generate_typescript_client":
+            return await this.generateClient(args);
+
+          case "validate_jdss_request":
+            return await this.validateRequest(args);
+            
+          case "generate_jdss_example":
+            return await this.generateExample(args);
+            
+          case "get_jdss_schema":
+            return await this.getSchema(args);
+            
+          case "find_jdss_operations":
+            return await this.findOperations(args);
+            
+          case "plan_jdss_migration":
+            return await this.planMigration(args);
+            
+          case "report_jdss_coverage":
+            return await this.reportCoverage(args);
+            
+          case "call_jdss_api":
+            return await this.callApi(args);
             
           default:
-            throw new Error(`Unknown tool: ${name}`);
+            throw new DocumentationError(`Unknown tool: ${name}`, { code: 'unknown-tool' });
         }
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Error: ${error.message}`
-            }
-          ]
-        };
+        return this.toolError(error);
+      }
+    });
+  }
+
+  /**
+   * Releases, sections and operations as jdss-doc:// resources (see lib/doc-resources.js)
+   */
+  setupResourceHandlers(server) {
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      const { resources } = await this.listResources();
+      this.listedResources = resources.map(resource => resource.uri).sort().join('\n');
+      return { resources };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return { resourceTemplates: RESOURCE_TEMPLATES };
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      return { contents: [await this.readResource(request.params.uri)] };
+    });
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const content = await this.readResource(uri);
+      const subscription = this.subscriptions.get(uri) || { hash: contentHash(content.text), sessions: new Set() };
+      subscription.sessions.add(server);
+      this.subscriptions.set(uri, subscription);
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.unsubscribe(server, request.params.uri);
+      return {};
+    });
+
+    // SDK 0.4 derives capabilities from the registered handlers and drops the resource sub-capabilities
+    const getCapabilities = server.getCapabilities.bind(server);
+    server.getCapabilities = () => ({
+      ...getCapabilities(),
+      resources: { subscribe: true, listChanged: true }
+    });
+  }
+
+  setupPromptHandlers(server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return { prompts: PROMPTS };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      return this.getPrompt(request.params.name, request.params.arguments || {});
+    });
+  }
+
+  /**
+   * Distinct discovered releases keyed by resource base URI (aliases such as latest_v4 are skipped)
+   */
+  async resourceReleases() {
+    const links = await this.discoverDocumentationLinks();
+    const releases = new Map();
+    
+    for (const [key, link] of Object.entries(links)) {
+      if (key.startsWith('latest_')) {
+        continue;
+      }
+      const suffix = `_${link.apiVersion}`;
+      const release = key.endsWith(suffix) ? key.slice(0, -suffix.length) : key;
+      releases.set(releaseUri(release, link.apiVersion), link);
+    }
+    return releases;
+  }
+
+  async resourceBase(link) {
+    for (const [base, candidate] of await this.resourceReleases()) {
+      if (candidate.zipUrl === link.zipUrl) {
+        return base;
+      }
+    }
+    return releaseUri(link.release, link.apiVersion);
+  }
+
+  async listResources() {
+    const resources = [];
+    
+    for (const [base, link] of await this.resourceReleases()) {
+      try {
+        resources.push(...listModelResources(await this.loadLinkModel(link), base));
+      } catch (error) {
+        resources.push({
+          uri: base,
+          name: `JovianDSS REST API ${link.release} ${link.apiVersion}`,
+          description: `Currently unavailable: ${error.message}`,
+          mimeType: 'application/json'
+        });
+      }
+    }
+    return { resources };
+  }
+
+  async readResource(uri) {
+    const parsed = parseResourceUri(uri);
+    if (!parsed) {
+      throw new ValidationError(`Unsupported resource URI: ${uri}`);
+    }
+    
+    const base = releaseUri(parsed.release, parsed.apiVersion);
+    const link = (await this.resourceReleases()).get(base);
+    if (!link) {
+      throw new ReleaseNotFoundError(`Unknown documentation release: ${parsed.release} ${parsed.apiVersion}`);
+    }
+    
+    const content = readModelResource(await this.loadLinkModel(link), parsed, base);
+    if (!content) {
+      throw new NotFoundError(`Resource not found: ${uri}`);
+    }
+    return { uri, ...content };
+  }
+
+  /**
+   * After a discovery refresh, tell clients about new or changed documentation
+   */
+  async notifyDocumentationChanges() {
+    if (this.listedResources !== null) {
+      const { resources } = await this.listResources();
+      const listed = resources.map(resource => resource.uri).sort().join('\n');
+      if (listed !== this.listedResources) {
+        this.listedResources = listed;
+        await Promise.allSettled([...this.sessions].map(session => session.sendResourceListChanged()));
+      }
+    }
+    
+    for (const [uri, subscription] of this.subscriptions) {
+      let updated;
+      try {
+        updated = contentHash((await this.readResource(uri)).text);
+      } catch (error) {
+        // A resource that disappeared is reported as updated; reading it now fails
+        updated = null;
       }
-    });
+      if (updated !== subscription.hash) {
+        subscription.hash = updated;
+        await Promise.allSettled([...subscription.sessions].map(session => session.sendResourceUpdated({ uri })));
+      }
+    }
+  }
+
+  unsubscribe(session, uri) {
+    const subscription = this.subscriptions.get(uri);
+    if (subscription) {
+      subscription.sessions.delete(session);
+      if (subscription.sessions.size === 0) {
+        this.subscriptions.delete(uri);
+      }
+    }
+  }
+
+  async getPrompt(name, args) {
+    const { version = "latest", apiVersion = "v4" } = args;
+    
+    if (name === "summarize_release_changes") {
+      const { from = "latest", to = "trunk" } = args;
+      const [fromModel, toModel] = await Promise.all([
+        this.loadEndpointModel(from, apiVersion),
+        this.loadEndpointModel(to, apiVersion)
+      ]);
+      const diff = new DocumentationDiff(fromModel, toModel).compare();
+      return releaseChangesPrompt(diff.from, diff.to, formatChangelog(diff));
+    }
+    
+    if (name !== "explain_endpoint" && name !== "write_curl_call") {
+      throw new NotFoundError(`Unknown prompt: ${name}`);
+    }
+    if (!args.method || !args.path) {
+      throw new ValidationError(`Prompt ${name} requires the method and path arguments`);
+    }
+    
+    const link = await this.resolveDocumentationLink(version, apiVersion);
+    const model = await this.loadLinkModel(link);
+    const { operation } = matchOperation(model.operations, args.method.toUpperCase(), args.path);
+    if (!operation) {
+      throw new NotFoundError(`${args.method.toUpperCase()} ${args.path} is not documented in ${model.release} ${model.apiVersion}`);
+    }
+    
+    const base = await this.resourceBase(link);
+    const resource = {
+      uri: operationUri(base, operation),
+      ...readModelResource(model, { kind: 'operation', method: operation.method, path: operation.path }, base)
+    };
+    
+    return name === "explain_endpoint"
+      ? explainEndpointPrompt(model, resource)
+      : curlCallPrompt(model, resource, args.appliance);
   }
 
   /**
-   * Dynamic link discovery from dh.lan main page
+   * Dynamic link discovery from the configured hosts, in priority order,
+   * followed by the configured local sources
    */
   async discoverDocumentationLinks() {
     // Check cache first
     if (this.discoveredLinks && this.lastDiscovery && 
-        (Date.now() - this.lastDiscovery) < this.cacheTimeout) {
+        (Date.now() - this.lastDiscovery) < this.discoveryTtl) {
       return this.discoveredLinks;
     }
 
-    try {
-      const response = await fetch(this.baseUrl);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch homepage: ${response.status}`);
+    const localLinks = await this.discoverLocalSources();
+
+    if (this.cache.offline) {
+      const saved = await this.cache.readLinks();
+      return this.rememberLinks(
+        await this.withLatestAliases({ ...(saved ? saved.links : this.buildLegacyLinks()), ...localLinks }),
+        this.cacheTimeout);
+    }
+
+    const links = {};
+    const failures = [];
+    
+    for (const host of this.config.hosts) {
+      try {
+        const hostLinks = host.type === 'directory'
+          ? await discoverDirectoryHost(host)
+          : await this.discoverHttpHost(host);
+        this.mergeLinks(links, hostLinks);
+      } catch (error) {
+        failures.push(`${host.name}: ${error.message}`);
       }
-      
-      const html = await response.text();
-      const links = this.parseDocumentationLinks(html);
+    }
+    
+    if (Object.keys(links).length > 0) {
+      await this.cache.writeLinks(links).catch(error => {
+        console.warn('Could not persist discovered links:', error.message);
+      });
       
       // Cache the results
-      this.discoveredLinks = links;
-      this.lastDiscovery = Date.now();
+      this.rememberLinks(await this.withLatestAliases({ ...links, ...localLinks }), this.cacheTimeout);
       
-      return links;
+      // Clients that listed or subscribed to resources learn about new content
+      if (this.listedResources !== null || this.subscriptions.size > 0) {
+        this.notifyDocumentationChanges().catch(error => {
+          console.warn('Could not send documentation change notifications:', error.message);
+        });
+      }
+      return this.discoveredLinks;
+    }
+    
+    // Failing hosts are retried sooner, but not on every call and its timeouts
+    const retryAfter = Math.min(this.cacheTimeout, 60 * 1000);
+    const reason = failures.join('; ') || 'no documentation found';
+    const saved = await this.cache.readLinks();
+    if (saved) {
+      console.error(`Discovery failed, using links cached at ${saved.savedAt}:`, reason);
+      return this.rememberLinks(await this.withLatestAliases({ ...saved.links, ...localLinks }), retryAfter);
+    }
+    console.error('Discovery failed, using legacy URLs:', reason);
+    return this.rememberLinks(await this.withLatestAliases({ ...this.buildLegacyLinks(), ...localLinks }), retryAfter);
+  }
+
+  /**
+   * Point the `latest_<apiVersion>` aliases at the newest (or pinned) release of the catalog
+   */
+  async withLatestAliases(links) {
+    const aliases = (await this.releaseCatalog(links)).latestLinks();
+    for (const link of Object.values(aliases)) {
+      this.resolvedLatest[link.apiVersion] = link.release;
+    }
+    return { ...links, ...aliases };
+  }
+
+  async releaseCatalog(links) {
+    return new ReleaseCatalog(links ?? await this.discoverDocumentationLinks(), await this.loadReleaseMetadata(), {
+      releaseOrder: this.config.releaseOrder,
+      defaultRelease: this.config.defaultRelease,
+      resolved: this.resolvedLatest
+    });
+  }
+
+  async loadReleaseMetadata() {
+    if (!this.releaseMetadata) {
+      this.releaseMetadata = await this.cache.readCatalog();
+    }
+    return this.releaseMetadata;
+  }
+
+  /**
+   * Remember the build date and endpoint count of a loaded ZIP snapshot
+   */
+  async recordReleaseMetadata(link, archive, model) {
+    const metadata = await this.loadReleaseMetadata();
+    const snapshot = archive.meta ? archive.meta.fetchedAt : archive.freshness.fetchedAt;
+    const known = metadata[link.zipUrl];
+    if (known && known.snapshot === snapshot && known.endpoints === model.operations.length) {
+      return;
+    }
+    
+    metadata[link.zipUrl] = {
+      release: link.release,
+      apiVersion: link.apiVersion,
+      ...await inspectBuildDate(archive.buffer, {
+        lastModified: archive.meta ? archive.meta.lastModified : null,
+        localModified: link.localPath ? archive.freshness.fetchedAt : null
+      }),
+      endpoints: model.operations.length,
+      snapshot: snapshot
+    };
+    await this.cache.writeCatalog(metadata);
+  }
+
+  /**
+   * Keep discovered links for `ttl` milliseconds
+   */
+  rememberLinks(links, ttl) {
+    this.discoveredLinks = links;
+    this.lastDiscovery = Date.now();
+    this.discoveryTtl = ttl;
+    return links;
+  }
+
+  /**
+   * Links for the configured local ZIP files and directories, keyed `local_<file name>`
+   */
+  async discoverLocalSources() {
+    const links = {};
+    for (const source of this.config.sources) {
+      try {
+        const link = await describeLocalSource(source);
+        links[`local_${slugify(basename(link.localPath, '.zip'))}`] = link;
+      } catch (error) {
+        console.error(`Skipping local documentation source: ${error.message}`);
+      }
+    }
+    return links;
+  }
+
+  async discoverHttpHost(host) {
+    let response;
+    try {
+      response = await fetch(host.url, { signal: AbortSignal.timeout(this.config.requestTimeout) });
     } catch (error) {
-      console.error('Discovery failed, using legacy URLs:', error.message);
-      return this.buildLegacyLinks();
+      throw requestError(error, host.url);
+    }
+    if (!response.ok) {
+      throw new DocumentationError(`Failed to fetch homepage: ${response.status}`, { code: 'download-failed', url: host.url });
+    }
+    
+    const links = this.parseDocumentationLinks(await response.text(), host.url);
+    for (const link of Object.values(links)) {
+      link.host = host.name;
+    }
+    return links;
+  }
+
+  /**
+   * Add links from a lower priority host: new releases are added, known ones gain a failover mirror
+   */
+  mergeLinks(links, hostLinks) {
+    for (const [key, link] of Object.entries(hostLinks)) {
+      if (!links[key]) {
+        links[key] = { ...link, mirrors: [] };
+      } else if (links[key].release === link.release && links[key].zipUrl !== link.zipUrl) {
+        links[key].mirrors.push(link);
+      }
     }
   }
 
-  parseDocumentationLinks(html) {
+  parseDocumentationLinks(html, baseUrl = this.baseUrl) {
     const links = {};
     
     // Updated regex to match relative URLs without leading slash
@@ -265,7 +1143,7 @@ class EDSSDocumentationMCPServer {
         const apiVersion = urlMatch[2];
         
         // Construct full URL (add leading slash if missing)
-        const fullUrl = url.startsWith('http') ? url : `${this.baseUrl}${url.startsWith('/') ? url.slice(1) : url}`;
+        const fullUrl = url.startsWith('http') ? url : `${baseUrl}${url.startsWith('/') ? url.slice(1) : url}`;
         const zipUrl = fullUrl + (fullUrl.endsWith('/') ? '' : '/') + 'get_doc.php?t=zip';
         
         const key = `${release.toLowerCase()}_${apiVersion}`;
@@ -278,11 +1156,6 @@ class EDSSDocumentationMCPServer {
           discovered: true
         };
         
-        // Create aliases for latest
-        if (release !== 'trunk') {
-          const aliasKey = `latest_${apiVersion}`;
-          links[aliasKey] = { ...links[key] };
-        }
       }
     }
     
@@ -290,18 +1163,21 @@ class EDSSDocumentationMCPServer {
   }
 
   buildLegacyLinks() {
+    if (!this.legacyDocUrls) {
+      return {};
+    }
     return {
       latest_v4: {
         url: this.legacyDocUrls.latest,
         zipUrl: this.legacyDocUrls.latestZip,
-        release: 'JEFFERSONVILLE',
+        release: this.config.legacyRelease,
         apiVersion: 'v4',
         linkText: 'Legacy Latest',
         discovered: false
       },
       trunk_v4: {
         url: this.legacyDocUrls.trunk,
-        zipUrl: this.legacyDocUrls.trunk + 'get_doc.php?t=zip',
+        zipUrl: this.legacyDocUrls.trunkZip,
         release: 'trunk',
         apiVersion: 'v4', 
         linkText: 'Legacy Trunk',
@@ -316,6 +1192,9 @@ class EDSSDocumentationMCPServer {
     if (refresh) {
       this.discoveredLinks = null;
       this.lastDiscovery = null;
+      this.resolvedLatest = {};
+      this.modelCache.clear();
+      this.outlineCache.clear();
     }
     
     const links = await this.discoverDocumentationLinks();
@@ -326,6 +1205,8 @@ class EDSSDocumentationMCPServer {
           type: "text",
           text: JSON.stringify({
             links: links,
+            hosts: this.config.hosts,
+            sources: this.config.sources,
             discoveredAt: new Date().toISOString(),
             totalFound: Object.keys(links).length
           }, null, 2)
@@ -335,222 +1216,413 @@ class EDSSDocumentationMCPServer {
   }
 
   /**
-   * Enhanced documentation retrieval with automatic discovery and jQuery processing
+   * Release catalog; with `inspect`, every release ZIP is loaded so build
+   * dates and endpoint counts are known (and `latest` may move accordingly)
+   */
+  async buildReleaseCatalog({ apiVersion, inspect = false } = {}) {
+    const links = await this.discoverDocumentationLinks();
+    const errors = [];
+    if (inspect) {
+      for (const [key, link] of Object.entries(links)) {
+        if (key.startsWith('latest_') || (apiVersion && link.apiVersion !== apiVersion)) {
+          continue;
+        }
+        try {
+          await this.loadLinkModel(link);
+        } catch (error) {
+          errors.push(`${key}: ${error.message}`);
+        }
+      }
+      if (this.discoveredLinks) {
+        // Every release is loaded now, so resolve `latest` again from complete build dates
+        this.resolvedLatest = {};
+        this.discoveredLinks = await this.withLatestAliases(this.discoveredLinks);
+      }
+    }
+    
+    const catalog = (await this.releaseCatalog(links)).toJSON();
+    if (apiVersion) {
+      catalog.releases = catalog.releases.filter(release => release.apiVersions.includes(apiVersion));
+    }
+    return { ...catalog, errors: errors.length > 0 ? errors : undefined };
+  }
+
+  async listReleases(args) {
+    if (args?.refresh) {
+      this.discoveredLinks = null;
+      this.lastDiscovery = null;
+      this.resolvedLatest = {};
+    }
+    
+    const catalog = await this.buildReleaseCatalog({ apiVersion: args?.apiVersion, inspect: args?.inspect });
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(catalog, null, 2)
+        }
+      ]
+    };
+  }
+
+  /**
+   * Enhanced documentation retrieval with automatic discovery and revealed content
    */
   async getDocumentationEnhanced(args) {
     const version = args?.version || 'latest';
     const apiVersion = args?.apiVersion || 'v4';
     const useJavaScript = args?.useJavaScript !== false; // default true
+    const format = args?.format || 'markdown';
 
+    let targetLink = null;
     try {
-      // Get available links
-      const links = await this.discoverDocumentationLinks();
-      
-      // Find the appropriate link
-      let targetLink = null;
-      const lookupKey = `${version.toLowerCase()}_${apiVersion}`;
-      
-      if (links[lookupKey]) {
-        targetLink = links[lookupKey];
-      } else if (version === 'latest') {
-        // Try to find any latest version
-        targetLink = links[`latest_${apiVersion}`] || links[Object.keys(links).find(k => k.includes('latest'))];
-      } else if (version === 'trunk') {
-        targetLink = links[`trunk_${apiVersion}`] || links[Object.keys(links).find(k => k.includes('trunk'))];
-      }
+      targetLink = await this.resolveDocumentationLink(version, apiVersion);
+      const archive = await this.cache.fetchZip(targetLink);
+      const zipBuffer = archive.buffer;
+      const notice = this.staleNotice(archive.freshness);
       
-      if (!targetLink) {
-        throw new Error(`Could not find documentation for version: ${version}, apiVersion: ${apiVersion}`);
-      }
-
-      // Download ZIP file
-      const response = await fetch(targetLink.zipUrl);
-      if (!response.ok) {
-        throw new Error(`Failed to download documentation: ${response.status}`);
-      }
-
-      const zipBuffer = await response.arrayBuffer();
+      // Reveal collapsed operations, or use the HTML exactly as shipped in the ZIP
+      const rendered = useJavaScript ? await this.renderDocumentationZip(zipBuffer) : null;
+      const text = renderDocumentation(rendered ? rendered.document : await this.extractMainHTML(zipBuffer), format);
+      const rendering = !rendered ? 'none (HTML as shipped)'
+        : rendered.renderer === 'scripts' ? 'page scripts in a restricted child process' : 'static, collapsed content revealed';
       
-      if (useJavaScript) {
-        // Process with jQuery to reveal hidden content
-        const processedHTML = await this.processZipWithJQuery(zipBuffer);
-        
-        return {
-          content: [
-            {
-              type: "text", 
-              text: `Enhanced EDSS Documentation (${targetLink.release} ${apiVersion})\n` +
-                   `Source: ${targetLink.zipUrl}\n` +
-                   `Processed with jQuery: ${useJavaScript ? 'YES' : 'NO'}\n\n` +
-                   processedHTML
-            }
-          ]
-        };
-      } else {
-        // Standard ZIP extraction
-        const zip = new JSZip();
-        const contents = await zip.loadAsync(zipBuffer);
-        
-        let htmlContent = '';
-        for (const [path, file] of Object.entries(contents.files)) {
-          if (path.endsWith('.html') && !file.dir) {
-            htmlContent = await file.async('text');
-            break;
-          }
-        }
-        
-        return {
-          content: [
-            {
-              type: "text",
-              text: `EDSS Documentation (${targetLink.release} ${apiVersion})\n` +
-                   `Source: ${targetLink.zipUrl}\n\n` +
-                   htmlContent
-            }
-          ]
-        };
-      }
-    } catch (error) {
       return {
         content: [
           {
             type: "text",
-            text: `Error retrieving enhanced documentation: ${error.message}`
+            text: `${useJavaScript ? 'Enhanced EDSS Documentation' : 'EDSS Documentation'} (${targetLink.release} ${apiVersion})\n` +
+                 `Source: ${targetLink.zipUrl}\n` +
+                 (notice ? `${notice}\n` : '') +
+                 `Rendering: ${rendering}\n` +
+                 `Format: ${format}, ~${estimateTokens(text)} tokens\n\n` +
+                 text
           }
         ]
       };
+    } catch (error) {
+      throw withContext(withUrl(error, targetLink?.zipUrl), 'Enhanced documentation retrieval failed');
     }
   }
 
   /**
-   * Process ZIP file with jQuery to reveal hidden content
+   * A server filesystem path given in a tool argument. Over HTTP the caller is
+   * a remote client, so only configured sources and paths under `fileRoots`
+   * are accepted; without roots, path arguments are refused.
    */
-  async processZipWithJQuery(zipBuffer) {
-    try {
-      const zip = new JSZip();
-      const contents = await zip.loadAsync(zipBuffer);
-      
-      // Find HTML and jQuery files
-      let mainHTML = '';
-      let jqueryCode = '';
-      
-      for (const [path, file] of Object.entries(contents.files)) {
-        if (path.endsWith('.html') && !file.dir && !mainHTML) {
-          mainHTML = await file.async('text');
-        }
-        if (path.includes('jquery') && path.endsWith('.js')) {
-          jqueryCode = await file.async('text');
-        }
-      }
-      
-      if (!mainHTML) {
-        throw new Error('No HTML file found in ZIP');
-      }
-      
-      if (!jqueryCode) {
-        console.warn('No jQuery found in ZIP, returning unprocessed HTML');
-        return mainHTML;
-      }
-      
-      // Create virtual DOM
-      const dom = new JSDOM(mainHTML, {
-        runScripts: "dangerously",
-        resources: "usable"
+  checkFilePath(value, argument) {
+    if (!this.remote) {
+      return value;
+    }
+    const path = localSourcePath(value);
+    const allowed = this.config.sources.includes(path) ||
+      this.config.fileRoots.some(root => path === root || path.startsWith(root.endsWith(sep) ? root : `${root}${sep}`));
+    if (!allowed) {
+      throw new DocumentationError(`${argument} ${value} is outside the directories this server shares over HTTP`, {
+        code: 'path-not-allowed',
+        hints: this.config.fileRoots.length > 0
+          ? [`Use a path under ${this.config.fileRoots.join(', ')}`]
+          : ['Paths on the server are not available over HTTP unless the server sets fileRoots (JDSS_DOC_FILE_ROOTS)']
       });
-      
-      const window = dom.window;
-      const document = window.document;
-      
-      // Inject jQuery
-      const scriptElement = document.createElement('script');
-      scriptElement.textContent = jqueryCode;
-      document.head.appendChild(scriptElement);
-      
-      // Wait for jQuery to load and then reveal content
-      await new Promise(resolve => {
-        setTimeout(async () => {
-          try {
-            await this.revealAllContent(window);
-          } catch (error) {
-            console.warn('jQuery processing error:', error.message);
-          }
-          resolve();
-        }, 1000);
+    }
+    return path;
+  }
+
+  /**
+   * Reject a count argument (page, page size, depth) that is not a whole number of at least 1
+   */
+  checkPositiveInteger(value, argument) {
+    if (!Number.isInteger(value) || value < 1) {
+      throw new ValidationError(`${argument} must be a whole number of 1 or more, got ${JSON.stringify(value)}`);
+    }
+    return value;
+  }
+
+  /**
+   * Find the discovered link for a version ('latest', 'trunk', release name or local source)
+   */
+  async resolveDocumentationLink(version = 'latest', apiVersion = 'v4') {
+    if (isLocalSource(version)) {
+      return describeLocalSource(this.checkFilePath(version, 'version'));
+    }
+    
+    const links = await this.discoverDocumentationLinks();
+    const lookupKey = `${version.toLowerCase()}_${apiVersion}`;
+    
+    let targetLink = null;
+    if (links[lookupKey]) {
+      targetLink = links[lookupKey];
+    } else if (links[version.toLowerCase()]) {
+      // Discovered key such as 'jeffersonville_v4'
+      targetLink = links[version.toLowerCase()];
+    }
+    
+    if (!targetLink) {
+      const releases = Object.keys(links)
+        .filter(key => key.endsWith(`_${apiVersion}`))
+        .map(key => key.slice(0, -apiVersion.length - 1));
+      const otherVersions = Object.keys(links)
+        .filter(key => key.startsWith(`${version.toLowerCase()}_`))
+        .map(key => key.slice(version.length + 1));
+      throw new ReleaseNotFoundError(`Could not find documentation for version: ${version}, apiVersion: ${apiVersion}`, {
+        hints: [
+          releases.length > 0
+            ? `Available ${apiVersion} releases are: ${releases.join(', ')}`
+            : `No ${apiVersion} documentation was discovered`,
+          ...(otherVersions.length > 0 ? [`${version} is documented for: ${otherVersions.join(', ')}`] : []),
+          'Run list_documentation_releases with refresh: true to rediscover the published releases'
+        ]
       });
-      
-      return document.documentElement.outerHTML;
-      
-    } catch (error) {
-      throw new Error(`jQuery processing failed: ${error.message}`);
     }
+    
+    return targetLink;
+  }
+
+  /**
+   * Section outline of the main documentation page, cached like the endpoint model
+   */
+  async loadDocumentationOutline(version = 'latest', apiVersion = 'v4') {
+    const link = await this.resolveDocumentationLink(version, apiVersion);
+    const cacheKey = link.localPath ? `${link.zipUrl}#${link.modified}` : link.zipUrl;
+    const cached = this.outlineCache.get(cacheKey);
+    if (cached && (Date.now() - cached.loadedAt) < this.cacheTimeout) {
+      return cached;
+    }
+    
+    const archive = await this.cache.fetchZip(link);
+    const html = await this.extractMainHTML(archive.buffer).catch(error => {
+      throw withUrl(error, link.zipUrl);
+    });
+    const entry = {
+      link: link,
+      html: html,
+      outline: DocumentationOutline.fromHTML(html),
+      freshness: archive.freshness,
+      loadedAt: Date.now()
+    };
+    if (!archive.freshness.stale || this.cache.offline) {
+      this.outlineCache.set(cacheKey, entry);
+    }
+    return entry;
   }
 
   /**
-   * Reveal all hidden content using jQuery
+   * Load the structured endpoint model for a version, parsed from the rendered DOM
    */
-  async revealAllContent(window) {
-    const $ = window.$;
-    if (!$) {
-      throw new Error('jQuery not available');
+  async loadEndpointModel(version = 'latest', apiVersion = 'v4') {
+    return this.loadLinkModel(await this.resolveDocumentationLink(version, apiVersion));
+  }
+
+  async loadLinkModel(link, { revalidate = false } = {}) {
+    // Local sources can be replaced in place, so their snapshot is part of the key
+    const cacheKey = link.localPath ? `${link.zipUrl}#${link.modified}` : link.zipUrl;
+    const cached = this.modelCache.get(cacheKey);
+    if (cached && !revalidate && (Date.now() - cached.loadedAt) < this.cacheTimeout) {
+      return cached.model;
     }
     
-    // Simulate clicks on all toggle buttons
-    $('.toggleOperation').each(function() {
+    const archive = await this.cache.fetchZip(link);
+    let model = await this.cache.readModel(link, archive.meta);
+    
+    if (!model) {
+      const { document } = await this.renderDocumentationZip(archive.buffer).catch(error => {
+        throw withUrl(error, link.zipUrl);
+      });
       try {
-        $(this).trigger('click');
-      } catch (e) {
-        // Ignore individual click errors
+        model = new EndpointModelParser(document, {
+          release: link.release,
+          apiVersion: link.apiVersion,
+          source: link.zipUrl
+        }).parse();
+      } catch (error) {
+        throw new ParseError(`Could not read the endpoints of ${link.release} ${link.apiVersion}: ${error.message}`, {
+          url: link.zipUrl,
+          cause: error
+        });
       }
+      await this.cache.writeModel(link, archive.meta, model).catch(error => {
+        console.warn('Could not persist endpoint model:', error.message);
+      });
+    }
+    
+    await this.recordReleaseMetadata(link, archive, model).catch(error => {
+      console.warn('Could not record release metadata:', error.message);
     });
+    model = { ...model, freshness: archive.freshness };
+    
+    // Stale snapshots are retried on the next call unless we are offline on purpose
+    if (!archive.freshness.stale || this.cache.offline) {
+      this.modelCache.set(cacheKey, { model, loadedAt: Date.now() });
+    }
+    return model;
+  }
+
+  /**
+   * Human readable marker for documentation served from a stale snapshot
+   */
+  staleNotice(...freshnessList) {
+    const stale = freshnessList.filter(freshness => freshness && freshness.stale);
+    if (stale.length === 0) {
+      return null;
+    }
+    return stale
+      .map(freshness => `Stale since ${freshness.staleSince} (served from local cache: ${freshness.reason})`)
+      .join('\n');
+  }
+
+  /**
+   * Tool result for a failure: `isError` set, the message with the URL
+   * attempted and remediation hints, then the error as JSON for clients
+   */
+  toolError(error) {
+    const failure = error instanceof DocumentationError ? error : new DocumentationError(error.message, { cause: error });
+    const lines = [`Error: ${failure.message}`];
+    if (failure.url) {
+      lines.push(`URL: ${failure.url}`);
+    }
+    lines.push(...failure.hints.map(hint => `Hint: ${hint}`));
+    
+    return {
+      isError: true,
+      content: [
+        {
+          type: "text",
+          text: lines.join('\n')
+        },
+        {
+          type: "text",
+          text: JSON.stringify({ error: failure.toJSON() }, null, 2)
+        }
+      ]
+    };
+  }
+
+  /**
+   * Append a stale marker to a tool result when any source was served from cache
+   */
+  withStaleNotice(result, ...freshnessList) {
+    const notice = this.staleNotice(...freshnessList);
+    if (notice) {
+      result.content.push({ type: "text", text: notice });
+    }
+    return result;
+  }
+
+  async extractMainHTML(zipBuffer) {
+    return (await readDocumentationPage(zipBuffer)).html;
+  }
+
+  /**
+   * Build the documentation DOM from a ZIP with the collapsed operations revealed.
+   * No page script runs unless `renderScripts` is enabled, and then only in a
+   * restricted child process for pages whose content is built by their scripts.
+   */
+  async renderDocumentationZip(zipBuffer) {
+    const page = await readDocumentationPage(zipBuffer);
+    const document = renderStatic(page.html);
+    if (!this.config.renderScripts || !needsScripts(document)) {
+      return { document, renderer: 'static' };
+    }
     
-    // Force show hidden elements
-    $('div[style*="display: none"]').show();
-    $('.content.func_doc').show();
-    $('.content.func_src').show(); 
-    $('.operation').show();
-    $('.endpoint').show();
+    try {
+      const rendered = await renderWithScripts(page, {
+        timeout: this.config.scriptTimeout,
+        memoryMb: this.config.scriptMemoryMb
+      });
+      return { document: rendered, renderer: 'scripts' };
+    } catch (error) {
+      console.warn(`${error.message}; using the static rendering`);
+      return { document, renderer: 'static' };
+    }
+  }
+
+  async getDocumentation(args) {
+    const { version = "latest", apiVersion = "v4", section, format = "markdown", page = 1, pageSize = 20000 } = args || {};
     
-    // Remove any remaining display: none styles
-    $('[style*="display: none"]').css('display', '');
+    try {
+      this.checkPositiveInteger(page, 'page');
+      this.checkPositiveInteger(pageSize, 'pageSize');
+      const { link, html, outline, freshness } = await this.loadDocumentationOutline(version, apiVersion);
+      
+      let content = html;
+      let found = null;
+      if (section) {
+        found = outline.find(section);
+        if (!found) {
+          const available = outline.tableOfContents(1).map(item => item.id).join(', ');
+          throw new NotFoundError(`Section "${section}" not found; available sections: ${available}`);
+        }
+        content = found.html;
+      }
+      
+      const result = renderDocumentationPage(content, { format, page, pageSize });
+      const position = [
+        `${link.release} ${link.apiVersion}`,
+        found ? `section ${found.id} ("${found.title}")` : 'full page',
+        format,
+        `page ${result.page} of ${result.pages}`,
+        `characters ${result.from + 1}-${result.to} of ${result.total}`,
+        `~${estimateTokens(result.text)} tokens (~${estimateTokens(result.total)} in all pages)`
+      ].join(', ');
+      
+      return this.withStaleNotice({
+        content: [
+          {
+            type: "text",
+            text: result.text
+          },
+          {
+            type: "text",
+            text: result.page < result.pages ? `[${position}; request page ${result.page + 1} for more]` : `[${position}]`
+          }
+        ]
+      }, freshness);
+    } catch (error) {
+      throw withContext(error, 'Documentation retrieval failed');
+    }
   }
 
-  async getDocumentation(args) {
-    const version = args?.version || "latest";
-    const section = args?.section;
+  async listSections(args) {
+    const { version = "latest", apiVersion = "v4", depth } = args || {};
     
     try {
-      const url = version === "latest" ? this.legacyDocUrls.latest : this.legacyDocUrls.trunk;
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`Failed to fetch documentation: ${response.status} ${response.statusText}`);
+      if (depth !== undefined) {
+        this.checkPositiveInteger(depth, 'depth');
       }
-
-      const content = await response.text();
+      const { link, outline, freshness } = await this.loadDocumentationOutline(version, apiVersion);
       
-      return {
+      return this.withStaleNotice({
         content: [
           {
             type: "text",
-            text: section ? this.extractSection(content, section) : content
+            text: JSON.stringify({
+              release: link.release,
+              apiVersion: link.apiVersion,
+              total: outline.sections.length,
+              sections: outline.tableOfContents(depth ?? Infinity)
+            }, null, 2)
           }
         ]
-      };
+      }, freshness);
     } catch (error) {
-      throw new Error(`Documentation retrieval failed: ${error.message}`);
+      throw withContext(error, 'Listing sections failed');
     }
   }
 
   async downloadDocumentation(args) {
+    const version = args?.version || "latest";
+    const link = await this.resolveDocumentationLink(version, "v4");
     return {
       content: [
         {
           type: "text",
           text: JSON.stringify({
-            zipUrl: this.legacyDocUrls.latestZip,
+            zipUrl: link.zipUrl,
+            mirrors: (link.mirrors || []).map(mirror => mirror.zipUrl),
             description: "Download complete EDSS documentation as ZIP",
             contentType: "application/zip",
-            version: "latest"
+            version: version
           }, null, 2)
         }
       ]
@@ -558,216 +1630,757 @@ class EDSSDocumentationMCPServer {
   }
 
   async searchDocumentation(args) {
-    const { query, version = "latest" } = args;
+    const { query, version = "latest", apiVersion, limit = 20 } = args || {};
     
     try {
-      const versions = version === "both" ? ["latest", "trunk"] : [version];
-      const results = [];
+      const links = await this.resolveSearchLinks(query, version, apiVersion);
+      const freshnessList = [];
+      const skipped = [];
+      const sources = [];
 
-      for (const ver of versions) {
-        const url = ver === "latest" ? this.legacyDocUrls.latest : this.legacyDocUrls.trunk;
-        const response = await fetch(url);
-        
-        if (response.ok) {
-          const content = await response.text();
-          const matches = this.findMatches(content, query, ver);
-          results.push(...matches);
+      for (const link of links) {
+        const key = link.zipUrl;
+        sources.push(key);
+        try {
+          const model = await this.loadLinkModel(link);
+          if (!this.searchIndex.hasSnapshot(key, model)) {
+            this.searchIndex.addModel(key, model);
+          }
+          freshnessList.push(model.freshness);
+        } catch (error) {
+          skipped.push({ release: link.release, apiVersion: link.apiVersion, error: error.message });
         }
       }
 
-      return {
+      const { total, results } = this.searchIndex.search(query, { limit, sources });
+
+      return this.withStaleNotice({
         content: [
           {
             type: "text",
             text: JSON.stringify({
               query: query,
+              searched: links.map(link => `${link.release} ${link.apiVersion}`),
+              skipped: skipped.length > 0 ? skipped : undefined,
               results: results,
-              total: results.length
+              total: total
             }, null, 2)
           }
         ]
-      };
+      }, ...freshnessList);
     } catch (error) {
-      throw new Error(`Search failed: ${error.message}`);
+      throw withContext(error, 'Search failed');
+    }
+  }
+
+  /**
+   * Releases to search: those named by `release:` / `api:` filters of the
+   * query, otherwise the `version` selector
+   */
+  async resolveSearchLinks(query, version, apiVersion) {
+    const { filters } = parseQuery(query);
+    const releases = filters.filter(filter => filter.field === 'release').map(filter => filter.value);
+    const api = filters.find(filter => filter.field === 'apiVersion')?.value || apiVersion;
+    if (releases.length === 0) {
+      return this.resolveDocumentationLinks(version, api);
+    }
+    
+    const links = await this.discoverDocumentationLinks();
+    const unique = new Map();
+    for (const link of Object.values(links)) {
+      if (releases.includes(String(link.release).toLowerCase()) && (!api || link.apiVersion === api)) {
+        unique.set(link.zipUrl, link);
+      }
+    }
+    if (unique.size === 0) {
+      const available = [...new Set(Object.values(links)
+        .filter(link => !api || link.apiVersion === api)
+        .map(link => String(link.release).toLowerCase()))];
+      throw new ReleaseNotFoundError(`No discovered release matches release:${releases.join(', release:')}${api ? ` api:${api}` : ''}`, {
+        hints: [`Available releases are: ${available.join(', ')}`]
+      });
+    }
+    return [...unique.values()];
+  }
+
+  /**
+   * Resolve a version selector to distinct documentation links:
+   * 'both' (latest + trunk), 'all' (every discovered release) or a single version
+   */
+  async resolveDocumentationLinks(version = "latest", apiVersion) {
+    if (version === "all") {
+      const links = await this.discoverDocumentationLinks();
+      const unique = new Map();
+      for (const link of Object.values(links)) {
+        if (!apiVersion || link.apiVersion === apiVersion) {
+          unique.set(link.zipUrl, link);
+        }
+      }
+      return [...unique.values()];
+    }
+
+    const versions = version === "both" ? ["latest", "trunk"] : [version];
+    const links = [];
+    for (const ver of versions) {
+      links.push(await this.resolveDocumentationLink(ver, apiVersion || "v4"));
     }
+    return links;
   }
 
   async analyzeEndpoints(args) {
-    const { version = "latest", detailed = false } = args;
+    const { version = "latest", apiVersion = "v4", section, detailed = false } = args || {};
     
     try {
-      const url = version === "latest" ? this.legacyDocUrls.latest : this.legacyDocUrls.trunk;
-      const response = await fetch(url);
+      const model = await this.loadEndpointModel(version, apiVersion);
+      const sectionFilter = section ? section.toLowerCase() : null;
+      const operations = model.operations.filter(operation => !sectionFilter ||
+        operation.sectionId === sectionFilter || operation.section.toLowerCase() === sectionFilter);
       
-      if (!response.ok) {
-        throw new Error(`Failed to fetch documentation: ${response.status}`);
-      }
+      const endpoints = detailed ? operations : operations.map(operation => ({
+        method: operation.method,
+        path: operation.path,
+        summary: operation.summary,
+        section: operation.section
+      }));
 
-      const content = await response.text();
-      const endpoints = this.extractEndpoints(content, detailed);
-
-      return {
+      return this.withStaleNotice({
         content: [
           {
             type: "text", 
             text: JSON.stringify({
               version: version,
+              release: model.release,
+              apiVersion: model.apiVersion,
+              sections: model.sections.map(s => ({ id: s.id, title: s.title, operations: s.operationIds.length })),
+              methods: this.countBy(operations, operation => operation.method),
               endpoints: endpoints,
               total: endpoints.length,
               detailed: detailed
             }, null, 2)
           }
         ]
-      };
+      }, model.freshness);
     } catch (error) {
-      throw new Error(`Analysis failed: ${error.message}`);
+      throw withContext(error, 'Analysis failed');
     }
   }
 
   async compareVersions(args) {
-    const { focus = "summary" } = args;
+    const { focus = "summary", from = "latest", to = "trunk", apiVersion = "v4", format = "markdown" } = args || {};
     
     try {
-      const [latestResponse, trunkResponse] = await Promise.all([
-        fetch(this.legacyDocUrls.latest),
-        fetch(this.legacyDocUrls.trunk)
+      const [fromModel, toModel] = await Promise.all([
+        this.loadEndpointModel(from, apiVersion),
+        this.loadEndpointModel(to, apiVersion)
       ]);
 
-      if (!latestResponse.ok || !trunkResponse.ok) {
-        throw new Error("Failed to fetch both versions");
+      let text;
+      if (focus === "semantic") {
+        const diff = new DocumentationDiff(fromModel, toModel).compare();
+        text = format === "json" ? JSON.stringify(diff, null, 2) : formatChangelog(diff);
+      } else {
+        text = JSON.stringify(this.compareContent(fromModel, toModel, focus), null, 2);
       }
 
-      const [latestContent, trunkContent] = await Promise.all([
-        latestResponse.text(),
-        trunkResponse.text()
-      ]);
+      return this.withStaleNotice({
+        content: [
+          {
+            type: "text",
+            text: text
+          }
+        ]
+      }, fromModel.freshness, toModel.freshness);
+    } catch (error) {
+      throw withContext(error, 'Comparison failed');
+    }
+  }
 
-      const comparison = this.compareContent(latestContent, trunkContent, focus);
+  /**
+   * Build an OpenAPI 3.1 document (as text) for a documentation release
+   */
+  async buildOpenAPISpecification(version = "latest", apiVersion = "v4", format = "yaml") {
+    const model = await this.loadEndpointModel(version, apiVersion);
+    const document = new OpenAPIExporter(model).build();
+    const text = format === "json" ? JSON.stringify(document, null, 2) : toYAML(document) + "\n";
+    return { model, document, text };
+  }
 
-      return {
+  async exportOpenAPI(args) {
+    const { version = "latest", apiVersion = "v4", format = "yaml" } = args || {};
+    
+    try {
+      const { model, text } = await this.buildOpenAPISpecification(version, apiVersion, format);
+      
+      return this.withStaleNotice({
         content: [
           {
             type: "text",
-            text: JSON.stringify(comparison, null, 2)
+            text: text
           }
         ]
-      };
+      }, model.freshness);
     } catch (error) {
-      throw new Error(`Comparison failed: ${error.message}`);
+      throw withContext(error, 'OpenAPI export failed');
     }
   }
 
-  // Helper methods
-  extractSection(content, section) {
-    const sectionRegex = new RegExp(`<h[1-6][^>]*>${section}.*?</h[1-6]>.*?(?=<h[1-6]|$)`, 'is');
-    const match = content.match(sectionRegex);
-    return match ? match[0] : `Section "${section}" not found`;
-  }
-
-  findMatches(content, query, version) {
-    const regex = new RegExp(query, 'gi');
-    const matches = [];
-    const lines = content.split('\n');
-
-    lines.forEach((line, index) => {
-      if (regex.test(line)) {
-        matches.push({
-          version: version,
-          line: index + 1,
-          content: line.trim(),
-          context: lines.slice(Math.max(0, index - 1), index + 2)
-        });
+  /**
+   * Generate the TypeScript client for a release, writing it to `outputDir` when given
+   */
+  async buildTypeScriptClient(version = "latest", apiVersion = "v4", options = {}) {
+    const model = await this.loadEndpointModel(version, apiVersion);
+    const files = new TypeScriptClientGenerator(model, { className: options.className }).generate();
+    const result = options.outputDir ? await writeGeneratedFiles(options.outputDir, files) : null;
+    return { model, files, result };
+  }
+
+  /**
+   * Payload models of a release: the list, or one model as JSON Schema with its usage
+   */
+  async getSchema(args) {
+    const { model: name, version = "latest", apiVersion = "v4" } = args || {};
+    
+    try {
+      const model = await this.loadEndpointModel(version, apiVersion);
+      const catalog = new SchemaCatalog(model);
+      
+      let result;
+      if (!name) {
+        result = { release: model.release, apiVersion: model.apiVersion, models: catalog.list() };
+      } else {
+        const entry = catalog.find(name);
+        if (!entry) {
+          const similar = catalog.suggestions(name);
+          throw new NotFoundError(`No model "${name}" in ${model.release} ${model.apiVersion}` +
+            (similar.length > 0 ? `; similar: ${similar.join(', ')}` : '; call without a model to list them'));
+        }
+        result = {
+          release: model.release,
+          apiVersion: model.apiVersion,
+          model: entry.name,
+          parent: entry.parent || undefined,
+          nested: catalog.children(entry.name),
+          usedBy: catalog.usage(entry.name),
+          schema: catalog.jsonSchema(entry.name)
+        };
       }
-    });
+      
+      return this.withStaleNotice({
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }
+        ]
+      }, model.freshness);
+    } catch (error) {
+      throw withContext(error, 'Schema lookup failed');
+    }
+  }
+
+  /**
+   * Operations matching a resource, intent, parameter, response field or question
+   */
+  async findOperations(args) {
+    const { query, resource, intent, parameter, field, limit = 20, version = "latest", apiVersion = "v4" } = args || {};
+    
+    try {
+      if (!query && !resource && !intent && !parameter && !field) {
+        throw new ValidationError('Provide a query, resource, intent, parameter or field');
+      }
+      const model = await this.loadEndpointModel(version, apiVersion);
+      const found = new OperationFinder(model).find({ query, resource, intent, parameter, field, limit });
+      
+      return this.withStaleNotice({
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ release: model.release, apiVersion: model.apiVersion, ...found }, null, 2)
+          }
+        ]
+      }, model.freshness);
+    } catch (error) {
+      throw withContext(error, 'Operation lookup failed');
+    }
+  }
 
-    return matches;
+  /**
+   * v3 → v4 migration: the operation mapping, or a table for the given calls
+   */
+  async planMigration(args) {
+    const { calls, from = "latest", to, format = "markdown" } = args || {};
+    
+    try {
+      const [fromModel, toModel] = await Promise.all([
+        this.loadEndpointModel(from, "v3"),
+        this.loadEndpointModel(to || from, "v4")
+      ]);
+      const planner = new MigrationPlanner(fromModel, toModel);
+      const result = calls ? planner.migrate(calls) : planner.plan();
+      
+      return this.withStaleNotice({
+        content: [
+          {
+            type: "text",
+            text: format === "json" ? JSON.stringify(result, null, 2) : formatMigration(result)
+          }
+        ]
+      }, fromModel.freshness, toModel.freshness);
+    } catch (error) {
+      throw withContext(error, 'Migration planning failed');
+    }
   }
 
-  extractEndpoints(content, detailed) {
-    const endpoints = [];
-    const endpointRegex = /(GET|POST|PUT|DELETE|PATCH)\s+([\/\w\-\{\}\.]+)/g;
-    let match;
+  /**
+   * Scan a source tree for REST calls and match them against a release, loading
+   * the documentation of every API version the calls use
+   */
+  async buildCoverageReport(directory, version = "latest", options = {}) {
+    const scan = await scanSourceTree(directory, { exclude: options.exclude });
+    if (options.apiVersion) {
+      scan.calls = scan.calls.filter(call => call.apiVersion === options.apiVersion);
+    }
+    const apiVersions = [...new Set(scan.calls.map(call => call.apiVersion))].sort().reverse();
+    if (apiVersions.length === 0) {
+      apiVersions.push(options.apiVersion || "v4");
+    }
 
-    while ((match = endpointRegex.exec(content)) !== null) {
-      const endpoint = {
-        method: match[1],
-        path: match[2]
-      };
+    const models = {};
+    const unavailable = {};
+    const failures = [];
+    for (const apiVersion of apiVersions) {
+      try {
+        const model = await this.loadEndpointModel(version, apiVersion);
+        // Discovered keys such as 'jeffersonville_v4' name their own API version
+        if (model.apiVersion !== apiVersion) {
+          throw new ReleaseNotFoundError(`No ${apiVersion} documentation for ${version}`);
+        }
+        models[apiVersion] = model;
+      } catch (error) {
+        unavailable[apiVersion] = error instanceof ReleaseNotFoundError
+          ? `No ${apiVersion} documentation for ${version}`
+          : error.message;
+        failures.push(error);
+      }
+    }
+    if (Object.keys(models).length === 0) {
+      throw failures[0];
+    }
+    return { models: Object.values(models), report: coverageReport(models, scan, { unavailable }) };
+  }
 
-      if (detailed) {
-        // Extract additional details if requested
-        endpoint.description = this.extractEndpointDescription(content, match.index);
-        endpoint.parameters = this.extractParameters(content, match.index);
+  async reportCoverage(args) {
+    const { directory, version = "latest", apiVersion, exclude, format = "markdown" } = args || {};
+    
+    try {
+      if (!directory) {
+        throw new ValidationError('A directory is required');
+      }
+      const { models, report } = await this.buildCoverageReport(this.checkFilePath(directory, 'directory'), version, { apiVersion, exclude });
+      
+      return this.withStaleNotice({
+        content: [
+          {
+            type: "text",
+            text: format === "json" ? JSON.stringify(report, null, 2) : formatCoverage(report)
+          }
+        ]
+      }, ...models.map(model => model.freshness));
+    } catch (error) {
+      throw withContext(error, 'Coverage report failed');
+    }
+  }
+
+  /**
+   * Run a documented call against the configured appliance (see lib/appliance-bridge.js)
+   */
+  async callApi(args) {
+    const { method = "GET", path, query, body, version = "latest" } = args || {};
+    
+    try {
+      if (!this.config.applianceUrl) {
+        throw new ApplianceNotConfiguredError('No appliance configured');
+      }
+      if (!path) {
+        throw new ValidationError('A path is required');
       }
+      const apiVersion = args.apiVersion || String(path).match(/\/api\/(v\d+)(?=\/|$)/)?.[1] || "v4";
+      const model = await this.loadEndpointModel(version, apiVersion);
+      const result = await this.getApplianceBridge().call(model, { method, path, query, body });
+      
+      return this.withStaleNotice({
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ release: model.release, apiVersion: model.apiVersion, ...result }, null, 2)
+          }
+        ]
+      }, model.freshness);
+    } catch (error) {
+      throw withContext(error, 'API call failed');
+    }
+  }
 
-      endpoints.push(endpoint);
+  getApplianceBridge() {
+    if (!this.applianceBridge) {
+      this.applianceBridge = new ApplianceBridge({
+        url: this.config.applianceUrl,
+        username: this.config.applianceUser,
+        password: this.config.appliancePassword,
+        allowMethods: this.config.applianceAllowMethods,
+        insecureTls: this.config.applianceInsecureTls,
+        timeout: this.config.applianceTimeout,
+        auditLog: this.config.applianceAuditLog
+      });
     }
+    return this.applianceBridge;
+  }
+
+  async buildMockAppliance(version = "latest", apiVersion = "v4", options = {}) {
+    const model = await this.loadEndpointModel(version, apiVersion);
+    return { model, appliance: new MockAppliance(model, { stateful: options.stateful !== false }) };
+  }
 
-    return endpoints;
+  async generateClient(args) {
+    const { version = "latest", apiVersion = "v4", outputDir, className } = args || {};
+    
+    try {
+      const { model, files, result } = await this.buildTypeScriptClient(version, apiVersion, {
+        outputDir: outputDir && this.checkFilePath(outputDir, 'outputDir'),
+        className
+      });
+      
+      const content = result ? [
+        {
+          type: "text",
+          text: JSON.stringify({
+            release: model.release,
+            apiVersion: model.apiVersion,
+            operations: model.operations.length,
+            outputDir: outputDir,
+            written: result.written,
+            unchanged: result.unchanged
+          }, null, 2)
+        }
+      ] : Object.entries(files).map(([name, text]) => ({
+        type: "text",
+        text: `// ${name}\n${text}`
+      }));
+      
+      return this.withStaleNotice({ content }, model.freshness);
+    } catch (error) {
+      throw withContext(error, 'Client generation failed');
+    }
   }
 
-  extractEndpointDescription(content, index) {
-    const beforeContext = content.substring(Math.max(0, index - 200), index);
-    const descMatch = beforeContext.match(/<p[^>]*>(.*?)<\/p>/s);
-    return descMatch ? descMatch[1].replace(/<[^>]+>/g, '').trim() : '';
+  async validateRequest(args) {
+    const { method, path, query, body, version = "latest", apiVersion = "v4" } = args || {};
+    
+    try {
+      if (!method || !path) {
+        throw new ValidationError('Both method and path are required');
+      }
+      
+      const request = { method, path, query, body };
+      let model = await this.loadEndpointModel(version, apiVersion);
+      let result = new RequestValidator(model).validate(request);
+      const availability = await this.operationAvailability(method, path, apiVersion);
+      const freshnessList = [model.freshness];
+      
+      // Not in the selected release: validate against trunk and say so
+      if (!result.operation && availability.trunkOnly && model.release !== 'trunk') {
+        const releaseIssue = {
+          severity: 'error',
+          code: 'trunk-only',
+          location: 'path',
+          message: `${method.toUpperCase()} ${path} is only documented in trunk, not in ${model.release} ${model.apiVersion}`
+        };
+        model = await this.loadEndpointModel('trunk', apiVersion);
+        freshnessList.push(model.freshness);
+        result = new RequestValidator(model).validate(request);
+        result.issues.unshift(releaseIssue);
+      }
+      
+      const errors = result.issues.filter(item => item.severity === 'error');
+      
+      return this.withStaleNotice({
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              valid: errors.length === 0,
+              release: model.release,
+              apiVersion: model.apiVersion,
+              operation: result.operation ? {
+                id: result.operation.id,
+                summary: result.operation.summary,
+                section: result.operation.section
+              } : null,
+              pathParameters: result.pathParameters,
+              availability: availability,
+              errors: errors,
+              warnings: result.issues.filter(item => item.severity === 'warning')
+            }, null, 2)
+          }
+        ]
+      }, ...freshnessList);
+    } catch (error) {
+      throw withContext(error, 'Request validation failed');
+    }
   }
 
-  extractParameters(content, index) {
-    const afterContext = content.substring(index, Math.min(content.length, index + 500));
-    const paramRegex = /"([^"]+)"\s*:\s*"([^"]+)"/g;
-    const parameters = [];
-    let paramMatch;
+  /**
+   * Whether a call is documented in the latest release and in trunk
+   */
+  async operationAvailability(method, path, apiVersion = "v4") {
+    const availability = {};
+    
+    for (const version of ["latest", "trunk"]) {
+      try {
+        const model = await this.loadEndpointModel(version, apiVersion);
+        availability[version] = Boolean(matchOperation(model.operations, method.toUpperCase(), path).operation);
+      } catch (error) {
+        availability[version] = null;
+      }
+    }
+    
+    availability.trunkOnly = availability.trunk === true && availability.latest === false;
+    return availability;
+  }
 
-    while ((paramMatch = paramRegex.exec(afterContext)) !== null) {
-      parameters.push({
-        name: paramMatch[1],
-        type: paramMatch[2]
+  async generateExample(args) {
+    const { method, path, pathParameters, query, body, languages, appliance, version = "latest", apiVersion = "v4" } = args || {};
+    
+    try {
+      if (!method || !path) {
+        throw new ValidationError('Both method and path are required');
+      }
+      
+      const model = await this.loadEndpointModel(version, apiVersion);
+      const match = matchOperation(model.operations, method.toUpperCase(), path);
+      if (!match.operation) {
+        throw new NotFoundError(match.allowedMethods.length > 0
+          ? `${method.toUpperCase()} is not documented for ${path} in ${model.release} ${model.apiVersion}; documented methods: ${match.allowedMethods.join(', ')}`
+          : `No documented operation matches ${method.toUpperCase()} ${path} in ${model.release} ${model.apiVersion}`);
+      }
+      
+      // Values of a concrete path count as given path parameters; templated segments do not
+      const concrete = Object.fromEntries(Object.entries(match.pathParameters)
+        .filter(([, value]) => !/^[{<].*[}>]$/.test(value)));
+      const example = new ExampleGenerator(model, { appliance }).generate(match.operation, {
+        pathParameters: { ...concrete, ...(pathParameters || {}) },
+        query: query || {},
+        body: body,
+        languages: languages && languages.length > 0 ? languages : undefined
       });
+      
+      const fences = { curl: 'sh', python: 'python', node: 'js', ansible: 'yaml' };
+      const notes = [
+        `${example.operation} (${model.release} ${model.apiVersion})`,
+        example.bodySource ? `Request body: from the ${example.bodySource}` : 'No request body',
+        'Credentials are read from JDSS_USER / JDSS_PASSWORD (Ansible: jdss_user / jdss_password)'
+      ];
+      if (example.placeholders.length > 0) {
+        notes.push(`Replace the placeholders: ${example.placeholders.map(name => `<${name}>`).join(', ')}`);
+      }
+      
+      return this.withStaleNotice({
+        content: [
+          {
+            type: "text",
+            text: [
+              notes.join('\n'),
+              ...Object.entries(example.snippets).map(([language, snippet]) => `${language}:\n\`\`\`${fences[language]}\n${snippet}\n\`\`\``)
+            ].join('\n\n')
+          }
+        ]
+      }, model.freshness);
+    } catch (error) {
+      throw withContext(error, 'Example generation failed');
     }
+  }
 
-    return parameters;
+  // Helper methods
+  countBy(items, keyOf) {
+    const counts = {};
+    for (const item of items) {
+      const key = keyOf(item);
+      counts[key] = (counts[key] || 0) + 1;
+    }
+    return counts;
   }
 
-  compareContent(latest, trunk, focus) {
+  compareContent(from, to, focus) {
     const comparison = {
       timestamp: new Date().toISOString(),
-      focus: focus
+      focus: focus,
+      from: `${from.release} ${from.apiVersion}`,
+      to: `${to.release} ${to.apiVersion}`
     };
 
+    const fromOps = new Map(from.operations.map(operation => [comparableKey(operation), operation]));
+    const toOps = new Map(to.operations.map(operation => [comparableKey(operation), operation]));
+    const diff = new DocumentationDiff(from, to).compare();
+
     if (focus === "summary" || focus === "all") {
       comparison.summary = {
-        latest_size: latest.length,
-        trunk_size: trunk.length,
-        size_difference: trunk.length - latest.length,
-        identical: latest === trunk
+        from_operations: from.operations.length,
+        to_operations: to.operations.length,
+        operation_difference: to.operations.length - from.operations.length,
+        from_sections: from.sections.length,
+        to_sections: to.sections.length,
+        breaking_changes: diff.summary.breaking,
+        identical: diff.changes.length === 0,
+        // Names from before `from`/`to`, kept for existing callers
+        latest_release: from.release,
+        trunk_release: to.release,
+        latest_operations: from.operations.length,
+        trunk_operations: to.operations.length,
+        latest_sections: from.sections.length,
+        trunk_sections: to.sections.length
       };
     }
 
     if (focus === "endpoints" || focus === "all") {
-      const latestEndpoints = this.extractEndpoints(latest, false);
-      const trunkEndpoints = this.extractEndpoints(trunk, false);
+      const brief = (operation) => ({ method: operation.method, path: operation.path, section: operation.section });
       
+      const fromOnly = [...fromOps].filter(([key]) => !toOps.has(key)).map(([, operation]) => brief(operation));
+      const toOnly = [...toOps].filter(([key]) => !fromOps.has(key)).map(([, operation]) => brief(operation));
       comparison.endpoints = {
-        latest_count: latestEndpoints.length,
-        trunk_count: trunkEndpoints.length,
-        latest_only: latestEndpoints.filter(le => 
-          !trunkEndpoints.some(te => te.method === le.method && te.path === le.path)
-        ),
-        trunk_only: trunkEndpoints.filter(te => 
-          !latestEndpoints.some(le => le.method === te.method && le.path === te.path)
-        )
+        from_count: from.operations.length,
+        to_count: to.operations.length,
+        from_only: fromOnly,
+        to_only: toOnly,
+        latest_count: from.operations.length,
+        trunk_count: to.operations.length,
+        latest_only: fromOnly,
+        trunk_only: toOnly
       };
     }
 
+    if (focus === "changes" || focus === "all") {
+      comparison.changes = diff.changes.filter(item => !item.type.startsWith('operation-'));
+    }
+
     return comparison;
   }
 
+  /**
+   * Connect an MCP session over a transport; subscriptions are dropped when it closes
+   */
+  async connect(transport, server = this.createMcpServer()) {
+    this.sessions.add(server);
+    server.onclose = () => {
+      this.sessions.delete(server);
+      for (const uri of [...this.subscriptions.keys()]) {
+        this.unsubscribe(server, uri);
+      }
+    };
+    await server.connect(transport);
+    return server;
+  }
+
+  /**
+   * Service status for the HTTP health endpoint
+   */
+  healthStatus() {
+    return {
+      status: "ok",
+      server: "edss-documentation-server",
+      version: "1.0.0",
+      uptime: Math.round((Date.now() - this.startedAt) / 1000),
+      sessions: this.sessions.size,
+      offline: this.config.offline,
+      hosts: this.config.hosts.map(host => host.name),
+      releases: this.discoveredLinks ? Object.keys(this.discoveredLinks).length : null,
+      lastDiscovery: this.lastDiscovery ? new Date(this.lastDiscovery).toISOString() : null,
+      parsedModels: this.modelCache.size,
+      watch: this.watcher ? this.watcher.status() : null
+    };
+  }
+
+  /**
+   * Change watcher using the configured interval, releases, log and command
+   */
+  createWatcher(options = {}) {
+    return new DocumentationWatcher(this, {
+      interval: this.config.watchInterval,
+      releases: this.config.watchReleases,
+      logFile: this.config.watchLog,
+      command: this.config.watchCommand,
+      onChange: event => this.publishChangeEvent(event),
+      ...options
+    });
+  }
+
+  startWatcher() {
+    if (!this.watcher) {
+      this.watcher = this.createWatcher().start();
+      console.error(`Watching documentation for changes every ${formatDuration(this.config.watchInterval)}`);
+    }
+    return this.watcher;
+  }
+
+  /**
+   * Tell connected clients about a change event: a log message (warning when
+   * something broke) plus the resource notifications of the changed release
+   */
+  async publishChangeEvent(event) {
+    this.outlineCache.delete(event.source);
+    
+    const level = event.summary.breaking > 0 ? 'warning' : 'notice';
+    const levels = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+    const sessions = [...this.sessions].filter(session =>
+      levels.indexOf(level) >= levels.indexOf(this.logLevels.get(session) || 'info'));
+    await Promise.allSettled(sessions.map(session => session.sendLoggingMessage({
+      level: level,
+      logger: 'jdss-doc-watch',
+      data: event
+    })));
+    
+    await this.notifyDocumentationChanges().catch(error => {
+      console.warn('Could not send documentation change notifications:', error.message);
+    });
+  }
+
   async run() {
     const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+    await this.connect(transport, this.server);
+    if (this.config.watch) {
+      this.startWatcher();
+    }
+  }
+
+  /**
+   * Serve MCP over HTTP/SSE on the configured port, one session per client
+   */
+  async runHttp() {
+    this.remote = true;
+    const httpServer = await startHttpServer(this, {
+      port: this.config.port,
+      host: this.config.bindAddress,
+      token: this.config.authToken
+    });
+    if (this.config.watch) {
+      this.startWatcher();
+    }
+    return httpServer;
   }
 }
 
-// Initialize and run server
-const server = new EDSSDocumentationMCPServer();
-await server.run();
\ No newline at end of file
+// Initialize and run server when executed directly (cli.js imports the class)
+const isMainModule = process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isMainModule) {
+  try {
+    const server = new EDSSDocumentationMCPServer(loadConfig());
+    if (server.config.port) {
+      await server.runHttp();
+    } else {
+      await server.run();
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
\ No newline at end of file
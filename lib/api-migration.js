@@ -0,0 +1,364 @@
+import { methodOnLine } from './endpoint-coverage.js';
+import { schemaFromExample } from './openapi-exporter.js';
+import { canonical, describeOperation } from './operation-finder.js';
+import { matchOperation } from './request-validator.js';
+import { comparableKey } from './version-diff.js';
+
+// Below this score two operations only share a word; above HIGH_SCORE they differ in naming only
+const MIN_SCORE = 6;
+const HIGH_SCORE = 8;
+const EXACT_SCORE = 10;
+
+/**
+ * Maps the operations of a v3 endpoint model to their v4 equivalents.
+ *
+ * Operations with the same method and path (prefix and path parameter names
+ * ignored) are `exact` matches. Otherwise a v4 operation qualifies when it
+ * has the same intent and resource (see operation-finder.js, so `zvols`
+ * matches `volumes`); the best one wins on path segments, accepted
+ * parameters and method. Matches that only differ in naming are `high`,
+ * the rest `low` confidence.
+ *
+ * Parameters of a matched pair are compared to report renames: path
+ * parameters by position, query and body fields by similar names
+ * (`volsize` → `vol_size`).
+ */
+export class MigrationPlanner {
+  constructor(from, to) {
+    this.from = from;
+    this.to = to;
+    this.candidates = to.operations.map(operation => ({ operation, ...describeOperation(operation) }));
+    this.mappings = new Map(from.operations.map(operation => [operation.id, this.mapOperation(operation)]));
+  }
+
+  mapOperation(operation) {
+    const source = { operation, ...describeOperation(operation) };
+    let best = null;
+    for (const candidate of this.candidates) {
+      const score = matchScore(source, candidate);
+      if (score >= MIN_SCORE && (!best || score > best.score ||
+        (score === best.score && pathDistance(operation, candidate.operation) < pathDistance(operation, best.operation)))) {
+        best = { operation: candidate.operation, score };
+      }
+    }
+
+    if (!best) {
+      return { from: operation.id, to: null, confidence: null, parameters: null };
+    }
+    return {
+      from: operation.id,
+      to: best.operation.id,
+      confidence: best.score >= EXACT_SCORE ? 'exact' : best.score >= HIGH_SCORE ? 'high' : 'low',
+      parameters: parameterChanges(operation, best.operation)
+    };
+  }
+
+  /**
+   * Mapping of every v3 operation, and the ones without a v4 counterpart
+   */
+  plan() {
+    const operations = [...this.mappings.values()];
+    return {
+      from: { release: this.from.release, apiVersion: this.from.apiVersion },
+      to: { release: this.to.release, apiVersion: this.to.apiVersion },
+      summary: summarize(operations),
+      operations: operations,
+      unmapped: operations.filter(mapping => !mapping.to).map(mapping => mapping.from)
+    };
+  }
+
+  /**
+   * Migration rows for the v3 calls found in a code snippet or a list of calls
+   */
+  migrate(text) {
+    const calls = extractCalls(text, this.from.apiVersion);
+    const rows = calls.map(call => this.migrateCall(call));
+    return {
+      from: { release: this.from.release, apiVersion: this.from.apiVersion },
+      to: { release: this.to.release, apiVersion: this.to.apiVersion },
+      summary: {
+        calls: rows.length,
+        replaced: rows.filter(row => row.replacement).length,
+        withoutCounterpart: rows.filter(row => row.operation && !row.replacement).length,
+        undocumented: rows.filter(row => !row.operation).length
+      },
+      calls: rows
+    };
+  }
+
+  migrateCall(call) {
+    const [path, queryString] = call.path.split('?');
+    const match = matchOperation(this.from.operations, call.method, path);
+    const row = { line: call.line, call: `${call.method} ${call.path}` };
+    if (!match.operation) {
+      return { ...row, operation: null,
+        note: match.malformed ? 'Malformed percent-encoding in the path' : `Not a documented ${this.from.apiVersion} call` };
+    }
+
+    const mapping = this.mappings.get(match.operation.id);
+    if (!mapping.to) {
+      return { ...row, operation: match.operation.id, replacement: null, note: `No ${this.to.apiVersion} counterpart` };
+    }
+
+    const target = this.to.operations.find(operation => operation.id === mapping.to);
+    const query = migrateQuery(queryString, mapping.parameters);
+    return {
+      ...row,
+      operation: match.operation.id,
+      replacement: `${target.method} ${fillPath(target.path, match.operation.path, match.pathParameters)}${query ? `?${query}` : ''}`,
+      replacementOperation: target.id,
+      confidence: mapping.confidence,
+      parameters: mapping.parameters
+    };
+  }
+}
+
+/**
+ * Render a plan or a call migration as a Markdown migration table
+ */
+export function formatMigration(result) {
+  const label = side => `${side.release} ${side.apiVersion}`;
+  const lines = [`# JovianDSS REST API migration: ${label(result.from)} → ${label(result.to)}`, ''];
+
+  if (result.calls) {
+    const { calls, replaced, withoutCounterpart, undocumented } = result.summary;
+    lines.push(`${replaced} of ${calls} calls have a ${result.to.apiVersion} replacement` +
+      `, ${withoutCounterpart} have no counterpart, ${undocumented} are not documented ${result.from.apiVersion} calls.`, '');
+    if (calls === 0) {
+      const prefix = `/api/${result.from.apiVersion}`;
+      lines.push(`No ${result.from.apiVersion} calls found. Give one call per line (\`GET ${prefix}/pools\`) ` +
+        `or code using \`${prefix}/...\` URLs.`, '');
+      return lines.join('\n');
+    }
+    lines.push('| Line | Call | Replacement | Parameter changes | Notes |', '| --- | --- | --- | --- | --- |');
+    for (const row of result.calls) {
+      lines.push(tableRow([
+        row.line,
+        code(row.call),
+        row.replacement ? code(row.replacement) : '—',
+        row.parameters ? describeChanges(row.parameters) : '',
+        row.note || confidenceNote(row.confidence)
+      ]));
+    }
+    lines.push('');
+    return lines.join('\n');
+  }
+
+  const { operations, mapped, exact, unmapped } = result.summary;
+  lines.push(`${mapped} of ${operations} operations have a ${result.to.apiVersion} counterpart (${exact} unchanged), ` +
+    `${unmapped} have none.`, '');
+  lines.push(`| ${result.from.apiVersion} operation | ${result.to.apiVersion} operation | Parameter changes | Notes |`,
+    '| --- | --- | --- | --- |');
+  for (const mapping of result.operations.filter(item => item.to)) {
+    lines.push(tableRow([code(mapping.from), code(mapping.to), describeChanges(mapping.parameters),
+      confidenceNote(mapping.confidence)]));
+  }
+  lines.push('');
+
+  if (result.unmapped.length > 0) {
+    lines.push(`## Without a ${result.to.apiVersion} counterpart`, '');
+    lines.push(...result.unmapped.map(id => `- ${code(id)}`), '');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * API calls in a snippet: `METHOD path` lines, or any `/api/vN/...` URL in code
+ * with the method found on the same line (`-X POST`, `requests.post(`, `method: 'PUT'`)
+ */
+export function extractCalls(text, apiVersion = 'v3') {
+  const calls = [];
+  const urlPattern = new RegExp(`(?:https?://[^\\s'"\`/]+)?(/api/${apiVersion}(?:/[^\\s'"\`)<>,;]*)?)`, 'g');
+
+  String(text || '').split('\n').forEach((line, index) => {
+    const listed = line.match(/^\s*(?:[-*]\s+|\d+[.)]\s+)?`?(GET|POST|PUT|PATCH|DELETE|HEAD)\s+(\/[^\s`]*)`?\s*$/i);
+    if (listed) {
+      calls.push({ line: index + 1, method: listed[1].toUpperCase(), path: listed[2] });
+      return;
+    }
+    for (const match of line.matchAll(urlPattern)) {
+      calls.push({ line: index + 1, method: methodOnLine(line) || 'GET', path: match[1] });
+    }
+  });
+  return calls;
+}
+
+function matchScore(source, candidate) {
+  if (comparableKey(source.operation) === comparableKey(candidate.operation)) {
+    return EXACT_SCORE;
+  }
+  if (source.intent !== candidate.intent || source.resource !== candidate.resource) {
+    return 0;
+  }
+
+  let score = 6;
+  if (source.action || candidate.action) {
+    score += source.action && candidate.action && canonical(source.action) === canonical(candidate.action) ? 1 : -2;
+  }
+  score += overlap(segments(source), segments(candidate));
+  score += overlap(source.inputs.map(normalizeName), candidate.inputs.map(normalizeName));
+  if (source.operation.method === candidate.operation.method) {
+    score += 1;
+  }
+  // Only identical method and path reach the exact score
+  return Math.min(score, EXACT_SCORE - 0.5);
+}
+
+function segments(described) {
+  return [...described.parents, described.resource, ...(described.action ? [canonical(described.action)] : [])];
+}
+
+/**
+ * Share of common items: 1 for identical lists, 0 for disjoint or empty ones
+ */
+function overlap(a, b) {
+  const left = new Set(a);
+  const right = new Set(b);
+  const common = [...left].filter(item => right.has(item)).length;
+  const total = new Set([...left, ...right]).size;
+  return total === 0 ? 0 : common / total;
+}
+
+function pathDistance(a, b) {
+  return Math.abs(a.path.split('/').length - b.path.split('/').length);
+}
+
+/**
+ * Renamed, removed, added and retyped parameters between a v3 operation and its v4 counterpart
+ */
+function parameterChanges(from, to) {
+  const changes = { renamed: [], removed: [], added: [], typeChanged: [] };
+
+  // Path parameters are positional
+  const toPath = pathParameterNames(to.path);
+  pathParameterNames(from.path).forEach((name, index) => {
+    if (toPath[index] && toPath[index] !== name) {
+      changes.renamed.push({ in: 'path', from: name, to: toPath[index] });
+    }
+  });
+
+  const fromFields = inputFields(from);
+  const toFields = inputFields(to);
+  const unmatched = [...toFields.values()].filter(field => !fromFields.has(fieldKey(field)));
+
+  for (const field of fromFields.values()) {
+    const counterpart = toFields.get(fieldKey(field));
+    if (counterpart) {
+      if (field.type && counterpart.type && field.type !== counterpart.type) {
+        changes.typeChanged.push({ in: field.in, name: field.name, from: field.type, to: counterpart.type });
+      }
+      continue;
+    }
+    const renamed = unmatched.find(candidate => candidate.in === field.in && similarNames(field.name, candidate.name));
+    if (renamed) {
+      unmatched.splice(unmatched.indexOf(renamed), 1);
+      changes.renamed.push({ in: field.in, from: field.name, to: renamed.name });
+    } else {
+      changes.removed.push({ in: field.in, name: field.name });
+    }
+  }
+  changes.added = unmatched.map(field => ({ in: field.in, name: field.name, required: Boolean(field.required) }));
+  return changes;
+}
+
+/**
+ * Query and body fields of an operation; top-level request example fields count as body fields
+ */
+function inputFields(operation) {
+  const fields = new Map();
+  for (const parameter of operation.parameters.filter(candidate => candidate.in !== 'path')) {
+    const field = { in: parameter.in, name: parameter.name, type: parameter.type, required: parameter.required };
+    fields.set(fieldKey(field), field);
+  }
+  const example = schemaFromExample(operation.requestExample);
+  for (const [name, schema] of Object.entries(example.properties || {})) {
+    const field = { in: 'body', name, type: schema.type };
+    if (!fields.has(fieldKey(field))) {
+      fields.set(fieldKey(field), field);
+    }
+  }
+  return fields;
+}
+
+function fieldKey(field) {
+  return `${field.in}:${field.name}`;
+}
+
+function similarNames(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  const lastLeft = normalizeName(String(a).split('.').pop());
+  const lastRight = normalizeName(String(b).split('.').pop());
+  return left === right || lastLeft === lastRight ||
+    (Math.min(left.length, right.length) >= 3 && (left.includes(right) || right.includes(left)));
+}
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function pathParameterNames(path) {
+  return [...path.matchAll(/\{([^}]+)\}/g)].map(match => match[1]);
+}
+
+/**
+ * Concrete v4 path: path parameter values of the v3 call, by position
+ */
+function fillPath(template, sourceTemplate, values) {
+  const sourceNames = pathParameterNames(sourceTemplate);
+  let index = 0;
+  return template.replace(/\{([^}]+)\}/g, placeholder => {
+    const value = values[sourceNames[index++]];
+    return value !== undefined ? value : placeholder;
+  });
+}
+
+/**
+ * Query string of the replacement call: renamed parameters renamed, removed ones dropped
+ */
+function migrateQuery(queryString, parameters) {
+  if (!queryString) {
+    return '';
+  }
+  const renames = new Map(parameters.renamed.filter(rename => rename.in === 'query').map(rename => [rename.from, rename.to]));
+  const removed = new Set(parameters.removed.filter(field => field.in === 'query').map(field => field.name));
+  return queryString.split('&')
+    .map(pair => pair.split('='))
+    .filter(([name]) => !removed.has(name))
+    .map(([name, ...value]) => [renames.get(name) || name, ...value].join('='))
+    .join('&');
+}
+
+function summarize(operations) {
+  return {
+    operations: operations.length,
+    mapped: operations.filter(mapping => mapping.to).length,
+    exact: operations.filter(mapping => mapping.confidence === 'exact').length,
+    unmapped: operations.filter(mapping => !mapping.to).length
+  };
+}
+
+function describeChanges(parameters) {
+  if (!parameters) {
+    return '';
+  }
+  const parts = [
+    ...parameters.renamed.map(rename => `${code(rename.from)} → ${code(rename.to)} (${rename.in})`),
+    ...parameters.typeChanged.map(change => `${code(change.name)} ${change.from} → ${change.to} (${change.in})`),
+    ...parameters.removed.map(field => `removed ${code(field.name)} (${field.in})`),
+    ...parameters.added.filter(field => field.required).map(field => `new required ${code(field.name)} (${field.in})`)
+  ];
+  return parts.join('; ') || '—';
+}
+
+function confidenceNote(confidence) {
+  return { exact: 'Same call', high: 'Renamed', low: 'Best guess, check the documentation' }[confidence] || '';
+}
+
+function code(text) {
+  return `\`${text}\``;
+}
+
+function tableRow(cells) {
+  return `| ${cells.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`;
+}
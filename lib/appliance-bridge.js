@@ -0,0 +1,210 @@
+import { request as httpRequest } from 'http';
+import { request as httpsRequest } from 'https';
+import { dirname } from 'path';
+import { appendFile, mkdir } from 'fs/promises';
+import { DocumentationError, TimeoutError, requestError } from './errors.js';
+import { RequestValidator } from './request-validator.js';
+
+const READ_ONLY_METHODS = ['GET', 'HEAD'];
+const MAX_RESPONSE_BYTES = 10 * 1024 * 1024;
+// Query and body fields whose values never reach the audit log
+const SECRET_NAME = /pass(word|phrase)?|secret|token|credential|api[-_]?key|private[-_]?key|auth/i;
+
+/**
+ * Runs documented calls against a live JovianDSS appliance.
+ *
+ * A call goes out only when it matches a documented operation of the given
+ * endpoint model and passes the RequestValidator. Read-only methods (GET,
+ * HEAD) are always allowed; anything else must be allow-listed by method
+ * (`POST`) or operation id (`POST /api/v4/pools/{pool}/scrub`). Responses are
+ * checked against the documented examples.
+ *
+ * Every call, refused ones included, is appended to a JSON Lines audit log.
+ * The log never holds the Authorization header; secret-looking query and body
+ * fields and the configured password are replaced with `***`.
+ */
+export class ApplianceBridge {
+  constructor({ url, username = null, password = null, allowMethods = [], insecureTls = false, timeout = 30 * 1000, auditLog = null }) {
+    this.url = url.replace(/\/+$/, '');
+    this.username = username;
+    this.password = password;
+    this.allowMethods = allowMethods.map(entry => String(entry).trim());
+    this.insecureTls = insecureTls;
+    this.timeout = timeout;
+    this.auditLog = auditLog;
+  }
+
+  /**
+   * Whether an operation may be called: read-only, or allow-listed by method or id
+   */
+  isAllowed(operation) {
+    return READ_ONLY_METHODS.includes(operation.method) ||
+      this.allowMethods.some(entry => entry.toUpperCase() === operation.method || entry === operation.id);
+  }
+
+  async call(model, { method = 'GET', path, query = {}, body }) {
+    const requestMethod = String(method).toUpperCase();
+    const [rawPath, queryString] = String(path || '').replace(/^https?:\/\/[^/]+/, '').split('?');
+    const requestQuery = { ...Object.fromEntries(new URLSearchParams(queryString || '')), ...(query || {}) };
+    const validation = new RequestValidator(model).validate({ method: requestMethod, path: rawPath, query: requestQuery, body });
+    const operation = validation.operation;
+
+    const requestPath = operation ? expandPath(operation.path, validation.pathParameters) : rawPath;
+    const search = new URLSearchParams(Object.entries(requestQuery).map(([name, value]) => [name, String(value)])).toString();
+    const audit = {
+      time: new Date().toISOString(),
+      method: requestMethod,
+      url: `${this.url}${requestPath}${search ? `?${redactQuery(search)}` : ''}`,
+      operation: operation?.id,
+      release: model.release,
+      apiVersion: model.apiVersion,
+      body: body !== undefined ? redact(body) : undefined
+    };
+
+    const errors = validation.issues.filter(issue => issue.severity === 'error');
+    if (errors.length > 0) {
+      await this.record({ ...audit, outcome: 'refused', reason: 'invalid-request' });
+      throw new DocumentationError(`Request does not match the ${model.release} ${model.apiVersion} documentation, not sent: ` +
+        errors.map(issue => issue.message).join('; '), { code: 'invalid-request' });
+    }
+    if (!this.isAllowed(operation)) {
+      await this.record({ ...audit, outcome: 'refused', reason: 'method-not-allowed' });
+      throw new DocumentationError(`${operation.id} changes the appliance and is not allow-listed`, {
+        code: 'not-allowed',
+        hints: [`Add "${operation.method}" or "${operation.id}" to applianceAllowMethods to permit it`]
+      });
+    }
+
+    const started = Date.now();
+    let response;
+    try {
+      response = await this.send(requestMethod, `${this.url}${requestPath}${search ? `?${search}` : ''}`, body);
+    } catch (error) {
+      const failure = requestError(error, this.url);
+      const message = this.scrub(failure.message);
+      await this.record({ ...audit, outcome: 'failed', durationMs: Date.now() - started, error: message });
+      throw new failure.constructor(`${requestMethod} ${requestPath} failed: ${message}`, {
+        code: failure.code,
+        url: this.url,
+        hints: [failure.code === 'tls-error'
+          ? 'Set applianceInsecureTls to accept the self-signed certificate of an appliance'
+          : 'Check applianceUrl and that the appliance is reachable from this machine']
+      });
+    }
+
+    const durationMs = Date.now() - started;
+    await this.record({ ...audit, outcome: 'sent', status: response.status, durationMs });
+    return {
+      appliance: this.url,
+      method: requestMethod,
+      path: `${requestPath}${search ? `?${search}` : ''}`,
+      operation: operation.id,
+      status: response.status,
+      durationMs: durationMs,
+      requestWarnings: validation.issues.length > 0 ? validation.issues : undefined,
+      responseIssues: new RequestValidator(model).validateResponse(operation, response).issues,
+      body: response.body
+    };
+  }
+
+  send(method, url, body) {
+    const target = new URL(url);
+    const payload = body !== undefined ? JSON.stringify(body) : null;
+    const headers = { Accept: 'application/json' };
+    if (this.username) {
+      headers.Authorization = `Basic ${Buffer.from(`${this.username}:${this.password || ''}`).toString('base64')}`;
+    }
+    if (payload !== null) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    const request = target.protocol === 'https:' ? httpsRequest : httpRequest;
+    return new Promise((resolve, reject) => {
+      const req = request(target, { method, headers, rejectUnauthorized: !this.insecureTls }, res => {
+        const chunks = [];
+        let size = 0;
+        res.on('data', chunk => {
+          size += chunk.length;
+          if (size > MAX_RESPONSE_BYTES) {
+            req.destroy(new Error(`response exceeds ${MAX_RESPONSE_BYTES} bytes`));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        res.on('end', () => {
+          const text = Buffer.concat(chunks).toString('utf8');
+          resolve({ status: res.statusCode, body: parseBody(text) });
+        });
+        res.on('error', reject);
+      });
+      req.setTimeout(this.timeout, () => req.destroy(new TimeoutError(`timed out after ${this.timeout} ms`, {
+        hints: ['The appliance answered too slowly; retry, or raise applianceTimeout']
+      })));
+      req.on('error', reject);
+      req.end(payload ?? undefined);
+    });
+  }
+
+  async record(entry) {
+    if (!this.auditLog) {
+      return;
+    }
+    try {
+      await mkdir(dirname(this.auditLog), { recursive: true });
+      await appendFile(this.auditLog, `${this.scrub(JSON.stringify(entry))}\n`);
+    } catch (error) {
+      console.error(`Appliance audit log failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove the configured password from text that may quote it (error messages, echoed bodies)
+   */
+  scrub(text) {
+    return this.password ? String(text).split(this.password).join('***') : String(text);
+  }
+}
+
+/**
+ * Copy of a JSON value with the values of secret-looking fields replaced
+ */
+export function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) =>
+      [name, SECRET_NAME.test(name) ? '***' : redact(item)]));
+  }
+  return value;
+}
+
+function redactQuery(search) {
+  const params = new URLSearchParams(search);
+  for (const name of [...params.keys()]) {
+    if (SECRET_NAME.test(name)) {
+      params.set(name, '***');
+    }
+  }
+  return params.toString();
+}
+
+/**
+ * Concrete path of a documented operation, with its `/api/vN` prefix (it may
+ * be left out in calls) and each parameter value percent-encoded
+ */
+function expandPath(template, pathParameters) {
+  return template.replace(/\{([^}]+)\}/g, (placeholder, name) => encodeURIComponent(pathParameters[name]));
+}
+
+function parseBody(text) {
+  if (!text) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
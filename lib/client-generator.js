@@ -0,0 +1,335 @@
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { HTTP_METHODS, operationName } from './endpoint-model.js';
+import { bodySchema, parameterSchema, schemaFromExample } from './openapi-exporter.js';
+
+// Names a path parameter argument cannot have: reserved words, and the body and query arguments
+const RESERVED_NAMES = new Set([
+  'arguments', 'await', 'body', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+  'delete', 'do', 'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if',
+  'implements', 'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private',
+  'protected', 'public', 'query', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try',
+  'typeof', 'var', 'void', 'while', 'with', 'yield'
+]);
+
+/**
+ * Generates a dependency-free TypeScript client from an endpoint model.
+ *
+ * Output is deterministic: operations are ordered by path and method and no
+ * timestamps are emitted, so regenerating against a newer release only
+ * touches the operations and types that actually changed.
+ */
+export class TypeScriptClientGenerator {
+  constructor(model, options = {}) {
+    this.model = model;
+    this.className = options.className || 'JovianDSSClient';
+  }
+
+  /**
+   * Render the client as a map of file name to source text
+   */
+  generate() {
+    const operations = this.orderedOperations();
+    const header = [
+      `// JovianDSS REST API client for ${this.model.release} ${this.model.apiVersion}.`,
+      '// Generated by jdss-rest-doc-mcp from the REST API documentation; do not edit.',
+      ''
+    ];
+
+    const types = [...header];
+    const methods = [];
+    const typeNames = [];
+
+    for (const { operation, name } of operations) {
+      const typeName = name.charAt(0).toUpperCase() + name.slice(1);
+      const signature = this.buildSignature(operation, typeName);
+
+      for (const [suffix, schema] of signature.types) {
+        types.push(renderTypeDeclaration(`${typeName}${suffix}`, schema), '');
+        typeNames.push(`${typeName}${suffix}`);
+      }
+      methods.push(this.renderMethod(operation, name, signature));
+    }
+
+    return {
+      'types.ts': types.join('\n'),
+      'client.ts': this.renderClient(methods, typeNames),
+      'index.ts': [
+        ...header,
+        `export { ${this.className}, JovianDSSApiError } from './client';`,
+        `export type { ${this.className}Options } from './client';`,
+        `export * from './types';`,
+        ''
+      ].join('\n')
+    };
+  }
+
+  orderedOperations() {
+    // Plain code unit order keeps the output independent of the host locale
+    const compare = (a, b) => a < b ? -1 : a > b ? 1 : 0;
+    const sorted = [...this.model.operations].sort((a, b) =>
+      compare(a.path, b.path) || HTTP_METHODS.indexOf(a.method) - HTTP_METHODS.indexOf(b.method));
+
+    const used = new Set();
+    return sorted.map(operation => {
+      let name = operationName(operation);
+      for (let suffix = 2; used.has(name); suffix++) {
+        name = `${operationName(operation)}${suffix}`;
+      }
+      used.add(name);
+      return { operation, name };
+    });
+  }
+
+  /**
+   * Arguments and named types of one client method
+   */
+  buildSignature(operation, typeName) {
+    const types = [];
+    const pathParameters = operation.parameters.filter(parameter => parameter.in === 'path');
+    const queryParameters = operation.parameters.filter(parameter => parameter.in === 'query');
+    const bodyParameters = operation.parameters.filter(parameter => parameter.in === 'body');
+
+    const argumentNames = new Map();
+    for (const parameter of pathParameters) {
+      let name = identifier(parameter.name);
+      if (RESERVED_NAMES.has(name)) {
+        name = `${name}Param`;
+      }
+      const base = name;
+      for (let suffix = 2; [...argumentNames.values()].includes(name); suffix++) {
+        name = `${base}${suffix}`;
+      }
+      argumentNames.set(parameter.name, name);
+    }
+
+    const args = pathParameters.map(parameter => ({
+      name: argumentNames.get(parameter.name),
+      type: renderType(parameterSchema(parameter)),
+      optional: false
+    }));
+
+    if (bodyParameters.length > 0 || operation.requestExample !== null) {
+      types.push(['Request', bodyParameters.length > 0
+        ? bodySchema(bodyParameters)
+        : schemaFromExample(operation.requestExample)]);
+      args.push({
+        name: 'body',
+        type: `${typeName}Request`,
+        optional: bodyParameters.length > 0 && !bodyParameters.some(parameter => parameter.required)
+      });
+    }
+
+    if (queryParameters.length > 0) {
+      types.push(['Query', bodySchema(queryParameters)]);
+      args.push({
+        name: 'query',
+        type: `${typeName}Query`,
+        optional: !queryParameters.some(parameter => parameter.required)
+      });
+    }
+
+    const success = operation.responseExamples.find(example => /^2/.test(example.code) && example.body !== null);
+    if (success) {
+      types.push(['Response', schemaFromExample(success.body)]);
+    }
+
+    // Optional arguments cannot precede required ones
+    const firstRequired = args.map(arg => arg.optional).lastIndexOf(false);
+    args.forEach((arg, index) => {
+      arg.optional = arg.optional && index > firstRequired;
+    });
+
+    return {
+      types: types,
+      args: args,
+      argumentNames: argumentNames,
+      pathParameters: pathParameters,
+      responseType: success ? `${typeName}Response` : 'unknown'
+    };
+  }
+
+  renderMethod(operation, name, signature) {
+    const path = operation.path.replace(/\{([^}]+)\}/g,
+      (match, parameter) => `\${encodeURIComponent(String(${signature.argumentNames.get(parameter) || identifier(parameter)}))}`);
+    const params = signature.args.map(arg => `${arg.name}${arg.optional ? '?' : ''}: ${arg.type}`).join(', ');
+    const options = ['body', 'query'].filter(option => signature.args.some(arg => arg.name === option));
+
+    const doc = [`${operation.method} ${operation.path}`];
+    if (operation.summary) {
+      doc.unshift(operation.summary, '');
+    }
+    for (const parameter of signature.pathParameters.filter(parameter => parameter.description)) {
+      doc.push(`@param ${signature.argumentNames.get(parameter.name)} ${parameter.description}`);
+    }
+
+    return [
+      '  /**',
+      ...doc.map(line => `   *${line ? ` ${line.replace(/\*\//g, '*\\/')}` : ''}`),
+      '   */',
+      `  ${name}(${params}): Promise<${signature.responseType}> {`,
+      `    return this.request<${signature.responseType}>('${operation.method}', \`${path}\`${options.length > 0 ? `, { ${options.join(', ')} }` : ''});`,
+      '  }'
+    ].join('\n');
+  }
+
+  renderClient(methods, typeNames) {
+    const { className } = this;
+    const imports = typeNames.length > 0
+      ? ['import type {', ...typeNames.map(name => `  ${name},`), `} from './types';`, '']
+      : [];
+
+    return [
+      `// JovianDSS REST API client for ${this.model.release} ${this.model.apiVersion}.`,
+      '// Generated by jdss-rest-doc-mcp from the REST API documentation; do not edit.',
+      '',
+      ...imports,
+      `export interface ${className}Options {`,
+      '  /** Appliance REST endpoint, e.g. https://joviandss:82 */',
+      '  baseUrl: string;',
+      '  username: string;',
+      '  password: string;',
+      '  /** Custom fetch implementation (defaults to the global fetch) */',
+      '  fetch?: typeof fetch;',
+      '  headers?: Record<string, string>;',
+      '}',
+      '',
+      'export class JovianDSSApiError extends Error {',
+      '  constructor(readonly status: number, readonly method: string, readonly path: string, readonly body: unknown) {',
+      '    super(`${method} ${path} failed with HTTP ${status}`);',
+      `    this.name = 'JovianDSSApiError';`,
+      '  }',
+      '}',
+      '',
+      `export class ${className} {`,
+      `  private readonly options: ${className}Options;`,
+      '',
+      `  constructor(options: ${className}Options) {`,
+      `    this.options = { ...options, baseUrl: options.baseUrl.replace(/\\/+$/, '') };`,
+      '  }',
+      '',
+      methods.join('\n\n'),
+      '',
+      '  protected async request<T>(',
+      '    method: string,',
+      '    path: string,',
+      '    options: { body?: unknown; query?: object } = {}',
+      '  ): Promise<T> {',
+      '    const url = new URL(this.options.baseUrl + path);',
+      '    for (const [key, value] of Object.entries(options.query ?? {})) {',
+      '      if (value !== undefined && value !== null) {',
+      '        url.searchParams.set(key, String(value));',
+      '      }',
+      '    }',
+      '',
+      '    const headers: Record<string, string> = {',
+      `      Accept: 'application/json',`,
+      '      Authorization: `Basic ${btoa(`${this.options.username}:${this.options.password}`)}`,',
+      '      ...this.options.headers',
+      '    };',
+      '    if (options.body !== undefined) {',
+      `      headers['Content-Type'] = 'application/json';`,
+      '    }',
+      '',
+      '    const response = await (this.options.fetch ?? fetch)(url, {',
+      '      method,',
+      '      headers,',
+      '      body: options.body !== undefined ? JSON.stringify(options.body) : undefined',
+      '    });',
+      '',
+      '    const text = await response.text();',
+      '    let data: unknown = text;',
+      '    try {',
+      '      data = text ? JSON.parse(text) : undefined;',
+      '    } catch {',
+      '      // Non-JSON bodies are returned as text',
+      '    }',
+      '',
+      '    if (!response.ok) {',
+      '      throw new JovianDSSApiError(response.status, method, path, data);',
+      '    }',
+      '    return data as T;',
+      '  }',
+      '}',
+      ''
+    ].join('\n');
+  }
+}
+
+/**
+ * Write generated files, leaving files whose content did not change untouched
+ */
+export async function writeGeneratedFiles(directory, files) {
+  await mkdir(directory, { recursive: true });
+  const written = [];
+  const unchanged = [];
+
+  for (const [name, content] of Object.entries(files)) {
+    const path = join(directory, name);
+    const current = await readFile(path, 'utf8').catch(() => null);
+    if (current === content) {
+      unchanged.push(path);
+      continue;
+    }
+    await writeFile(path, content);
+    written.push(path);
+  }
+
+  return { written, unchanged };
+}
+
+function renderTypeDeclaration(name, schema) {
+  return schema.type === 'object' && schema.properties
+    ? `export interface ${name} ${renderType(schema)}`
+    : `export type ${name} = ${renderType(schema)};`;
+}
+
+/**
+ * TypeScript type for a JSON Schema produced by the OpenAPI exporter helpers
+ */
+function renderType(schema, indent = 0) {
+  if (schema.enum) {
+    return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+  }
+
+  switch (schema.type) {
+    case 'string':
+      return 'string';
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'array': {
+      const items = renderType(schema.items || {}, indent);
+      return /^[\w.]+$/.test(items) ? `${items}[]` : `Array<${items}>`;
+    }
+    case 'object': {
+      const properties = Object.entries(schema.properties || {});
+      if (properties.length === 0) {
+        return 'Record<string, unknown>';
+      }
+      const pad = ' '.repeat(indent + 2);
+      const required = new Set(schema.required || []);
+      const lines = [];
+      for (const [name, property] of properties) {
+        if (property.description) {
+          lines.push(`${pad}/** ${property.description.replace(/\*\//g, '*\\/')} */`);
+        }
+        const key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+        lines.push(`${pad}${key}${required.has(name) ? '' : '?'}: ${renderType(property, indent + 2)};`);
+      }
+      return `{\n${lines.join('\n')}\n${' '.repeat(indent)}}`;
+    }
+    default:
+      return 'unknown';
+  }
+}
+
+function identifier(name) {
+  const words = name.split(/[^A-Za-z0-9_$]+/).filter(Boolean);
+  const result = words
+    .map((word, index) => index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+  return /^[0-9]/.test(result) ? `_${result}` : result || 'value';
+}
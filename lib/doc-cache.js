@@ -0,0 +1,257 @@
+import { join } from 'path';
+import { mkdir, readFile, rename, stat, writeFile } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { CONFIG_DIR } from './config.js';
+import { DocumentationError, ReleaseNotFoundError, requestError } from './errors.js';
+import { readLocalArchive } from './local-sources.js';
+
+// Bumped when the parser output changes, so models cached by older versions are rebuilt
+const MODEL_FORMAT = 2;
+
+/**
+ * On-disk cache of downloaded documentation ZIPs and parsed endpoint models.
+ *
+ * Layout (one directory per release and API version):
+ *   <cacheDir>/links.json
+ *   <cacheDir>/catalog.json                 (release metadata by ZIP URL, see release-catalog.js)
+ *   <cacheDir>/<release>_<apiVersion>/documentation.zip
+ *   <cacheDir>/<release>_<apiVersion>/meta.json
+ *   <cacheDir>/<release>_<apiVersion>/model.json
+ *   <cacheDir>/watch/<link key>.json         (watch baseline: fingerprints and model, see doc-watcher.js)
+ *
+ * Online, cached ZIPs are revalidated with ETag / Last-Modified. A link's
+ * `mirrors` are tried in order when its host is unreachable. When every host
+ * fails, or in explicit offline mode, the last good snapshot is served and
+ * marked stale. Local ZIP files and directories are read directly and not cached.
+ */
+export class DocumentationCache {
+  constructor(options = {}) {
+    this.directory = options.directory || join(CONFIG_DIR, 'cache');
+    this.offline = options.offline || false;
+    this.downloadTimeout = options.downloadTimeout || 2 * 60 * 1000;
+  }
+
+  entryDirectory(link) {
+    return join(this.directory, `${link.release}_${link.apiVersion}`.toLowerCase());
+  }
+
+  /**
+   * Return the documentation ZIP for a link, downloading or revalidating as needed
+   */
+  async fetchZip(link) {
+    const entryDir = this.entryDirectory(link);
+    let meta = await this.readJSON(join(entryDir, 'meta.json'));
+    // Metadata without its ZIP is not a snapshot: download again instead of revalidating
+    if (meta && !await stat(join(entryDir, 'documentation.zip')).catch(() => null)) {
+      meta = null;
+    }
+    const candidates = [link, ...(link.mirrors || [])];
+
+    const localSource = candidates.find(candidate => candidate.localPath);
+    if (this.offline && !localSource) {
+      if (!meta) {
+        throw new DocumentationError(`Offline mode: no cached documentation for ${link.release} ${link.apiVersion}`, {
+          code: 'not-cached',
+          url: link.zipUrl,
+          hints: ['Fetch this release once while online, or turn off offline mode']
+        });
+      }
+      return this.readCachedZip(entryDir, meta, 'offline mode');
+    }
+
+    const headers = {};
+    if (meta?.etag) {
+      headers['If-None-Match'] = meta.etag;
+    }
+    if (meta?.lastModified) {
+      headers['If-Modified-Since'] = meta.lastModified;
+    }
+
+    let response = null;
+    let source = null;
+    let lastError = null;
+    for (const candidate of candidates) {
+      if (candidate.localPath) {
+        return this.readLocalSource(candidate);
+      }
+      if (this.offline) {
+        continue;
+      }
+
+      try {
+        response = await fetch(candidate.zipUrl, { headers, signal: AbortSignal.timeout(this.downloadTimeout) });
+      } catch (error) {
+        lastError = requestError(error, candidate.zipUrl);
+        continue;
+      }
+      if (response.status >= 500) {
+        lastError = new DocumentationError(`${candidate.zipUrl} responded ${response.status}`, {
+          code: 'server-error',
+          url: candidate.zipUrl,
+          hints: ['The documentation host is failing; retry later or add a mirror host']
+        });
+        response = null;
+        continue;
+      }
+      source = candidate;
+      break;
+    }
+
+    if (!response) {
+      if (meta) {
+        return this.readCachedZip(entryDir, meta, lastError.message);
+      }
+      throw lastError;
+    }
+
+    if (response.status === 304 && meta) {
+      meta.lastValidatedAt = new Date().toISOString();
+      await this.writeJSON(join(entryDir, 'meta.json'), meta).catch(() => {});
+      return this.readCachedZip(entryDir, meta, null);
+    }
+
+    if (response.status === 404 || response.status === 410) {
+      throw new ReleaseNotFoundError(`No documentation ZIP for ${link.release} ${link.apiVersion} (HTTP ${response.status})`, {
+        url: source.zipUrl,
+        hints: ['The release may have been withdrawn; run list_documentation_releases with refresh: true']
+      });
+    }
+    if (!response.ok) {
+      throw new DocumentationError(`Failed to download documentation: ${response.status}`, {
+        code: 'download-failed',
+        url: source.zipUrl
+      });
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const now = new Date().toISOString();
+    const newMeta = {
+      zipUrl: source.zipUrl,
+      host: source.host,
+      release: link.release,
+      apiVersion: link.apiVersion,
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      size: buffer.length,
+      fetchedAt: now,
+      lastValidatedAt: now
+    };
+
+    try {
+      await mkdir(entryDir, { recursive: true });
+      await this.writeAtomic(join(entryDir, 'documentation.zip'), buffer);
+      await this.writeJSON(join(entryDir, 'meta.json'), newMeta);
+    } catch (error) {
+      console.warn(`Could not write documentation cache ${entryDir}:`, error.message);
+    }
+
+    return {
+      buffer: buffer,
+      meta: newMeta,
+      freshness: { source: 'network', fetchedAt: now, stale: false }
+    };
+  }
+
+  async readLocalSource(link) {
+    const modified = (await stat(link.localPath)).mtime.toISOString();
+    return {
+      buffer: await readLocalArchive(link.localPath),
+      meta: null,
+      freshness: { source: 'local', path: link.localPath, fetchedAt: modified, stale: false }
+    };
+  }
+
+  async readCachedZip(entryDir, meta, staleReason) {
+    let buffer;
+    try {
+      buffer = await readFile(join(entryDir, 'documentation.zip'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      throw new DocumentationError(`No cached documentation ZIP in ${entryDir}`, {
+        code: 'not-cached',
+        url: meta.zipUrl,
+        cause: error,
+        hints: ['The cached ZIP was removed; fetch this release again while online']
+      });
+    }
+    return {
+      buffer: buffer,
+      meta: meta,
+      freshness: {
+        source: 'cache',
+        fetchedAt: meta.fetchedAt,
+        stale: staleReason !== null,
+        staleSince: staleReason !== null ? meta.lastValidatedAt : undefined,
+        reason: staleReason || undefined
+      }
+    };
+  }
+
+  /**
+   * Parsed model for a link, valid only for the ZIP snapshot it was built from
+   */
+  async readModel(link, meta) {
+    const cached = await this.readJSON(join(this.entryDirectory(link), 'model.json'));
+    if (!cached || !meta || cached.zipFetchedAt !== meta.fetchedAt || cached.format !== MODEL_FORMAT) {
+      return null;
+    }
+    return cached.model;
+  }
+
+  async writeModel(link, meta, model) {
+    if (!meta) {
+      return;
+    }
+    const entryDir = this.entryDirectory(link);
+    await mkdir(entryDir, { recursive: true });
+    await this.writeJSON(join(entryDir, 'model.json'), { format: MODEL_FORMAT, zipFetchedAt: meta.fetchedAt, model: model });
+  }
+
+  async readCatalog() {
+    const cached = await this.readJSON(join(this.directory, 'catalog.json'));
+    return cached ? cached.releases : {};
+  }
+
+  async writeCatalog(releases) {
+    await mkdir(this.directory, { recursive: true });
+    await this.writeJSON(join(this.directory, 'catalog.json'), { savedAt: new Date().toISOString(), releases: releases });
+  }
+
+  async readWatchState(key) {
+    return this.readJSON(join(this.directory, 'watch', `${key}.json`));
+  }
+
+  async writeWatchState(key, state) {
+    await mkdir(join(this.directory, 'watch'), { recursive: true });
+    await this.writeJSON(join(this.directory, 'watch', `${key}.json`), { savedAt: new Date().toISOString(), ...state });
+  }
+
+  async readLinks() {
+    return this.readJSON(join(this.directory, 'links.json'));
+  }
+
+  async writeLinks(links) {
+    await mkdir(this.directory, { recursive: true });
+    await this.writeJSON(join(this.directory, 'links.json'), { savedAt: new Date().toISOString(), links: links });
+  }
+
+  async readJSON(path) {
+    try {
+      return JSON.parse(await readFile(path, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  async writeJSON(path, data) {
+    await this.writeAtomic(path, JSON.stringify(data, null, 2));
+  }
+
+  async writeAtomic(path, data) {
+    const tempPath = `${path}.${randomUUID()}.tmp`;
+    await writeFile(tempPath, data);
+    await rename(tempPath, path);
+  }
+}
@@ -0,0 +1,91 @@
+import { DEFAULT_APPLIANCE } from './example-generator.js';
+
+/**
+ * MCP prompts built on the parsed documentation. Each prompt embeds the
+ * relevant documentation as a resource so the answer is grounded in the
+ * selected release rather than in the model's memory.
+ */
+const RELEASE_ARGUMENTS = [
+  { name: 'version', description: "'latest' (default), 'trunk', a release name or a discovered key", required: false },
+  { name: 'apiVersion', description: "'v4' (default) or 'v3'", required: false }
+];
+
+const OPERATION_ARGUMENTS = [
+  { name: 'method', description: 'HTTP method, e.g. GET', required: true },
+  { name: 'path', description: 'Endpoint path, templated or concrete, e.g. /api/v4/pools/{pool}', required: true },
+  ...RELEASE_ARGUMENTS
+];
+
+export const PROMPTS = [
+  {
+    name: 'explain_endpoint',
+    description: 'Explain what a JovianDSS REST endpoint does, its parameters, responses and pitfalls',
+    arguments: OPERATION_ARGUMENTS
+  },
+  {
+    name: 'write_curl_call',
+    description: 'Write a ready-to-run curl command for a JovianDSS REST endpoint',
+    arguments: [
+      ...OPERATION_ARGUMENTS,
+      { name: 'appliance', description: `Appliance address (default: ${DEFAULT_APPLIANCE})`, required: false }
+    ]
+  },
+  {
+    name: 'summarize_release_changes',
+    description: 'Summarize REST API changes between two releases for an upgrade note',
+    arguments: [
+      { name: 'from', description: "Base release (default: 'latest')", required: false },
+      { name: 'to', description: "Target release (default: 'trunk')", required: false },
+      { name: 'apiVersion', description: "'v4' (default) or 'v3'", required: false }
+    ]
+  }
+];
+
+export function explainEndpointPrompt(model, resource) {
+  const operation = JSON.parse(resource.text);
+  return {
+    description: `Explain ${operation.id} (${model.release} ${model.apiVersion})`,
+    messages: [
+      embedded(resource),
+      text(`Using the documentation above for JovianDSS ${model.release} ${model.apiVersion}, explain ` +
+        `\`${operation.id}\`: what it does, each path, query and body parameter (type, whether it is ` +
+        `required, allowed values), the documented responses, and anything a caller should watch out for. ` +
+        `Do not invent parameters that are not documented.`)
+    ]
+  };
+}
+
+export function curlCallPrompt(model, resource, appliance = DEFAULT_APPLIANCE) {
+  const operation = JSON.parse(resource.text);
+  return {
+    description: `curl call for ${operation.id} (${model.release} ${model.apiVersion})`,
+    messages: [
+      embedded(resource),
+      text(`Write a curl command for \`${operation.id}\` against the JovianDSS appliance at ` +
+        `https://${appliance}, following the documentation above for ${model.release} ${model.apiVersion}. ` +
+        `Use HTTP Basic auth with $JDSS_USER and $JDSS_PASSWORD, \`-k\` for the self-signed certificate, ` +
+        `placeholder values for path parameters, and a JSON body containing every required field ` +
+        `(\`-H 'Content-Type: application/json'\`). Briefly explain the optional fields afterwards.`)
+    ]
+  };
+}
+
+export function releaseChangesPrompt(from, to, changelog) {
+  return {
+    description: `REST API changes ${from.release} ${from.apiVersion} → ${to.release} ${to.apiVersion}`,
+    messages: [
+      text(changelog),
+      text(`The changelog above was computed from the JovianDSS REST API documentation. Write a short ` +
+        `upgrade note for integrators moving from ${from.release} to ${to.release}: lead with the ` +
+        `breaking changes and what callers must change, then summarize the new operations.`)
+    ]
+  };
+}
+
+function text(content) {
+  return { role: 'user', content: { type: 'text', text: content } };
+}
+
+function embedded(resource) {
+  return { role: 'user', content: { type: 'resource', resource: resource } };
+}
@@ -0,0 +1,392 @@
+import { JSDOM } from 'jsdom';
+import { HTTP_METHODS } from './endpoint-model.js';
+import { ValidationError } from './errors.js';
+
+export const OUTPUT_FORMATS = ['html', 'markdown', 'text', 'json'];
+
+// Scripts, styling, navigation and handler source add nothing for a reader
+const CHROME_SELECTOR = 'script, style, noscript, link, meta, template, iframe, form, button, nav, #nav, header, footer, .func_src';
+const HEADING_TAGS = ['H1', 'H2', 'H3', 'H4', 'H5', 'H6'];
+const INLINE_TAGS = new Set(['A', 'ABBR', 'B', 'BR', 'CODE', 'EM', 'I', 'IMG', 'KBD', 'LABEL', 'SAMP', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP', 'TT', 'U', 'VAR']);
+const CODE_TAGS = new Set(['CODE', 'KBD', 'SAMP', 'TT']);
+const LIST_BREAKERS = 'h1, h2, h3, h4, h5, h6, table, pre, ul, ol';
+
+/**
+ * Rough token count of a text or a character count, for budgeting
+ * (about four characters per token for English and JSON)
+ */
+export function estimateTokens(text) {
+  return Math.ceil((typeof text === 'number' ? text : String(text || '').length) / 4);
+}
+
+/**
+ * Convert documentation HTML (a string or a rendered Document) to one of
+ * OUTPUT_FORMATS. Markdown keeps headings, tables, example code blocks and
+ * links between operations; `json` returns the same content as blocks.
+ */
+export function renderDocumentation(source, format = 'markdown') {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new ValidationError(`Unknown format "${format}"; use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (format === 'html') {
+    return typeof source === 'string' ? source : source.documentElement.outerHTML;
+  }
+
+  const blocks = documentationBlocks(source);
+  if (format === 'json') {
+    return JSON.stringify(blocks.map(publicBlock), null, 2);
+  }
+  return blocks.map(format === 'markdown' ? markdownBlock : textBlock).join('\n\n') + '\n';
+}
+
+/**
+ * Render and paginate; JSON pages are split between blocks so each page stays valid JSON
+ */
+export function renderDocumentationPage(source, { format = 'markdown', page = 1, pageSize = 20000 } = {}) {
+  if (format !== 'json') {
+    return { ...paginate(renderDocumentation(source, format), page, pageSize), format };
+  }
+
+  const items = documentationBlocks(source).map(block => JSON.stringify(publicBlock(block)));
+  const pages = [];
+  let current = null;
+  let offset = 0;
+  for (const item of items) {
+    // A single oversized block gets a page of its own
+    if (!current || (current.items.length > 0 && offset + item.length - current.from > pageSize)) {
+      current = { items: [], from: offset };
+      pages.push(current);
+    }
+    current.items.push(item);
+    offset += item.length + 1;
+  }
+  if (pages.length === 0) {
+    pages.push({ items: [], from: 0 });
+  }
+
+  const index = Math.min(Math.max(1, page), pages.length) - 1;
+  const next = pages[index + 1];
+  return {
+    text: `[\n${pages[index].items.join(',\n')}\n]`,
+    page: index + 1,
+    pages: pages.length,
+    from: pages[index].from,
+    to: next ? next.from : offset,
+    total: offset,
+    format: format
+  };
+}
+
+/**
+ * Split text into pages of at most `pageSize` characters, preferring to
+ * break after a tag or at a line end
+ */
+export function paginate(text, page = 1, pageSize = 20000) {
+  const pages = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(text.length, start + pageSize);
+    if (end < text.length) {
+      const window = text.slice(start, end);
+      const boundary = Math.max(window.lastIndexOf('\n'), window.lastIndexOf('>'));
+      if (boundary > pageSize / 2) {
+        end = start + boundary + 1;
+      }
+    }
+    pages.push([start, end]);
+    start = end;
+  }
+  if (pages.length === 0) {
+    pages.push([0, 0]);
+  }
+
+  const index = Math.min(Math.max(1, page), pages.length) - 1;
+  const [from, to] = pages[index];
+  return { text: text.slice(from, to), page: index + 1, pages: pages.length, from: from, to: to, total: text.length };
+}
+
+/**
+ * Content blocks of the documentation: heading, paragraph, list, table and code
+ */
+export function documentationBlocks(source) {
+  const dom = typeof source === 'string' ? new JSDOM(source) : null;
+  const document = dom ? dom.window.document : source;
+
+  try {
+    const root = document.body.cloneNode(true);
+    root.querySelectorAll(CHROME_SELECTOR).forEach(node => node.remove());
+
+    const anchors = headingAnchors(root);
+    const blocks = [];
+    walk(root, blocks, anchors);
+    return blocks;
+  } finally {
+    if (dom) {
+      dom.window.close();
+    }
+  }
+}
+
+/**
+ * Markdown anchors (GitHub style) for every heading, and for elements whose
+ * `id` is the target of in-page links (`#resource_pools`)
+ */
+function headingAnchors(root) {
+  const byHeading = new Map();
+  const byId = new Map();
+  const used = new Map();
+
+  for (const heading of root.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+    const base = inlineText(heading).toLowerCase().replace(/[^\w\- ]+/g, '').trim().replace(/ /g, '-') || 'section';
+    const count = used.get(base) || 0;
+    used.set(base, count + 1);
+    byHeading.set(heading, count ? `${base}-${count}` : base);
+  }
+
+  for (const element of root.querySelectorAll('[id], a[name]')) {
+    const heading = HEADING_TAGS.includes(element.tagName) ? element : element.querySelector('h1, h2, h3, h4, h5, h6');
+    if (heading && byHeading.has(heading)) {
+      byId.set(element.id || element.getAttribute('name'), byHeading.get(heading));
+    }
+  }
+
+  return { byHeading, byId };
+}
+
+function walk(container, blocks, anchors) {
+  let inline = [];
+  const flush = () => {
+    const paragraph = paragraphBlock(inline, anchors);
+    if (paragraph) {
+      blocks.push(paragraph);
+    }
+    inline = [];
+  };
+
+  for (const node of container.childNodes) {
+    if (node.nodeType === node.TEXT_NODE || (node.nodeType === node.ELEMENT_NODE && INLINE_TAGS.has(node.tagName) && !node.querySelector('pre, table, ul, ol, div, p, h1, h2, h3, h4, h5, h6'))) {
+      inline.push(node);
+      continue;
+    }
+    if (node.nodeType !== node.ELEMENT_NODE) {
+      continue;
+    }
+
+    flush();
+    const tag = node.tagName;
+    if (HEADING_TAGS.includes(tag)) {
+      const text = inlineText(node);
+      if (text) {
+        blocks.push({ type: 'heading', level: Number(tag.slice(1)), text: text, anchor: anchors.byHeading.get(node) });
+      }
+    } else if (tag === 'PRE') {
+      const code = node.textContent.replace(/^\n+|\s+$/g, '');
+      if (code) {
+        blocks.push({ type: 'code', language: codeLanguage(code), text: code });
+      }
+    } else if (tag === 'TABLE') {
+      const table = tableBlock(node, anchors);
+      if (table) {
+        blocks.push(table);
+      }
+    } else if ((tag === 'UL' || tag === 'OL') && !node.querySelector(LIST_BREAKERS)) {
+      const items = [...node.children]
+        .filter(item => item.tagName === 'LI')
+        .map(item => ({ text: inlineText(item), markdown: inlineMarkdown(item, anchors) }))
+        .filter(item => item.text);
+      if (items.length > 0) {
+        blocks.push({ type: 'list', ordered: tag === 'OL', items: items });
+      }
+    } else if (tag === 'P' || tag === 'DT' || tag === 'DD') {
+      const paragraph = paragraphBlock([...node.childNodes], anchors);
+      if (paragraph) {
+        blocks.push(tag === 'DT' ? { ...paragraph, markdown: `**${paragraph.markdown}**` } : paragraph);
+      }
+    } else if (tag === 'HR') {
+      continue;
+    } else {
+      walk(node, blocks, anchors);
+    }
+  }
+  flush();
+}
+
+function paragraphBlock(nodes, anchors) {
+  const text = collapse(nodes.map(node => inlineText(node, false)).join(''));
+  if (!text) {
+    return null;
+  }
+  const links = [];
+  const markdown = collapse(nodes.map(node => inlineMarkdown(node, anchors, false, links)).join(''));
+  return links.length > 0 ? { type: 'paragraph', text, markdown, links } : { type: 'paragraph', text, markdown };
+}
+
+function tableBlock(table, anchors) {
+  const rows = [...table.querySelectorAll('tr')]
+    .filter(row => row.closest('table') === table)
+    .map(row => [...row.children].filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH'));
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const headerRow = rows[0].every(cell => cell.tagName === 'TH') ? rows.shift() : null;
+  const toText = cells => cells.map(cell => inlineText(cell));
+  const toMarkdown = cells => cells.map(cell => inlineMarkdown(cell, anchors).replace(/\|/g, '\\|').replace(/\n/g, ' '));
+  const caption = table.querySelector('caption');
+  return {
+    type: 'table',
+    caption: caption ? inlineText(caption) : undefined,
+    headers: headerRow ? toText(headerRow) : [],
+    rows: rows.map(toText),
+    markdownHeaders: headerRow ? toMarkdown(headerRow) : [],
+    markdownRows: rows.map(toMarkdown)
+  };
+}
+
+function inlineText(node, trim = true) {
+  let text = '';
+  if (node.nodeType === node.TEXT_NODE) {
+    text = node.textContent.replace(/\s+/g, ' ');
+  } else if (node.nodeType === node.ELEMENT_NODE) {
+    text = node.tagName === 'BR' ? '\n' : [...node.childNodes].map(child => inlineText(child, false)).join('');
+    if (node.tagName === 'IMG') {
+      text = node.getAttribute('alt') || '';
+    }
+  }
+  return trim ? collapse(text) : text;
+}
+
+function inlineMarkdown(node, anchors, trim = true, links = []) {
+  let markdown = '';
+  if (node.nodeType === node.TEXT_NODE) {
+    markdown = escapeMarkdown(node.textContent.replace(/\s+/g, ' '));
+  } else if (node.nodeType === node.ELEMENT_NODE) {
+    const inner = () => [...node.childNodes].map(child => inlineMarkdown(child, anchors, false, links)).join('');
+    const tag = node.tagName;
+
+    if (tag === 'BR') {
+      markdown = '\n';
+    } else if (tag === 'IMG') {
+      markdown = escapeMarkdown(node.getAttribute('alt') || '');
+    } else if (CODE_TAGS.has(tag)) {
+      const code = node.textContent.replace(/\s+/g, ' ').trim();
+      markdown = code ? (code.includes('`') ? `\`\` ${code} \`\`` : `\`${code}\``) : '';
+    } else if (tag === 'STRONG' || tag === 'B') {
+      markdown = wrap(inner(), '**');
+    } else if (tag === 'EM' || tag === 'I') {
+      markdown = wrap(inner(), '*');
+    } else if (tag === 'A') {
+      markdown = inner();
+      const target = linkTarget(node.getAttribute('href'), anchors);
+      if (target && collapse(markdown)) {
+        links.push({ text: inlineText(node), href: target });
+        markdown = `[${collapse(markdown)}](${target})`;
+      }
+    } else {
+      markdown = inner();
+    }
+  }
+  return trim ? collapse(markdown) : markdown;
+}
+
+/**
+ * In-page links point at the Markdown anchor of the linked heading; `#` toggles are dropped
+ */
+function linkTarget(href, anchors) {
+  if (!href || href === '#' || /^javascript:/i.test(href)) {
+    return null;
+  }
+  if (href.startsWith('#')) {
+    const anchor = anchors.byId.get(decodeURIComponent(href.slice(1)));
+    return anchor ? `#${anchor}` : null;
+  }
+  return href;
+}
+
+function codeLanguage(code) {
+  const firstLine = code.split('\n')[0];
+  if (new RegExp(`^(${HTTP_METHODS.join('|')}) \\S+ HTTP/|^HTTP/\\d`).test(firstLine)) {
+    return 'http';
+  }
+  if (/^curl\s/.test(firstLine)) {
+    return 'sh';
+  }
+  try {
+    JSON.parse(code);
+    return 'json';
+  } catch {
+    return '';
+  }
+}
+
+function markdownBlock(block) {
+  switch (block.type) {
+    case 'heading':
+      return `${'#'.repeat(block.level)} ${escapeMarkdown(block.text)}`;
+    case 'code': {
+      const fence = block.text.includes('```') ? '````' : '```';
+      return `${fence}${block.language}\n${block.text}\n${fence}`;
+    }
+    case 'list':
+      return block.items.map((item, index) => `${block.ordered ? `${index + 1}.` : '-'} ${item.markdown}`).join('\n');
+    case 'table': {
+      const width = Math.max(block.markdownHeaders.length, ...block.markdownRows.map(row => row.length));
+      const row = cells => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+      const lines = [
+        row(block.markdownHeaders),
+        `|${' --- |'.repeat(width)}`,
+        ...block.markdownRows.map(row)
+      ];
+      return block.caption ? `*${escapeMarkdown(block.caption)}*\n\n${lines.join('\n')}` : lines.join('\n');
+    }
+    default:
+      return block.markdown.replace(/\n/g, '  \n');
+  }
+}
+
+function textBlock(block) {
+  switch (block.type) {
+    case 'heading':
+      return block.level <= 2 ? `${block.text}\n${(block.level === 1 ? '=' : '-').repeat(block.text.length)}` : block.text;
+    case 'code':
+      return block.text.split('\n').map(line => `    ${line}`).join('\n');
+    case 'list':
+      return block.items.map((item, index) => `${block.ordered ? `${index + 1}.` : '-'} ${item.text}`).join('\n');
+    case 'table': {
+      const lines = [block.headers, ...block.rows].filter(row => row.length > 0).map(row => row.join(' | '));
+      return block.caption ? `${block.caption}\n${lines.join('\n')}` : lines.join('\n');
+    }
+    default:
+      return block.text;
+  }
+}
+
+// JSON blocks carry plain text; Markdown renderings stay internal
+function publicBlock(block) {
+  if (block.type === 'table') {
+    const { markdownHeaders, markdownRows, ...table } = block;
+    return table;
+  }
+  if (block.type === 'list') {
+    return { ...block, items: block.items.map(item => item.text) };
+  }
+  if (block.type === 'paragraph') {
+    const { markdown, ...paragraph } = block;
+    return paragraph;
+  }
+  return block;
+}
+
+// Only escape what would otherwise turn into HTML or emphasis
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*]/g, '\\$&').replace(/<(?=[A-Za-z/!?])/g, '\\<');
+}
+
+function wrap(text, marker) {
+  const trimmed = text.trim();
+  return trimmed ? text.replace(trimmed, `${marker}${trimmed}${marker}`) : text;
+}
+
+function collapse(text) {
+  return text.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+}
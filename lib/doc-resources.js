@@ -0,0 +1,153 @@
+import { createHash } from 'crypto';
+import { matchOperation } from './request-validator.js';
+
+export const RESOURCE_SCHEME = 'jdss-doc';
+
+/**
+ * MCP resource URIs for documentation releases, sections and operations:
+ *
+ *   jdss-doc://jeffersonville/v4
+ *   jdss-doc://jeffersonville/v4/sections/pools
+ *   jdss-doc://jeffersonville/v4/operations/GET/pools/{pool}
+ *
+ * The release segment is the discovery key without its API version suffix,
+ * so URIs stay stable across server restarts and releases.
+ */
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${RESOURCE_SCHEME}://{release}/{apiVersion}`,
+    name: 'JovianDSS documentation release',
+    description: 'Release overview: sections, operation count and source',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: `${RESOURCE_SCHEME}://{release}/{apiVersion}/sections/{section}`,
+    name: 'JovianDSS documentation section',
+    description: 'Operations documented in one section',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: `${RESOURCE_SCHEME}://{release}/{apiVersion}/operations/{method}/{+path}`,
+    name: 'JovianDSS REST operation',
+    description: 'One operation with parameters, responses and examples; the path may be templated or concrete',
+    mimeType: 'application/json'
+  }
+];
+
+export function releaseUri(release, apiVersion) {
+  return `${RESOURCE_SCHEME}://${release.toLowerCase()}/${apiVersion}`;
+}
+
+export function operationUri(base, operation) {
+  const path = operation.path.replace(/^\/api\/v\d+(?=\/|$)/, '') || '/';
+  return `${base}/operations/${operation.method}${path}`;
+}
+
+/**
+ * Split a jdss-doc:// URI into release, API version and the addressed item
+ */
+export function parseResourceUri(uri) {
+  const match = String(uri).match(new RegExp(`^${RESOURCE_SCHEME}://([^/]+)/(v\\d+)(?:/(sections|operations)/(.+))?$`));
+  if (!match) {
+    return null;
+  }
+
+  const [, release, apiVersion, kind, rest] = match;
+  if (!kind) {
+    return { kind: 'release', release, apiVersion };
+  }
+  if (kind === 'sections') {
+    try {
+      return { kind: 'section', release, apiVersion, sectionId: decodeURIComponent(rest) };
+    } catch {
+      return null;
+    }
+  }
+
+  const operation = rest.match(/^([A-Za-z]+)(\/.*)?$/);
+  return operation
+    ? { kind: 'operation', release, apiVersion, method: operation[1].toUpperCase(), path: operation[2] || '/' }
+    : null;
+}
+
+/**
+ * Resource descriptors for a release and everything in it
+ */
+export function listModelResources(model, base) {
+  const label = `${model.release} ${model.apiVersion}`;
+  const resources = [{
+    uri: base,
+    name: `JovianDSS REST API ${label}`,
+    description: `${model.operations.length} operations in ${model.sections.length} sections`,
+    mimeType: 'application/json'
+  }];
+
+  for (const section of model.sections) {
+    resources.push({
+      uri: `${base}/sections/${section.id}`,
+      name: `${section.title} (${label})`,
+      description: `${section.operationIds.length} operations`,
+      mimeType: 'application/json'
+    });
+  }
+
+  for (const operation of model.operations) {
+    resources.push({
+      uri: operationUri(base, operation),
+      name: `${operation.id} (${label})`,
+      description: operation.summary || undefined,
+      mimeType: 'application/json'
+    });
+  }
+
+  return resources;
+}
+
+/**
+ * Content of a parsed resource URI, or null when the model has no such item
+ */
+export function readModelResource(model, parsed, base) {
+  let data = null;
+
+  if (parsed.kind === 'release') {
+    data = {
+      release: model.release,
+      apiVersion: model.apiVersion,
+      source: model.source,
+      title: model.title,
+      operations: model.operations.length,
+      sections: model.sections.map(section => ({
+        uri: `${base}/sections/${section.id}`,
+        title: section.title,
+        operations: section.operationIds.length
+      }))
+    };
+  } else if (parsed.kind === 'section') {
+    const section = model.sections.find(candidate => candidate.id === parsed.sectionId);
+    if (section) {
+      data = {
+        release: model.release,
+        apiVersion: model.apiVersion,
+        id: section.id,
+        title: section.title,
+        operations: model.operations
+          .filter(operation => operation.sectionId === section.id)
+          .map(operation => ({ uri: operationUri(base, operation), id: operation.id, summary: operation.summary }))
+      };
+    }
+  } else if (parsed.kind === 'operation') {
+    const { operation } = matchOperation(model.operations, parsed.method, parsed.path);
+    if (operation) {
+      data = { release: model.release, apiVersion: model.apiVersion, ...operation };
+    }
+  }
+
+  return data && { mimeType: 'application/json', text: JSON.stringify(data, null, 2) };
+}
+
+/**
+ * Content fingerprint used to decide whether subscribers need an update notification
+ */
+export function contentHash(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
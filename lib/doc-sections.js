@@ -0,0 +1,193 @@
+import { JSDOM } from 'jsdom';
+import { slugify } from './endpoint-model.js';
+import { tokenize } from './search-index.js';
+import { estimateTokens } from './doc-render.js';
+
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6';
+const CONTAINER_SELECTOR = '.resource, section, .section, .operation, .endpoint';
+const HIDDEN_SELECTOR = '.func_src, script, style';
+
+/**
+ * Table of contents of the documentation page with the HTML of every section.
+ *
+ * Section IDs are slugs of the heading titles, nested with `/`
+ * (`pools`, `pools/get-api-v4-pools`), so they stay the same across
+ * releases as long as the headings do. Top-level IDs match the section IDs
+ * of the endpoint model.
+ */
+export class DocumentationOutline {
+  constructor(sections) {
+    this.sections = sections;
+    this.byId = new Map(sections.map(section => [section.id, section]));
+  }
+
+  static fromHTML(html) {
+    const dom = new JSDOM(html);
+    try {
+      return DocumentationOutline.fromDocument(dom.window.document);
+    } finally {
+      dom.window.close();
+    }
+  }
+
+  static fromDocument(document) {
+    const headings = [...document.body.querySelectorAll(HEADING_SELECTOR)]
+      .filter(heading => !heading.closest('.func_src, script, style, nav, #nav'))
+      .filter(heading => heading.textContent.trim());
+
+    const sections = [];
+    const stack = [];
+    const usedIds = new Set();
+
+    headings.forEach((heading, index) => {
+      const level = Number(heading.tagName.slice(1));
+      while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+        stack.pop();
+      }
+
+      const parent = stack[stack.length - 1] || null;
+      const title = heading.textContent.replace(/\s+/g, ' ').trim();
+      const baseId = parent ? `${parent.id}/${slugify(title)}` : slugify(title);
+      let id = baseId;
+      for (let suffix = 2; usedIds.has(id); suffix++) {
+        id = `${baseId}-${suffix}`;
+      }
+      usedIds.add(id);
+
+      const nodes = sectionNodes(heading, level, headings.slice(index + 1));
+      const section = {
+        id: id,
+        title: title,
+        level: level,
+        parentId: parent ? parent.id : null,
+        html: nodes.map(node => node.outerHTML ?? node.textContent).join(''),
+        tokens: estimateTokens(nodes.map(visibleText).join(' ').replace(/\s+/g, ' '))
+      };
+      sections.push(section);
+      stack.push(section);
+    });
+
+    return new DocumentationOutline(sections);
+  }
+
+  /**
+   * Hierarchical table of contents, optionally limited to `depth` levels
+   */
+  tableOfContents(depth = Infinity) {
+    const build = (parentId, currentDepth) => this.sections
+      .filter(section => section.parentId === parentId)
+      .map(section => {
+        const children = currentDepth < depth ? build(section.id, currentDepth + 1) : [];
+        const descendants = this.sections.filter(candidate => candidate.id.startsWith(`${section.id}/`)).length;
+        return {
+          id: section.id,
+          title: section.title,
+          size: section.html.length,
+          tokens: section.tokens,
+          subsections: descendants,
+          children: children.length > 0 ? children : undefined
+        };
+      });
+    return build(null, 1);
+  }
+
+  /**
+   * Find a section by ID or fuzzy title; returns the best match or null
+   */
+  find(query) {
+    const text = String(query || '').trim();
+    if (this.byId.has(text)) {
+      return this.byId.get(text);
+    }
+
+    const lower = text.toLowerCase();
+    const slug = slugify(text);
+    const terms = tokenize(text);
+    let best = null;
+
+    for (const section of this.sections) {
+      const title = section.title.toLowerCase();
+      const lastSegment = section.id.split('/').pop();
+      let score = 0;
+
+      if (section.id.toLowerCase() === lower || title === lower) {
+        score = 100;
+      } else if (lastSegment === slug) {
+        score = 90;
+      } else if (title.startsWith(lower)) {
+        score = 70;
+      } else if (title.includes(lower)) {
+        score = 60;
+      } else {
+        const titleTerms = new Set(tokenize(section.title));
+        const overlap = terms.filter(term => titleTerms.has(term)).length / (terms.length || 1);
+        if (overlap >= 0.5) {
+          score = 40 * overlap;
+        } else if (slug.length > 3 && editDistance(slug, lastSegment) <= Math.max(1, Math.floor(slug.length / 5))) {
+          score = 30;
+        }
+      }
+
+      // Prefer the shallower section when several match equally well
+      const ranked = score - (section.level / 10);
+      if (score > 0 && (!best || ranked > best.ranked)) {
+        best = { section, ranked };
+      }
+    }
+
+    return best ? best.section : null;
+  }
+}
+
+/**
+ * Nodes of a section: its container element (`.resource`, `.operation`, …)
+ * when the heading introduces one, otherwise the heading and the following
+ * siblings up to the next heading of the same or a higher level
+ */
+function sectionNodes(heading, level, laterHeadings) {
+  const container = heading.closest(CONTAINER_SELECTOR);
+  if (container && container.querySelector(HEADING_SELECTOR) === heading) {
+    return [container];
+  }
+
+  // Headings wrapped on their own (e.g. in a `.heading` div) are followed by the wrapper's siblings
+  let start = heading;
+  while (!start.nextElementSibling && start.parentElement && start.parentElement.tagName !== 'BODY' &&
+         start.parentElement.querySelectorAll(HEADING_SELECTOR).length === 1) {
+    start = start.parentElement;
+  }
+
+  const stop = laterHeadings.find(candidate => Number(candidate.tagName.slice(1)) <= level);
+  const nodes = [start];
+  for (let node = start.nextSibling; node; node = node.nextSibling) {
+    if (stop && (node === stop || (node.contains && node.contains(stop)))) {
+      break;
+    }
+    nodes.push(node);
+  }
+  return nodes;
+}
+
+// Text a reader would see once scripts and handler source are stripped
+function visibleText(node) {
+  if (!node.querySelector || !node.querySelector(HIDDEN_SELECTOR)) {
+    return node.matches && node.matches(HIDDEN_SELECTOR) ? '' : node.textContent;
+  }
+  const clone = node.cloneNode(true);
+  clone.querySelectorAll(HIDDEN_SELECTOR).forEach(element => element.remove());
+  return clone.textContent;
+}
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
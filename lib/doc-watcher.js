@@ -0,0 +1,224 @@
+import { spawn } from 'child_process';
+import { dirname } from 'path';
+import { appendFile, mkdir } from 'fs/promises';
+import { contentHash } from './doc-resources.js';
+import { schemaFromExample } from './openapi-exporter.js';
+import { DocumentationDiff } from './version-diff.js';
+
+const COMMAND_TIMEOUT = 30 * 1000;
+
+/**
+ * Polls the discovered releases and reports changed endpoints.
+ *
+ * Every operation is fingerprinted (method, path, parameters, response codes
+ * and the schemas of its examples; descriptions are ignored). The first check
+ * of a release records a baseline; later checks compare against it and emit
+ * one `documentation-changed` event per release that changed. Events are
+ * appended to a JSON Lines log, piped to the optional `command` (event JSON
+ * on stdin) and passed to `onChange`.
+ *
+ * `documentation` is the server: it discovers links, loads models and owns
+ * the cache that keeps the baselines.
+ */
+export class DocumentationWatcher {
+  constructor(documentation, { interval, releases = [], logFile = null, command = null, onChange = null }) {
+    this.documentation = documentation;
+    this.interval = interval;
+    this.releases = releases.map(release => String(release).toLowerCase());
+    this.logFile = logFile;
+    this.command = command;
+    this.onChange = onChange;
+    this.timer = null;
+    this.running = null;
+    this.lastCheck = null;
+    this.eventCount = 0;
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.tick(), this.interval);
+      this.tick();
+    }
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  tick() {
+    this.check().catch(error => console.error('Documentation watch failed:', error.message));
+  }
+
+  /**
+   * Check every watched release once; returns the change events
+   */
+  async check() {
+    // A slow download must not overlap with the next tick
+    if (this.running) {
+      return this.running;
+    }
+    this.running = this.checkReleases().finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  async checkReleases() {
+    const links = await this.documentation.discoverDocumentationLinks();
+    const events = [];
+    const errors = [];
+
+    for (const [key, link] of Object.entries(links)) {
+      if (key.startsWith('latest_') || !this.watches(key, link)) {
+        continue;
+      }
+      try {
+        const event = await this.checkRelease(key, link);
+        if (event) {
+          events.push(event);
+          await this.publish(event);
+        }
+      } catch (error) {
+        errors.push(`${key}: ${error.message}`);
+      }
+    }
+
+    this.lastCheck = { checkedAt: new Date().toISOString(), releases: Object.keys(links).length, events: events.length, errors };
+    return events;
+  }
+
+  watches(key, link) {
+    return this.releases.length === 0 ||
+      this.releases.includes(key.toLowerCase()) ||
+      this.releases.includes(link.release.toLowerCase());
+  }
+
+  async checkRelease(key, link) {
+    const model = await this.documentation.loadLinkModel(link, { revalidate: true });
+    if (model.freshness.stale) {
+      throw new Error(`host unreachable, not checked (${model.freshness.reason || 'stale snapshot'})`);
+    }
+
+    const cache = this.documentation.cache;
+    const previous = await cache.readWatchState(key);
+    const fingerprints = fingerprintModel(model);
+    const snapshot = model.freshness.fetchedAt;
+    await cache.writeWatchState(key, { release: link.release, apiVersion: link.apiVersion, snapshot, fingerprints, model });
+
+    if (!previous) {
+      return null;
+    }
+    return changeEvent(key, link, previous, { snapshot, fingerprints, model });
+  }
+
+  async publish(event) {
+    this.eventCount++;
+    if (this.logFile) {
+      await mkdir(dirname(this.logFile), { recursive: true });
+      await appendFile(this.logFile, `${JSON.stringify(event)}\n`);
+    }
+    if (this.command) {
+      await runCommand(this.command, event).catch(error => {
+        console.error(`Watch command failed: ${error.message}`);
+      });
+    }
+    if (this.onChange) {
+      await this.onChange(event);
+    }
+  }
+
+  status() {
+    return {
+      interval: this.interval,
+      releases: this.releases.length > 0 ? this.releases : 'all',
+      lastCheck: this.lastCheck,
+      events: this.eventCount
+    };
+  }
+}
+
+/**
+ * Fingerprint of each operation by id; only what a client depends on is hashed
+ */
+export function fingerprintModel(model) {
+  const fingerprints = {};
+  for (const operation of model.operations) {
+    fingerprints[operation.id] = contentHash(JSON.stringify({
+      parameters: [...operation.parameters]
+        .sort((a, b) => `${a.in}:${a.name}`.localeCompare(`${b.in}:${b.name}`))
+        .map(({ name, in: location, type, required, enum: values, default: fallback }) =>
+          ({ name, in: location, type, required, enum: values, default: fallback })),
+      responses: operation.responses.map(response => response.code).sort(),
+      request: schemaFromExample(operation.requestExample),
+      examples: operation.responseExamples
+        .map(example => ({ code: example.code, schema: schemaFromExample(example.body) }))
+        .sort((a, b) => a.code.localeCompare(b.code))
+    }));
+  }
+  return fingerprints;
+}
+
+function changeEvent(key, link, previous, current) {
+  const added = Object.keys(current.fingerprints).filter(id => !(id in previous.fingerprints));
+  const removed = Object.keys(previous.fingerprints).filter(id => !(id in current.fingerprints));
+  const changed = Object.keys(current.fingerprints)
+    .filter(id => id in previous.fingerprints && previous.fingerprints[id] !== current.fingerprints[id]);
+  if (added.length + removed.length + changed.length === 0) {
+    return null;
+  }
+
+  const diff = new DocumentationDiff(previous.model, current.model).compare();
+  return {
+    type: 'documentation-changed',
+    key: key,
+    release: link.release,
+    apiVersion: link.apiVersion,
+    source: link.zipUrl,
+    detectedAt: new Date().toISOString(),
+    previousSnapshot: previous.snapshot,
+    snapshot: current.snapshot,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      breaking: diff.summary.breaking
+    },
+    operations: { added, removed, changed },
+    changes: diff.changes
+  };
+}
+
+/**
+ * Run the configured command with the event as JSON on stdin
+ */
+function runCommand(command, event) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 'ignore', 'inherit'],
+      env: {
+        ...process.env,
+        JDSS_CHANGE_RELEASE: event.release,
+        JDSS_CHANGE_API_VERSION: event.apiVersion,
+        JDSS_CHANGE_BREAKING: String(event.summary.breaking)
+      }
+    });
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`timed out after ${COMMAND_TIMEOUT} ms`));
+    }, COMMAND_TIMEOUT);
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      code === 0 ? resolve() : reject(new Error(`exit code ${code}`));
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(event));
+  });
+}
@@ -0,0 +1,205 @@
+import { fork } from 'child_process';
+import { createRequire } from 'module';
+import { posix, sep } from 'path';
+import { fileURLToPath } from 'url';
+import JSZip from 'jszip';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { DocumentationError, ZipCorruptError } from './errors.js';
+
+// Collapsed operation content of the generated documentation
+const COLLAPSED_SELECTOR = '.func_doc, .func_src, .operation, .endpoint, .content';
+
+const DEFAULT_SCRIPT_LIMITS = {
+  timeout: 10 * 1000,
+  memoryMb: 256
+};
+
+const SANDBOX_SCRIPT = fileURLToPath(new URL('./script-sandbox.js', import.meta.url));
+
+// The node_modules directory jsdom is loaded from: the only files the sandbox may read besides its own
+const MODULES_DIRECTORY = (() => {
+  const jsdom = createRequire(import.meta.url).resolve('jsdom');
+  return jsdom.slice(0, jsdom.lastIndexOf(`${sep}node_modules${sep}`) + `${sep}node_modules`.length);
+})();
+
+// Node.js 20 names the permission model --experimental-permission, later releases --permission
+const PERMISSION_FLAG = ['--permission', '--experimental-permission']
+  .find(flag => process.allowedNodeEnvironmentFlags.has(flag));
+
+/**
+ * Whether this Node.js can sandbox page scripts (the permission model arrived in Node.js 20)
+ */
+export const SCRIPT_SANDBOX_AVAILABLE = Boolean(PERMISSION_FLAG);
+
+/**
+ * Main documentation page of a ZIP and the scripts shipped next to it
+ */
+export async function readDocumentationPage(zipBuffer) {
+  let contents;
+  try {
+    contents = await new JSZip().loadAsync(zipBuffer);
+  } catch (error) {
+    throw new ZipCorruptError(`Not a valid documentation ZIP (${error.message})`, { cause: error });
+  }
+  let page = null;
+  const scripts = new Map();
+
+  for (const [path, file] of Object.entries(contents.files)) {
+    if (file.dir) {
+      continue;
+    }
+    if (path.endsWith('.html') && !page) {
+      page = { path: path, html: await file.async('text') };
+    } else if (path.endsWith('.js')) {
+      scripts.set(path, await file.async('text'));
+    }
+  }
+
+  if (!page) {
+    throw new ZipCorruptError('No HTML file found in ZIP');
+  }
+  return { ...page, scripts };
+}
+
+/**
+ * Reveal collapsed content by DOM transformation only: no script runs and
+ * no subresource is loaded. This is what clicking every `.toggleOperation`
+ * link does in a browser.
+ */
+export function renderStatic(html) {
+  const dom = new JSDOM(html);
+  revealDocument(dom.window.document);
+  return dom.window.document;
+}
+
+export function revealDocument(document) {
+  for (const element of document.querySelectorAll('[style]')) {
+    if (element.style.display === 'none' || element.style.visibility === 'hidden') {
+      element.style.removeProperty('display');
+      element.style.removeProperty('visibility');
+      if (!element.getAttribute('style').trim()) {
+        element.removeAttribute('style');
+      }
+    }
+  }
+  for (const element of document.querySelectorAll('[hidden], details:not([open])')) {
+    element.removeAttribute('hidden');
+    if (element.tagName === 'DETAILS') {
+      element.setAttribute('open', '');
+    }
+  }
+  for (const element of document.querySelectorAll(COLLAPSED_SELECTOR)) {
+    element.classList.remove('collapsed', 'hidden', 'hide');
+  }
+  return document;
+}
+
+/**
+ * True when the static page has no documentation content of its own,
+ * i.e. it is built by its scripts
+ */
+export function needsScripts(document) {
+  return !document.querySelector('h1, h2, h3, h4, h5, h6, .operation, .endpoint');
+}
+
+/**
+ * Run the page's own scripts (those shipped in the ZIP, inlined; nothing is
+ * fetched) in a child process with memory and time limits, wait until the
+ * content is revealed and return the resulting document.
+ *
+ * jsdom alone does not isolate page scripts from Node.js, so the child runs
+ * under the Node.js permission model: it may read only its own code and
+ * node_modules, and may not write files, spawn processes or start workers.
+ * The permission model does not cover sockets; network access is only
+ * limited by removing the browser network APIs (see script-sandbox.js).
+ */
+export function renderWithScripts(page, limits = {}) {
+  const { timeout, memoryMb } = { ...DEFAULT_SCRIPT_LIMITS, ...limits };
+  if (!PERMISSION_FLAG) {
+    return Promise.reject(new DocumentationError(`Script rendering needs the Node.js permission model (Node.js 20 or later, running ${process.version})`, {
+      code: 'sandbox-unavailable',
+      hints: ['Run the server on Node.js 20 or later to render pages with scripts']
+    }));
+  }
+  const html = inlineScripts(page);
+
+  return new Promise((resolve, reject) => {
+    const child = fork(SANDBOX_SCRIPT, [], {
+      execArgv: [
+        PERMISSION_FLAG,
+        `--allow-fs-read=${SANDBOX_SCRIPT}`,
+        `--allow-fs-read=${MODULES_DIRECTORY}`,
+        `--max-old-space-size=${memoryMb}`,
+        '--stack-size=4000'
+      ],
+      env: {},
+      stdio: ['ignore', 'ignore', 'ignore', 'ipc']
+    });
+
+    let settled = false;
+    const finish = (error, result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      child.kill('SIGKILL');
+      if (error) {
+        reject(error);
+      } else {
+        const document = new JSDOM(result).window.document;
+        resolve(revealDocument(document));
+      }
+    };
+
+    // Killing the child also stops scripts stuck in a loop, so this bounds CPU time as well
+    const timer = setTimeout(() => finish(new Error(`Script rendering exceeded ${timeout} ms`)), timeout);
+    child.once('message', message => finish(message.error ? new Error(message.error) : null, message.html));
+    child.once('error', error => finish(new Error(`Script rendering failed: ${error.message}`)));
+    // V8 aborts the process when the heap limit is reached
+    child.once('exit', (code, signal) => finish(new Error(signal === 'SIGABRT' || code === 134
+      ? `Script rendering exceeded ${memoryMb} MB`
+      : `Script rendering stopped (${signal || `exit code ${code}`})`)));
+
+    // One deadline for loading and opening the page, leaving time to send the result
+    child.send({ html: html, readyTimeout: Math.max(100, timeout - 500) });
+  });
+}
+
+/**
+ * Replace `<script src>` with the matching script from the ZIP; scripts
+ * that are not in the ZIP are dropped instead of fetched
+ */
+function inlineScripts(page) {
+  const dom = new JSDOM(page.html, { virtualConsole: new VirtualConsole() });
+  const document = dom.window.document;
+  const directory = posix.dirname(page.path);
+
+  const inlined = new Set();
+  for (const script of document.querySelectorAll('script[src]')) {
+    const source = script.getAttribute('src').split(/[?#]/)[0];
+    const path = page.scripts.has(posix.normalize(posix.join(directory, source)))
+      ? posix.normalize(posix.join(directory, source))
+      : [...page.scripts.keys()].find(candidate => posix.basename(candidate) === posix.basename(source));
+
+    if (path === undefined) {
+      script.remove();
+      continue;
+    }
+    script.removeAttribute('src');
+    script.textContent = page.scripts.get(path);
+    inlined.add(path);
+  }
+
+  // jQuery shipped in the ZIP but not referenced by the page is loaded first
+  const jquery = [...page.scripts.keys()].find(path => /jquery/i.test(posix.basename(path)));
+  if (jquery && !inlined.has(jquery)) {
+    const script = document.createElement('script');
+    script.textContent = page.scripts.get(jquery);
+    document.head.prepend(script);
+  }
+
+  const html = dom.serialize();
+  dom.window.close();
+  return html;
+}
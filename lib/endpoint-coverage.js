@@ -0,0 +1,353 @@
+import { readdir, readFile, stat } from 'fs/promises';
+import { extname, join, relative, resolve, sep } from 'path';
+import { expandHome } from './config.js';
+import { NotFoundError, ValidationError } from './errors.js';
+import { matchOperation } from './request-validator.js';
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'];
+
+const LANGUAGES = {
+  '.js': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.jsx': 'javascript',
+  '.ts': 'javascript',
+  '.tsx': 'javascript',
+  '.py': 'python',
+  '.sh': 'shell',
+  '.bash': 'shell',
+  '.zsh': 'shell',
+  '.yml': 'yaml',
+  '.yaml': 'yaml'
+};
+
+// Dependencies, build output and virtual environments are not our code
+const SKIPPED_DIRECTORIES = new Set(['node_modules', 'dist', 'build', 'coverage', 'vendor', 'venv', '__pycache__', 'site-packages']);
+const MAX_FILE_BYTES = 1024 * 1024;
+// Lines after a URL searched for its method (`fetch(url, {\n  method: 'POST'`)
+const METHOD_LOOKAHEAD = 4;
+
+const URL_PATTERN = /\/api\/(v\d+)(?:\/[^\s'"`)<>,;\\]*)?/g;
+// Closing quote of a string, a variable, and optionally the next string up to its closing quote
+const CONCATENATION_PATTERN = /^['"`]\s*\+\s*([\w.]+)\s*(?:\+\s*['"`]([^'"`\s]*)(?=['"`]))?/;
+
+/**
+ * JovianDSS REST calls in the source files below a directory (or in one file):
+ * JS/TS, Python, shell scripts and Ansible YAML. Hidden directories and
+ * dependencies (node_modules, venv, ...) are skipped, as are names in `exclude`.
+ * A missing path is a NotFoundError, anything but a file or directory a ValidationError.
+ */
+export async function scanSourceTree(path, { exclude = [] } = {}) {
+  const root = resolve(expandHome(path));
+  let info;
+  try {
+    info = await stat(root);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      throw new NotFoundError(`No such directory or file: ${root}`, { cause: error });
+    }
+    throw error;
+  }
+  if (!info.isDirectory() && !info.isFile()) {
+    throw new ValidationError(`Not a directory or file: ${root}`);
+  }
+  const skipped = new Set(exclude);
+  const files = info.isDirectory() ? await listSourceFiles(root, skipped) : [root];
+  const base = info.isDirectory() ? root : resolve(root, '..');
+
+  const calls = [];
+  let scanned = 0;
+  for (const file of files) {
+    const language = LANGUAGES[extname(file).toLowerCase()];
+    if (!language || (await stat(file)).size > MAX_FILE_BYTES) {
+      continue;
+    }
+    scanned++;
+    const name = relative(base, file).split(sep).join('/');
+    calls.push(...findApiCalls(await readFile(file, 'utf8'), language).map(call => ({ file: name, ...call })));
+  }
+
+  return { root, files: scanned, calls };
+}
+
+async function listSourceFiles(directory, skipped) {
+  const files = [];
+  for (const entry of await readdir(directory, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || skipped.has(entry.name)) {
+      continue;
+    }
+    const path = join(directory, entry.name);
+    if (entry.isDirectory() && !SKIPPED_DIRECTORIES.has(entry.name)) {
+      files.push(...await listSourceFiles(path, skipped));
+    } else if (entry.isFile()) {
+      files.push(path);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * `/api/vN/...` URLs in a source text with their line and method.
+ *
+ * Interpolated values (`${pool}`, `{pool}`, `$POOL`, `{{ pool }}`, `%s`, and
+ * `'/pools/' + pool` concatenation) become `{name}` placeholders, which only
+ * match path parameters of the documented operation. The method comes from
+ * the call itself (`-X POST`, `requests.post(`, `method: 'PUT'`), from the
+ * next few lines in JS and Python, or from the sibling keys of an Ansible
+ * `uri` task; without one the call is assumed to be a GET (`methodAssumed`).
+ */
+export function findApiCalls(text, language = 'javascript') {
+  const lines = String(text || '').split('\n');
+  const calls = [];
+
+  for (const { line, number, index } of logicalLines(lines, language)) {
+    const normalized = normalizePlaceholders(line);
+    for (const match of normalized.matchAll(URL_PATTERN)) {
+      const path = followConcatenation(match[0], normalized.slice(match.index + match[0].length))
+        .replace(/\/:(\w+)/g, '/{$1}')
+        .replace(/%[sd]/g, '{}');
+      const method = methodOnLine(normalized) || nearbyMethod(lines, index, language);
+      calls.push({
+        line: number,
+        method: method || 'GET',
+        path: path,
+        apiVersion: match[1],
+        methodAssumed: !method && !/\b(curl|wget)\b/.test(line)
+      });
+    }
+  }
+  return calls;
+}
+
+/**
+ * HTTP method named on a line of code, or null
+ */
+export function methodOnLine(line) {
+  const patterns = [
+    /(?:-X|--request)\s*['"]?([A-Za-z]+)/,
+    /method\s*[:=]\s*['"]([A-Za-z]+)['"]/,
+    /\.(get|post|put|patch|delete|head)\s*\(/i,
+    /\b(GET|POST|PUT|PATCH|DELETE|HEAD)\b/
+  ];
+  for (const pattern of patterns) {
+    const method = line.match(pattern)?.[1]?.toUpperCase();
+    if (METHODS.includes(method)) {
+      return method;
+    }
+  }
+  // curl sends data as a POST unless told otherwise
+  if (/\bcurl\b/.test(line) && /\s(?:-d|--data(?:-raw|-binary)?|--json|-F|--form)\b/.test(line)) {
+    return 'POST';
+  }
+  return null;
+}
+
+/**
+ * Source lines with shell continuations (`\` at the end) joined, so a curl
+ * call split over several lines is read as one
+ */
+function logicalLines(lines, language) {
+  const result = [];
+  for (let index = 0; index < lines.length; index++) {
+    let line = lines[index];
+    const start = index;
+    while (language === 'shell' && /\\\s*$/.test(line) && index + 1 < lines.length) {
+      line = line.replace(/\\\s*$/, ' ') + lines[++index];
+    }
+    result.push({ line, number: start + 1, index: start });
+  }
+  return result;
+}
+
+function normalizePlaceholders(line) {
+  // `${encodeURIComponent(pool)}` and `{{ item.pool }}` are named after their last identifier
+  const name = expression => expression.match(/([A-Za-z_]\w*)\W*$/)?.[1] || '';
+  return line
+    .replace(/\{\{([^}]*)\}\}/g, (_, expression) => `{${name(expression)}}`)
+    .replace(/\$\{([^}]*)\}/g, (_, expression) => `{${name(expression)}}`)
+    .replace(/\$([A-Za-z_]\w*)/g, '{$1}');
+}
+
+/**
+ * Complete `'/api/v4/pools/' + pool + '/volumes'` with a placeholder per variable
+ */
+function followConcatenation(path, rest) {
+  let result = path;
+  let remaining = rest;
+  while (result.endsWith('/')) {
+    const match = remaining.match(CONCATENATION_PATTERN);
+    if (!match) {
+      break;
+    }
+    result += `{${match[1].split('.').pop()}}${match[2] || ''}`;
+    remaining = remaining.slice(match[0].length);
+    if (match[2] === undefined) {
+      break;
+    }
+  }
+  return result;
+}
+
+function nearbyMethod(lines, index, language) {
+  if (language === 'yaml') {
+    return siblingMethod(lines, index);
+  }
+  if (language !== 'javascript' && language !== 'python') {
+    return null;
+  }
+  for (const line of lines.slice(index + 1, index + 1 + METHOD_LOOKAHEAD)) {
+    if (line.includes('/api/v')) {
+      break;
+    }
+    const method = line.match(/method\s*[:=]\s*['"]([A-Za-z]+)['"]/)?.[1]?.toUpperCase();
+    if (METHODS.includes(method)) {
+      return method;
+    }
+  }
+  return null;
+}
+
+/**
+ * `method:` key of the YAML mapping holding the URL (an Ansible `uri` task)
+ */
+function siblingMethod(lines, index) {
+  const indentOf = line => line.match(/^(\s*)(?:-\s+)?/)[0].length;
+  const indent = indentOf(lines[index]);
+  const sameMapping = line => line.trim() === '' || indentOf(line) >= indent;
+
+  let start = index;
+  while (start > 0 && sameMapping(lines[start - 1]) && !/^\s*-\s/.test(lines[start])) {
+    start--;
+  }
+  let end = index;
+  while (end + 1 < lines.length && sameMapping(lines[end + 1]) && !/^\s*-\s/.test(lines[end + 1])) {
+    end++;
+  }
+
+  for (const line of lines.slice(start, end + 1)) {
+    if (indentOf(line) !== indent) {
+      continue;
+    }
+    const method = line.match(/^\s*(?:-\s+)?method:\s*['"]?([A-Za-z]+)/)?.[1]?.toUpperCase();
+    if (METHODS.includes(method)) {
+      return method;
+    }
+  }
+  return null;
+}
+
+/**
+ * Match scanned calls against the endpoint models of a release (one per API
+ * version): documented operations used, with their call sites; operations
+ * not used; calls that are not documented (or no longer are) in the release.
+ * `unavailable` maps API versions without a model to the reason.
+ */
+export function coverageReport(models, scan, { unavailable = {} } = {}) {
+  const loaded = Object.values(models);
+  const release = loaded[0]?.release;
+  const used = new Map();
+  const undocumented = [];
+
+  for (const call of scan.calls) {
+    const reference = `${call.file}:${call.line}`;
+    const model = models[call.apiVersion];
+    const label = `${call.method} ${call.path}`;
+    if (!model) {
+      undocumented.push({ call: label, reference, note: unavailable[call.apiVersion] || `${call.apiVersion} is not documented in ${release}` });
+      continue;
+    }
+
+    const match = matchOperation(model.operations, call.method, call.path);
+    if (match.operation) {
+      if (!used.has(match.operation.id)) {
+        used.set(match.operation.id, { operation: match.operation.id, summary: match.operation.summary, references: [] });
+      }
+      used.get(match.operation.id).references.push(reference);
+      continue;
+    }
+
+    const documented = match.allowedMethods.filter(method => method !== call.method);
+    let note = `Not documented in ${model.release} ${model.apiVersion}`;
+    if (match.malformed) {
+      note = 'Malformed percent-encoding in the path';
+    } else if (documented.length > 0) {
+      note = `${call.method} is not documented for this path (documented: ${documented.join(', ')})`;
+    }
+    if (call.methodAssumed) {
+      note += '; no method found in the code, GET assumed';
+    }
+    undocumented.push({ call: label, reference, note });
+  }
+
+  const unused = loaded.flatMap(model => model.operations)
+    .filter(operation => !used.has(operation.id))
+    .map(operation => ({ operation: operation.id, summary: operation.summary, section: operation.section }));
+  const operations = loaded.reduce((total, model) => total + model.operations.length, 0);
+
+  return {
+    release: release,
+    apiVersions: Object.keys(models),
+    root: scan.root,
+    summary: {
+      files: scan.files,
+      calls: scan.calls.length,
+      operations: operations,
+      used: used.size,
+      unused: unused.length,
+      undocumented: undocumented.length
+    },
+    undocumented: undocumented,
+    used: [...used.values()],
+    unused: unused
+  };
+}
+
+/**
+ * Render a coverage report as Markdown
+ */
+export function formatCoverage(report, { maxReferences = 5 } = {}) {
+  const { files, calls, operations, used, unused, undocumented } = report.summary;
+  const lines = [
+    `# JovianDSS REST API coverage: ${report.release} ${report.apiVersions.join(', ')}`,
+    '',
+    `${calls} calls in ${files} scanned files below ${report.root}: ${used} of ${operations} documented operations used, ` +
+      `${unused} unused; ${undocumented} calls are undocumented or removed.`,
+    ''
+  ];
+
+  if (report.undocumented.length > 0) {
+    lines.push('## Undocumented or removed calls', '', '| Call | Location | Notes |', '| --- | --- | --- |');
+    for (const item of report.undocumented) {
+      lines.push(tableRow([code(item.call), item.reference, item.note]));
+    }
+    lines.push('');
+  }
+
+  if (report.used.length > 0) {
+    lines.push('## Used operations', '', '| Operation | Calls |', '| --- | --- |');
+    for (const item of report.used) {
+      const more = item.references.length - maxReferences;
+      lines.push(tableRow([code(item.operation),
+        item.references.slice(0, maxReferences).join(', ') + (more > 0 ? ` (+${more} more)` : '')]));
+    }
+    lines.push('');
+  }
+
+  if (report.unused.length > 0) {
+    lines.push('## Unused operations', '');
+    lines.push(...report.unused.map(item => `- ${code(item.operation)}${item.summary ? ` — ${item.summary}` : ''}`), '');
+  }
+
+  if (calls === 0) {
+    lines.push('No `/api/vN/...` calls found in JS/TS, Python, shell or YAML files.', '');
+  }
+  return lines.join('\n');
+}
+
+function code(text) {
+  return `\`${text}\``;
+}
+
+function tableRow(cells) {
+  return `| ${cells.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`;
+}
@@ -0,0 +1,550 @@
+import { JSDOM } from 'jsdom';
+
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
+
+const TYPE_ALIASES = {
+  str: 'string',
+  string: 'string',
+  text: 'string',
+  int: 'integer',
+  integer: 'integer',
+  long: 'integer',
+  float: 'number',
+  double: 'number',
+  number: 'number',
+  bool: 'boolean',
+  boolean: 'boolean',
+  dict: 'object',
+  object: 'object',
+  json: 'object',
+  list: 'array',
+  array: 'array'
+};
+
+const METHOD_PATTERN = new RegExp(`\\b(${HTTP_METHODS.join('|')})\\b`);
+const PATH_PATTERN = /\/[\w\-{}<>:.\/]*/;
+
+/**
+ * Builds a structured endpoint model from the documentation DOM.
+ *
+ * The JovianDSS documentation is a list of `.endpoint` / `.operation` blocks,
+ * each holding the HTTP method and path in its heading plus a collapsed
+ * `.content.func_doc` body with parameter tables, field lists and examples.
+ */
+export class EndpointModelParser {
+  constructor(document, meta = {}) {
+    this.document = document;
+    this.meta = meta;
+  }
+
+  static fromHTML(html, meta = {}) {
+    const dom = new JSDOM(html);
+    return new EndpointModelParser(dom.window.document, meta);
+  }
+
+  parse() {
+    const operations = new Map();
+    const sections = new Map();
+
+    for (const block of this.findOperationBlocks()) {
+      const operation = this.parseOperation(block);
+      if (!operation) {
+        continue;
+      }
+
+      const existing = operations.get(operation.id);
+      if (existing) {
+        this.mergeOperation(existing, operation);
+        continue;
+      }
+      operations.set(operation.id, operation);
+
+      if (!sections.has(operation.sectionId)) {
+        sections.set(operation.sectionId, {
+          id: operation.sectionId,
+          title: operation.section,
+          operationIds: []
+        });
+      }
+      sections.get(operation.sectionId).operationIds.push(operation.id);
+    }
+
+    return {
+      release: this.meta.release || null,
+      apiVersion: this.meta.apiVersion || null,
+      source: this.meta.source || null,
+      title: this.document.title || null,
+      parsedAt: new Date().toISOString(),
+      sections: [...sections.values()],
+      operations: [...operations.values()]
+    };
+  }
+
+  /**
+   * Collect the outermost elements describing one operation each
+   */
+  findOperationBlocks() {
+    const blocks = [...this.document.querySelectorAll('.operation')];
+    const covered = (element) => blocks.some(block => block === element || block.contains(element));
+
+    for (const endpoint of this.document.querySelectorAll('.endpoint')) {
+      if (!endpoint.querySelector('.operation') && !covered(endpoint)) {
+        blocks.push(endpoint);
+      }
+    }
+
+    for (const funcDoc of this.document.querySelectorAll('.content.func_doc')) {
+      if (!covered(funcDoc) && funcDoc.parentElement) {
+        blocks.push(funcDoc.parentElement);
+      }
+    }
+
+    return blocks;
+  }
+
+  parseOperation(block) {
+    const heading = this.findHeading(block);
+    const method = this.findMethod(block, heading);
+    const path = this.findPath(block, heading);
+
+    if (!method || !path) {
+      return null;
+    }
+
+    const section = this.findSectionTitle(block);
+    const docElement = block.querySelector('.func_doc, .description, .markdown, .notes') || block;
+    const operation = {
+      id: `${method} ${path}`,
+      method: method,
+      path: path,
+      summary: '',
+      description: this.extractDescription(docElement),
+      section: section,
+      sectionId: slugify(section),
+      parameters: [],
+      responses: [],
+      requestExample: null,
+      responseExamples: []
+    };
+
+    const summaryElement = block.querySelector('.summary, .heading .options');
+    operation.summary = summaryElement && textOf(summaryElement)
+      ? textOf(summaryElement)
+      : operation.description.split(/(?<=\.)\s|\n/)[0] || '';
+
+    this.extractTables(block, operation);
+    this.extractFieldLists(docElement, operation);
+    this.extractExamples(block, operation);
+    this.addMissingPathParameters(operation);
+
+    return operation;
+  }
+
+  findHeading(block) {
+    return block.querySelector('.heading, h3, h4, .toggleOperation') || block;
+  }
+
+  findMethod(block, heading) {
+    const methodElement = block.querySelector('.http_method, .method');
+    if (methodElement) {
+      const match = textOf(methodElement).toUpperCase().match(METHOD_PATTERN);
+      if (match) {
+        return match[1];
+      }
+    }
+
+    const classMethod = [...block.classList]
+      .map(name => name.toUpperCase())
+      .find(name => HTTP_METHODS.includes(name));
+    if (classMethod) {
+      return classMethod;
+    }
+
+    const match = textOf(heading).match(METHOD_PATTERN);
+    return match ? match[1] : null;
+  }
+
+  findPath(block, heading) {
+    const pathElement = block.querySelector('.path');
+    const source = pathElement ? textOf(pathElement) : textOf(heading);
+    const match = source.match(PATH_PATTERN);
+    return match ? normalizePath(match[0]) : null;
+  }
+
+  /**
+   * Find the documentation section (resource group) an operation belongs to
+   */
+  findSectionTitle(block) {
+    for (let node = block.parentElement; node; node = node.parentElement) {
+      if (node.matches('.resource, section, .section')) {
+        const heading = node.querySelector('h1, h2, h3');
+        if (heading && textOf(heading)) {
+          return textOf(heading);
+        }
+      }
+    }
+
+    // Flat documents: use the nearest preceding h1/h2 in document order
+    for (let node = block; node && node !== this.document.body; node = node.parentElement) {
+      for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+        const headings = sibling.matches('h1, h2') ? [sibling] : [...sibling.querySelectorAll('h1, h2')];
+        const heading = headings.pop();
+        if (heading && textOf(heading)) {
+          return textOf(heading);
+        }
+      }
+    }
+
+    return 'General';
+  }
+
+  extractDescription(element) {
+    const paragraphs = [...element.querySelectorAll('p')]
+      .filter(p => !p.closest('table, pre, .func_src'))
+      .map(textOf)
+      .filter(text => text && !/^example (request|response)/i.test(text));
+
+    if (paragraphs.length > 0) {
+      return paragraphs.join('\n');
+    }
+
+    if (element.matches('.func_doc, .description, .markdown, .notes')) {
+      const clone = element.cloneNode(true);
+      clone.querySelectorAll('table, pre, script, style').forEach(node => node.remove());
+      return textOf(clone);
+    }
+
+    return '';
+  }
+
+  /**
+   * Parameter and response code tables
+   */
+  extractTables(block, operation) {
+    for (const table of block.querySelectorAll('table')) {
+      if (table.closest('.func_src')) {
+        continue;
+      }
+
+      const rows = [...table.querySelectorAll('tr')];
+      if (rows.length < 2) {
+        continue;
+      }
+
+      const headers = [...rows[0].querySelectorAll('th, td')].map(cell => textOf(cell).toLowerCase());
+      const column = (...names) => {
+        for (const name of names) {
+          const index = headers.findIndex(header => header === name || (name.length > 2 && header.startsWith(name)));
+          if (index !== -1) {
+            return index;
+          }
+        }
+        return -1;
+      };
+      const cellsOf = (row) => [...row.querySelectorAll('td, th')].map(textOf);
+
+      const codeColumn = column('code', 'status', 'http status');
+      if (codeColumn !== -1) {
+        const descriptionColumn = column('description', 'reason', 'message');
+        for (const cells of rows.slice(1).map(cellsOf)) {
+          const code = (cells[codeColumn] || '').match(/\d{3}/);
+          if (code) {
+            this.addResponse(operation, code[0], cells[descriptionColumn] || '');
+          }
+        }
+        continue;
+      }
+
+      const nameColumn = column('parameter', 'name', 'field', 'property');
+      if (nameColumn === -1) {
+        continue;
+      }
+
+      const typeColumn = column('data type', 'type');
+      const requiredColumn = column('required', 'mandatory', 'optional');
+      const descriptionColumn = column('description', 'value');
+      const locationColumn = column('location', 'parameter type', 'param type', 'in');
+      const defaultColumn = column('default');
+      const enumColumn = column('allowed', 'values', 'enum', 'choices');
+      const caption = this.describeTableContext(table);
+
+      for (const cells of rows.slice(1).map(cellsOf)) {
+        const name = (cells[nameColumn] || '').replace(/\s*\*$/, '').trim();
+        if (!name) {
+          continue;
+        }
+
+        const requiredText = requiredColumn === -1 ? '' : (cells[requiredColumn] || '').toLowerCase();
+        const required = headers[requiredColumn] === 'optional'
+          ? /^(no|false)$/.test(requiredText)
+          : /^(yes|true|required|y|✓|x)$/.test(requiredText) || /\*$/.test(cells[nameColumn] || '');
+
+        const description = descriptionColumn === -1 ? '' : cells[descriptionColumn] || '';
+        this.addParameter(operation, {
+          name: name,
+          in: this.resolveLocation(operation, name, locationColumn === -1 ? caption : cells[locationColumn]),
+          type: normalizeType(typeColumn === -1 ? '' : cells[typeColumn]),
+          required: required,
+          description: description,
+          default: defaultColumn === -1 ? undefined : parseLiteral(cells[defaultColumn]),
+          enum: enumColumn === -1 ? parseEnum(description) : splitList(cells[enumColumn])
+        });
+      }
+    }
+  }
+
+  describeTableContext(table) {
+    const caption = table.querySelector('caption');
+    if (caption) {
+      return textOf(caption);
+    }
+
+    const previous = table.previousElementSibling;
+    return previous && previous.matches('h4, h5, h6, p, strong, b') ? textOf(previous) : '';
+  }
+
+  /**
+   * Sphinx httpdomain style field lists found in docstrings, e.g.
+   * `:<json string name: pool name`, `:query force:`, `:status 404: not found`
+   */
+  extractFieldLists(element, operation) {
+    const fieldPattern = /^:(param|parameter|query|queryparam|<json|reqjson|form|status|statuscode|code)\s+([^:]+):\s*(.*)$/;
+    const lines = blockText(element).split('\n').map(line => line.trim());
+
+    for (const line of lines) {
+      const match = line.match(fieldPattern);
+      if (!match) {
+        continue;
+      }
+
+      const [, field, spec, description] = match;
+      const words = spec.trim().split(/\s+/);
+
+      if (['status', 'statuscode', 'code'].includes(field)) {
+        this.addResponse(operation, words[0], description);
+        continue;
+      }
+
+      const name = words.pop();
+      const location = field.startsWith('query')
+        ? 'query'
+        : ['<json', 'reqjson', 'form'].includes(field) ? 'body' : this.resolveLocation(operation, name, '');
+
+      this.addParameter(operation, {
+        name: name,
+        in: location,
+        type: normalizeType(words.join(' ')),
+        required: /\brequired\b/i.test(description) && !/\bnot required\b/i.test(description),
+        description: description.replace(/\s*\((required|optional)\)\s*$/i, ''),
+        enum: parseEnum(description)
+      });
+    }
+  }
+
+  /**
+   * Example request/response bodies from `pre` blocks
+   */
+  extractExamples(block, operation) {
+    for (const pre of block.querySelectorAll('pre')) {
+      if (pre.closest('.func_src')) {
+        continue;
+      }
+
+      const text = (pre.textContent || '').trim();
+      if (!text || /^:[\w<>]+/.test(text)) {
+        continue;
+      }
+
+      const label = this.describeTableContext(pre).toLowerCase();
+      const statusLine = text.match(/^HTTP\/[\d.]+\s+(\d{3})/);
+      const requestLine = text.match(new RegExp(`^(${HTTP_METHODS.join('|')})\\s+\\S+`));
+      const body = parseExampleBody(statusLine || requestLine ? text.split(/\r?\n\s*\r?\n/).slice(1).join('\n\n') : text);
+
+      if (requestLine || (!statusLine && label.includes('request'))) {
+        operation.requestExample = operation.requestExample ?? body;
+      } else if (statusLine || label.includes('response')) {
+        const code = statusLine ? statusLine[1] : '200';
+        operation.responseExamples.push({ code: code, body: body });
+        this.addResponse(operation, code, '');
+      }
+    }
+  }
+
+  resolveLocation(operation, name, hint) {
+    const text = (hint || '').toLowerCase();
+    if (/\bpath\b|\burl\b/.test(text)) {
+      return 'path';
+    }
+    if (/\bquery\b/.test(text)) {
+      return 'query';
+    }
+    if (/\bbody\b|\bjson\b|\bform\b|\bpayload\b/.test(text)) {
+      return 'body';
+    }
+    if (operation.path.includes(`{${name}}`)) {
+      return 'path';
+    }
+    return ['GET', 'DELETE', 'HEAD', 'OPTIONS'].includes(operation.method) ? 'query' : 'body';
+  }
+
+  addParameter(operation, parameter) {
+    if (parameter.in === 'path') {
+      parameter.required = true;
+    }
+    if (!parameter.enum || parameter.enum.length === 0) {
+      delete parameter.enum;
+    }
+    if (parameter.default === undefined) {
+      delete parameter.default;
+    }
+
+    const existing = operation.parameters.find(p => p.name === parameter.name && p.in === parameter.in);
+    if (existing) {
+      for (const [key, value] of Object.entries(parameter)) {
+        if (existing[key] === undefined || existing[key] === null || existing[key] === '') {
+          existing[key] = value;
+        }
+      }
+      existing.required = existing.required || parameter.required;
+      return;
+    }
+    operation.parameters.push(parameter);
+  }
+
+  addResponse(operation, code, description) {
+    const existing = operation.responses.find(response => response.code === code);
+    if (existing) {
+      existing.description = existing.description || description;
+      return;
+    }
+    operation.responses.push({ code: code, description: description });
+    operation.responses.sort((a, b) => a.code.localeCompare(b.code));
+  }
+
+  addMissingPathParameters(operation) {
+    for (const [, name] of operation.path.matchAll(/\{([^}]+)\}/g)) {
+      if (!operation.parameters.some(p => p.name === name && p.in === 'path')) {
+        this.addParameter(operation, { name: name, in: 'path', type: 'string', required: true, description: '' });
+      }
+    }
+    const order = { path: 0, query: 1, body: 2 };
+    operation.parameters.sort((a, b) => order[a.in] - order[b.in]);
+  }
+
+  mergeOperation(target, source) {
+    target.summary = target.summary || source.summary;
+    target.description = target.description || source.description;
+    source.parameters.forEach(parameter => this.addParameter(target, parameter));
+    source.responses.forEach(response => this.addResponse(target, response.code, response.description));
+    target.requestExample = target.requestExample ?? source.requestExample;
+    for (const example of source.responseExamples) {
+      const duplicate = target.responseExamples.some(existing =>
+        existing.code === example.code && JSON.stringify(existing.body) === JSON.stringify(example.body));
+      if (!duplicate) {
+        target.responseExamples.push(example);
+      }
+    }
+  }
+}
+
+/**
+ * Convenience wrapper: parse a documentation document into an endpoint model
+ */
+export function parseEndpointModel(document, meta = {}) {
+  return new EndpointModelParser(document, meta).parse();
+}
+
+/**
+ * Stable camelCase name for an operation, e.g. `GET /api/v4/pools/{pool}/volumes` -> `getPoolsByPoolVolumes`
+ */
+export function operationName(operation) {
+  const words = operation.path
+    .split('/')
+    .filter(segment => segment && !/^(api|v\d+)$/i.test(segment))
+    .map(segment => {
+      const parameter = segment.match(/^\{(.+)\}$/);
+      return parameter ? `By ${parameter[1]}` : segment;
+    })
+    .join(' ')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+
+  return operation.method.toLowerCase() + words
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+}
+
+export function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'general';
+}
+
+export function normalizePath(path) {
+  return path
+    .trim()
+    .replace(/<(?:[\w]+:)?([\w]+)>/g, '{$1}')
+    .replace(/\/{2,}/g, '/')
+    .replace(/(.)\/$/, '$1');
+}
+
+/**
+ * JSON type for a documented type name, or null when none is documented
+ * (or it is not one we know), so the value is not constrained
+ */
+export function normalizeType(type) {
+  const key = String(type || '').toLowerCase().replace(/[^a-z]/g, ' ').trim().split(/\s+/)[0];
+  return TYPE_ALIASES[key] || null;
+}
+
+function textOf(element) {
+  return (element.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Text content with line breaks kept between block-level elements
+ */
+function blockText(element) {
+  const clone = element.cloneNode(true);
+  clone.querySelectorAll('.func_src').forEach(node => node.remove());
+  clone.querySelectorAll('p, pre, div, li, dt, dd, tr, br, h1, h2, h3, h4, h5, h6').forEach(node => {
+    node.after(node.ownerDocument.createTextNode('\n'));
+  });
+  return clone.textContent || '';
+}
+
+function splitList(text) {
+  return String(text || '')
+    .split(/[,|]/)
+    .map(value => value.trim().replace(/^["']|["']$/g, ''))
+    .filter(Boolean);
+}
+
+function parseEnum(description) {
+  const match = String(description || '').match(/\bone of[:\s]+([^.;()]+)/i);
+  return match ? splitList(match[1].replace(/\s+or\s+/g, ',')) : undefined;
+}
+
+function parseLiteral(text) {
+  if (text === undefined || text === null || text.trim() === '' || text.trim() === '-') {
+    return undefined;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text.trim();
+  }
+}
+
+function parseExampleBody(text) {
+  const trimmed = text.trim();
+  if (!trimmed) {
+    return null;
+  }
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return trimmed;
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Typed failures of documentation retrieval. Each carries a machine-readable
+ * `code`, the URL attempted (when there was one) and remediation `hints`;
+ * tool calls return them as `isError` results (see `toolError` in index.js)
+ * so a client can tell a missing release from an unreachable host.
+ */
+export class DocumentationError extends Error {
+  constructor(message, { code = 'tool-error', url = null, hints = [], cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.url = url;
+    this.hints = hints;
+  }
+
+  /**
+   * The same failure with a prefix naming the operation that failed
+   */
+  withContext(prefix) {
+    return new this.constructor(`${prefix}: ${this.message}`, {
+      code: this.code,
+      url: this.url,
+      hints: this.hints,
+      cause: this.cause
+    });
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      url: this.url || undefined,
+      hints: this.hints.length > 0 ? this.hints : undefined
+    };
+  }
+}
+
+export class NetworkError extends DocumentationError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'network-unreachable',
+      hints: [
+        'Check that the host is reachable from this machine (DNS, proxy, firewall)',
+        'Add a mirror host, or use --offline (JDSS_DOC_OFFLINE=1) to serve cached snapshots'
+      ],
+      ...options
+    });
+  }
+}
+
+export class TimeoutError extends DocumentationError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'timeout',
+      hints: ['The host answered too slowly; retry, or raise the timeout (requestTimeout, downloadTimeout)'],
+      ...options
+    });
+  }
+}
+
+export class ReleaseNotFoundError extends DocumentationError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'release-not-found',
+      hints: ['Run list_documentation_releases with refresh: true to rediscover the published releases'],
+      ...options
+    });
+  }
+}
+
+export class ZipCorruptError extends DocumentationError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'zip-corrupt',
+      hints: ['The archive is truncated or not a documentation ZIP; delete the cached copy so it is downloaded again'],
+      ...options
+    });
+  }
+}
+
+export class ParseError extends DocumentationError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'parse-failure',
+      hints: ['The documentation layout may have changed; try --render-scripts, or read the page with get_edss_documentation_enhanced'],
+      ...options
+    });
+  }
+}
+
+export class ValidationError extends DocumentationError {
+  constructor(message, options = {}) {
+    super(message, { code: 'invalid-argument', ...options });
+  }
+}
+
+export class NotFoundError extends DocumentationError {
+  constructor(message, options = {}) {
+    super(message, { code: 'not-found', ...options });
+  }
+}
+
+export class ApplianceNotConfiguredError extends DocumentationError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'appliance-not-configured',
+      hints: ['Set applianceUrl in the configuration (or JDSS_DOC_APPLIANCE_URL) to enable live calls'],
+      ...options
+    });
+  }
+}
+
+// Connection failures reported by fetch (as the cause) and by http.request
+const NETWORK_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'ETIMEDOUT']);
+// Certificate and handshake failures (OpenSSL verification codes and Node.js TLS errors)
+const TLS_CODE = /^(CERT_|DEPTH_ZERO_SELF_SIGNED_CERT$|SELF_SIGNED_CERT_IN_CHAIN$|UNABLE_TO_|ERR_TLS_|ERR_SSL_|EPROTO$)/;
+
+/**
+ * Typed error for a request that did not get a response: a timeout, an
+ * unreachable host, a TLS failure, an invalid URL, or any other failure
+ * (`request-failed`). Errors that are already typed are returned unchanged.
+ */
+export function requestError(error, url, options = {}) {
+  if (error instanceof DocumentationError) {
+    return error;
+  }
+  if (error.name === 'TimeoutError' || error.name === 'AbortError' || error.code === 'ETIMEDOUT') {
+    return new TimeoutError(`Request to ${url} timed out`, { url, cause: error, ...options });
+  }
+  const codes = [error.code, error.cause?.code].filter(Boolean);
+  const reason = error.cause?.message || error.message;
+
+  const network = codes.find(code => NETWORK_CODES.has(code));
+  if (network) {
+    return new NetworkError(`${url} is unreachable (${network})`, { url, cause: error, ...options });
+  }
+  if (codes.some(code => TLS_CODE.test(code))) {
+    return new DocumentationError(`TLS connection to ${url} failed (${reason})`, {
+      code: 'tls-error',
+      url,
+      cause: error,
+      hints: ['The server certificate was not accepted (expired, self-signed or issued for another host name)'],
+      ...options
+    });
+  }
+  if (codes.includes('ERR_INVALID_URL')) {
+    return new DocumentationError(`Invalid URL: ${url}`, {
+      code: 'invalid-url',
+      url,
+      cause: error,
+      hints: ['Check the configured host or appliance URL'],
+      ...options
+    });
+  }
+  return new DocumentationError(`Request to ${url} failed (${reason})`, { code: 'request-failed', url, cause: error, ...options });
+}
+
+/**
+ * Prefix an error with the operation that failed, keeping its type, code and hints
+ */
+export function withContext(error, prefix) {
+  const typed = error instanceof DocumentationError ? error : new DocumentationError(error.message, { cause: error });
+  return typed.withContext(prefix);
+}
+
+/**
+ * Record the URL being read on a typed error raised without one (e.g. by the ZIP reader)
+ */
+export function withUrl(error, url) {
+  if (error instanceof DocumentationError && !error.url && url) {
+    error.url = url;
+  }
+  return error;
+}
@@ -0,0 +1,281 @@
+import { ValidationError } from './errors.js';
+import { bodySchema, parameterSchema, toYAML } from './openapi-exporter.js';
+
+export const DEFAULT_APPLIANCE = 'joviandss:82';
+export const EXAMPLE_LANGUAGES = ['curl', 'python', 'node', 'ansible'];
+
+/**
+ * Ready-to-run calls of one documented operation in curl, Python `requests`,
+ * Node `fetch` and an Ansible `uri` task.
+ *
+ * The request body starts from the documented request example (or, without
+ * one, from the documented body fields: defaults, first enum value or a
+ * placeholder); `pathParameters`, `query` and `body` values given by the
+ * caller replace the generated ones. Placeholders look like `<name>` and are
+ * listed in `placeholders`.
+ */
+export class ExampleGenerator {
+  constructor(model, options = {}) {
+    this.model = model;
+    this.baseUrl = applianceUrl(options.appliance || DEFAULT_APPLIANCE);
+  }
+
+  generate(operation, { pathParameters = {}, query = {}, body, languages = EXAMPLE_LANGUAGES } = {}) {
+    const placeholders = [];
+    const request = {
+      method: operation.method,
+      url: this.buildUrl(operation, pathParameters, query, placeholders),
+      ...this.buildBody(operation, body, placeholders),
+      statusCodes: operation.responses.map(response => Number(response.code)).filter(code => code >= 200 && code < 300),
+      name: (operation.summary || operation.id).replace(/\.$/, '')
+    };
+
+    const renderers = { curl: curlSnippet, python: pythonSnippet, node: nodeSnippet, ansible: ansibleSnippet };
+    const snippets = {};
+    for (const language of languages) {
+      if (!renderers[language]) {
+        throw new ValidationError(`Unknown language "${language}"; use: ${EXAMPLE_LANGUAGES.join(', ')}`);
+      }
+      snippets[language] = renderers[language](request);
+    }
+
+    return {
+      operation: operation.id,
+      method: request.method,
+      url: request.url,
+      body: request.body,
+      bodySource: request.bodySource,
+      placeholders: [...new Set(placeholders)],
+      snippets: snippets
+    };
+  }
+
+  buildUrl(operation, values, query, placeholders) {
+    // Paths are documented with their `/api/vN` prefix; add it for documents that leave it out
+    const documentedPath = operation.path.startsWith('/api/') ? operation.path : `/api/${this.model.apiVersion}${operation.path}`;
+    const path = documentedPath.replace(/\{([^}]+)\}/g, (_, name) => {
+      const parameter = operation.parameters.find(candidate => candidate.in === 'path' && candidate.name === name);
+      const value = values[name] ?? parameter?.default;
+      if (value === undefined) {
+        placeholders.push(name);
+        return `<${name}>`;
+      }
+      return encodeURIComponent(String(value));
+    });
+
+    const search = new URLSearchParams();
+    for (const parameter of operation.parameters.filter(candidate => candidate.in === 'query')) {
+      if (query[parameter.name] === undefined && parameter.required) {
+        search.set(parameter.name, String(sampleValue(parameterSchema(parameter), parameter.name, placeholders)));
+      }
+    }
+    for (const [name, value] of Object.entries(query || {})) {
+      search.set(name, String(value));
+    }
+
+    const queryString = search.toString().replace(/%3C([\w.-]+)%3E/g, '<$1>');
+    return `${this.baseUrl}${path}${queryString ? `?${queryString}` : ''}`;
+  }
+
+  /**
+   * Request body and where it came from
+   */
+  buildBody(operation, body, placeholders) {
+    const documented = operation.parameters.filter(parameter => parameter.in === 'body');
+    let generated;
+    let source = null;
+    if (operation.requestExample !== null) {
+      generated = structuredClone(operation.requestExample);
+      source = 'documented example';
+      if (documented.length > 0 && isObject(generated)) {
+        generated = fillRequired(generated, bodySchema(documented), placeholders);
+      }
+    } else if (documented.length > 0) {
+      generated = sampleValue(bodySchema(documented), null, placeholders);
+      source = 'documented fields';
+    }
+
+    if (body === undefined) {
+      return { body: generated, bodySource: source };
+    }
+    return {
+      body: isObject(generated) && isObject(body) ? merge(generated, body) : body,
+      bodySource: source ? `${source} with caller values` : 'caller'
+    };
+  }
+}
+
+function applianceUrl(appliance) {
+  const url = /^https?:\/\//.test(appliance) ? appliance : `https://${appliance}`;
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Value for a schema: default, first allowed value, required object fields, or a placeholder
+ */
+export function sampleValue(schema, name, placeholders = []) {
+  if (schema.default !== undefined) {
+    return schema.default;
+  }
+  if (schema.enum && schema.enum.length > 0) {
+    return schema.enum[0];
+  }
+  switch (schema.type) {
+    case 'object': {
+      const value = {};
+      for (const [property, propertySchema] of Object.entries(schema.properties || {})) {
+        if ((schema.required || []).includes(property) || propertySchema.default !== undefined) {
+          value[property] = sampleValue(propertySchema, name ? `${name}.${property}` : property, placeholders);
+        }
+      }
+      return value;
+    }
+    case 'array':
+      return [];
+    case 'integer':
+    case 'number':
+      return 0;
+    case 'boolean':
+      return false;
+    default:
+      placeholders.push(name || 'value');
+      return `<${name || 'value'}>`;
+  }
+}
+
+// Documented examples sometimes leave out required fields
+function fillRequired(value, schema, placeholders) {
+  for (const property of schema.required || []) {
+    if (value[property] === undefined) {
+      value[property] = sampleValue(schema.properties[property], property, placeholders);
+    }
+  }
+  return value;
+}
+
+function merge(target, overrides) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(overrides)) {
+    result[key] = isObject(result[key]) && isObject(value) ? merge(result[key], value) : value;
+  }
+  return result;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function shellQuote(text) {
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+function curlSnippet(request) {
+  const lines = [
+    '# Appliances use a self-signed certificate, hence -k',
+    `curl -k -u "$JDSS_USER:$JDSS_PASSWORD" \\`,
+    `  -X ${request.method} ${shellQuote(request.url)}`
+  ];
+  if (request.body !== undefined) {
+    lines[lines.length - 1] += ' \\';
+    lines.push(`  -H 'Content-Type: application/json' \\`, `  -d ${shellQuote(JSON.stringify(request.body, null, 2))}`);
+  }
+  return lines.join('\n');
+}
+
+function pythonSnippet(request) {
+  const lines = [
+    'import os',
+    '',
+    'import requests',
+    'import urllib3',
+    '',
+    '# Appliances use a self-signed certificate',
+    'urllib3.disable_warnings(urllib3.exceptions.InsecureRequestWarning)',
+    '',
+    'response = requests.request(',
+    `    ${JSON.stringify(request.method)},`,
+    `    ${JSON.stringify(request.url)},`,
+    '    auth=(os.environ["JDSS_USER"], os.environ["JDSS_PASSWORD"]),'
+  ];
+  if (request.body !== undefined) {
+    lines.push(`    json=${pythonLiteral(request.body, 4)},`);
+  }
+  lines.push(
+    '    verify=False,',
+    '    timeout=30,',
+    ')',
+    'response.raise_for_status()',
+    'print(response.json() if response.content else response.status_code)'
+  );
+  return lines.join('\n');
+}
+
+function pythonLiteral(value, indent) {
+  const pad = ' '.repeat(indent);
+  if (value === null || value === undefined) {
+    return 'None';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'True' : 'False';
+  }
+  if (Array.isArray(value)) {
+    return value.length === 0 ? '[]'
+      : `[\n${value.map(item => `${pad}    ${pythonLiteral(item, indent + 4)},`).join('\n')}\n${pad}]`;
+  }
+  if (typeof value === 'object') {
+    const entries = Object.entries(value);
+    return entries.length === 0 ? '{}'
+      : `{\n${entries.map(([key, item]) => `${pad}    ${JSON.stringify(key)}: ${pythonLiteral(item, indent + 4)},`).join('\n')}\n${pad}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function nodeSnippet(request) {
+  const headers = ['Authorization: `Basic ${auth}`'];
+  const lines = [
+    '// Node.js 18+ ES module (.mjs). Appliances use a self-signed certificate: run with NODE_TLS_REJECT_UNAUTHORIZED=0',
+    "const auth = Buffer.from(`${process.env.JDSS_USER}:${process.env.JDSS_PASSWORD}`).toString('base64');",
+    '',
+    `const response = await fetch(${JSON.stringify(request.url)}, {`,
+    `  method: ${JSON.stringify(request.method)},`
+  ];
+  if (request.body !== undefined) {
+    headers.push('"Content-Type": "application/json"');
+  }
+  lines.push(`  headers: { ${headers.join(', ')} },`);
+  if (request.body !== undefined) {
+    lines.push(`  body: JSON.stringify(${JSON.stringify(request.body, null, 2).replace(/\n/g, '\n  ')}),`);
+  }
+  lines.push(
+    '});',
+    'if (!response.ok) {',
+    '  throw new Error(`${response.status} ${response.statusText}: ${await response.text()}`);',
+    '}',
+    'const text = await response.text();',
+    'console.log(text ? JSON.parse(text) : response.status);'
+  );
+  return lines.join('\n');
+}
+
+function ansibleSnippet(request) {
+  const url = request.url.replace(/^https?:\/\/[^/]+/, 'https://{{ jdss_host }}');
+  const task = {
+    url: url,
+    method: request.method,
+    url_username: '{{ jdss_user }}',
+    url_password: '{{ jdss_password }}',
+    force_basic_auth: true,
+    validate_certs: false
+  };
+  if (request.body !== undefined) {
+    task.body_format = 'json';
+    task.body = request.body;
+  }
+  task.status_code = request.statusCodes.length > 0 ? request.statusCodes : [200];
+
+  const host = request.url.match(/^https?:\/\/([^/]+)/)[1];
+  return [
+    `# vars: jdss_host (e.g. ${host}), jdss_user, jdss_password`,
+    toYAML([{ name: request.name, 'ansible.builtin.uri': task, register: 'jdss_response' }])
+  ].join('\n');
+}
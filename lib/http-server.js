@@ -0,0 +1,93 @@
+import { createServer } from 'http';
+import { timingSafeEqual } from 'crypto';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+const HEALTH_PATH = '/health';
+
+/**
+ * Serve MCP over HTTP with server-sent events so a team can share one server
+ * and its documentation cache:
+ *
+ *   GET  /sse                    opens a session (event stream)
+ *   POST /messages?sessionId=…   client → server messages
+ *   GET  /health                 service status, no authentication
+ *
+ * With a token configured, /sse and /messages require `Authorization: Bearer <token>`.
+ */
+export function startHttpServer(documentation, { port, host = '127.0.0.1', token = null }) {
+  const transports = new Map();
+
+  const httpServer = createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      if (req.method === 'GET' && url.pathname === HEALTH_PATH) {
+        return sendJSON(res, 200, documentation.healthStatus());
+      }
+
+      if (url.pathname !== SSE_PATH && url.pathname !== MESSAGES_PATH) {
+        return sendJSON(res, 404, { error: 'not_found', message: `No such endpoint: ${url.pathname}` });
+      }
+
+      if (token && !isAuthorized(req, token)) {
+        res.setHeader('WWW-Authenticate', 'Bearer realm="jdss-rest-doc"');
+        return sendJSON(res, 401, { error: 'unauthorized', message: 'Missing or invalid bearer token' });
+      }
+
+      if (req.method === 'GET' && url.pathname === SSE_PATH) {
+        const transport = new SSEServerTransport(MESSAGES_PATH, res);
+        transports.set(transport.sessionId, transport);
+        res.on('close', () => transports.delete(transport.sessionId));
+        await documentation.connect(transport);
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname === MESSAGES_PATH) {
+        const transport = transports.get(url.searchParams.get('sessionId'));
+        if (!transport) {
+          return sendJSON(res, 404, { error: 'unknown_session', message: 'Unknown or expired session; reconnect to /sse' });
+        }
+        await transport.handlePostMessage(req, res);
+        return;
+      }
+
+      res.setHeader('Allow', url.pathname === SSE_PATH ? 'GET' : 'POST');
+      sendJSON(res, 405, { error: 'method_not_allowed', message: `${req.method} is not supported on ${url.pathname}` });
+    } catch (error) {
+      console.error(`HTTP ${req.method} ${url.pathname} failed:`, error.message);
+      if (!res.headersSent) {
+        sendJSON(res, 500, { error: 'internal_error', message: error.message });
+      }
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      const address = httpServer.address();
+      console.error(`EDSS documentation MCP server listening on http://${address.address}:${address.port}${SSE_PATH}` +
+        ` (health: ${HEALTH_PATH}, auth: ${token ? 'bearer token' : 'none'})`);
+      if (!token && !['127.0.0.1', '::1', 'localhost'].includes(host)) {
+        console.error('Warning: listening on a network interface without a token; set --token or JDSS_DOC_TOKEN');
+      }
+      resolve(httpServer);
+    });
+  });
+}
+
+function isAuthorized(req, token) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return false;
+  }
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
@@ -0,0 +1,262 @@
+import JSZip from 'jszip';
+import { readdir, readFile, stat } from 'fs/promises';
+import { basename, extname, join, relative, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { expandHome } from './config.js';
+import { ReleaseNotFoundError, ZipCorruptError } from './errors.js';
+
+const MAX_SCAN_DEPTH = 6;
+// An unpacked documentation directory is a page and its assets, not a file system
+const MAX_DIRECTORY_FILES = 5000;
+const MAX_DIRECTORY_BYTES = 50 * 1024 * 1024;
+const RELEASE_DIRECTORY_PATTERN = /(?:^|\/)([^/]+)\/(?:documentation\/)?(v\d+)$/;
+const RELEASE_ENTRY_PATTERN = /(?:^|\/)([^/]+)\/(?:documentation\/)?(v\d+)\//;
+
+// Words in titles and paths that never name a release
+const GENERIC_WORDS = new Set(['api', 'doc', 'docs', 'documentation', 'edss', 'html', 'http', 'json', 'jovian', 'joviandss', 'open', 'rest', 'www']);
+
+/**
+ * Discover unpacked documentation below a local directory host.
+ *
+ * Accepts the dh.lan layout (`docs/EDSS/<RELEASE>/documentation/<vN>/`) as
+ * well as the shorter `<RELEASE>/<vN>/`, each holding an unpacked ZIP.
+ */
+export async function discoverDirectoryHost(host) {
+  const links = {};
+
+  for (const { directory, release, apiVersion } of await findDocumentationDirectories(host.path)) {
+    const key = `${release.toLowerCase()}_${apiVersion}`;
+    const url = pathToFileURL(directory).href + '/';
+    links[key] = {
+      url: url,
+      zipUrl: url,
+      localPath: directory,
+      release: release,
+      apiVersion: apiVersion,
+      linkText: `${release} ${apiVersion} (${host.name})`,
+      host: host.name,
+      discovered: true
+    };
+  }
+
+  return links;
+}
+
+async function findDocumentationDirectories(root, current = root, depth = 0) {
+  const match = relative(root, current)
+    .split(/[\\/]/)
+    .join('/')
+    .match(RELEASE_DIRECTORY_PATTERN);
+  if (match) {
+    return [{ directory: current, release: match[1], apiVersion: match[2] }];
+  }
+  if (depth >= MAX_SCAN_DEPTH) {
+    return [];
+  }
+
+  let entries;
+  try {
+    entries = await readdir(current, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const found = [];
+  for (const entry of entries) {
+    if (entry.isDirectory() && !entry.name.startsWith('.')) {
+      found.push(...await findDocumentationDirectories(root, join(current, entry.name), depth + 1));
+    }
+  }
+  return found;
+}
+
+/**
+ * Pack an unpacked documentation directory into a ZIP buffer, so local
+ * sources go through the same processing as downloaded ZIPs
+ */
+export async function zipDirectory(directory, { maxFiles = MAX_DIRECTORY_FILES, maxBytes = MAX_DIRECTORY_BYTES } = {}) {
+  const zip = new JSZip();
+  let files = 0;
+  let bytes = 0;
+
+  const addFiles = async (current, depth) => {
+    for (const entry of await readdir(current, { withFileTypes: true })) {
+      const path = join(current, entry.name);
+      if (entry.isDirectory() && depth < MAX_SCAN_DEPTH) {
+        await addFiles(path, depth + 1);
+      } else if (entry.isFile()) {
+        bytes += (await stat(path)).size;
+        if (++files > maxFiles || bytes > maxBytes) {
+          throw directoryTooLarge(directory, maxFiles, maxBytes);
+        }
+        zip.file(relative(directory, path).split(/[\\/]/).join('/'), await readFile(path));
+      }
+    }
+  };
+
+  await addFiles(directory, 0);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+function directoryTooLarge(directory, maxFiles = MAX_DIRECTORY_FILES, maxBytes = MAX_DIRECTORY_BYTES) {
+  return new ZipCorruptError(`${directory} is too large for a documentation directory ` +
+    `(over ${maxFiles} files or ${Math.round(maxBytes / 1024)} KB)`, {
+    url: directory,
+    hints: ['Point to the directory the documentation ZIP was unpacked into, not one above it']
+  });
+}
+
+/**
+ * Whether a version argument names a local source rather than a release:
+ * a `file://` URL, a filesystem path or a `.zip` file name
+ */
+export function isLocalSource(value) {
+  return typeof value === 'string' &&
+    (/^file:\/\//.test(value) || /^(\/|\.{1,2}\/|~\/|[A-Za-z]:\\)/.test(value) || /\.zip$/i.test(value));
+}
+
+export function localSourcePath(value) {
+  return value.startsWith('file://') ? fileURLToPath(value) : resolve(expandHome(value));
+}
+
+/**
+ * Build a documentation link for a local ZIP file or unpacked directory.
+ * Release and API version are read from the archive contents (entry paths,
+ * page title, documented `/api/vN` paths), falling back to the file name.
+ */
+export async function describeLocalSource(location, options = {}) {
+  const path = localSourcePath(location);
+  let info;
+  try {
+    info = await stat(path);
+  } catch {
+    throw new ReleaseNotFoundError(`Local documentation source not found: ${path}`, {
+      url: path,
+      hints: ['Check the path given as version or with --source']
+    });
+  }
+
+  const isDirectory = info.isDirectory();
+  const contents = isDirectory ? await readDirectoryContents(path) : await readZipContents(path);
+  if (!contents.html) {
+    throw new ZipCorruptError(`No HTML documentation found in ${path}`, {
+      url: path,
+      hints: ['Point to the ZIP downloaded from the documentation host, or to the directory it was unpacked into']
+    });
+  }
+
+  const detected = inspectDocumentation(contents);
+  const hint = inspectDocumentation({ paths: [`${path.split(/[\\/]/).join('/')}/`], html: `<title>${basename(path, extname(path)).replace(/[_-]+/g, ' ')}</title>` });
+  const release = detected.release || hint.release || 'local';
+  const apiVersion = detected.apiVersion || hint.apiVersion || 'v4';
+  const url = pathToFileURL(path).href + (isDirectory ? '/' : '');
+
+  return {
+    url: url,
+    zipUrl: url,
+    localPath: path,
+    release: release,
+    apiVersion: apiVersion,
+    linkText: `${release} ${apiVersion} (${basename(path)})`,
+    host: options.name || 'local',
+    modified: info.mtime.toISOString(),
+    discovered: true
+  };
+}
+
+/**
+ * Guess release and API version from archive entry paths and the main page
+ */
+export function inspectDocumentation({ paths = [], html = '' }) {
+  let release = null;
+  let apiVersion = null;
+
+  for (const path of paths) {
+    const match = path.match(RELEASE_ENTRY_PATTERN);
+    if (match) {
+      apiVersion = apiVersion || match[2];
+      if (!GENERIC_WORDS.has(match[1].toLowerCase())) {
+        release = release || match[1];
+      }
+    }
+  }
+
+  const headings = [/<title[^>]*>([\s\S]*?)<\/title>/i, /<h1[^>]*>([\s\S]*?)<\/h1>/i]
+    .map(pattern => (html.match(pattern) || [])[1] || '')
+    .map(text => text.replace(/<[^>]+>/g, ' '))
+    .join(' ');
+
+  if (!release) {
+    const candidate = (headings.match(/\b(?:trunk|[A-Z][A-Z0-9]{3,})\b/g) || [])
+      .find(word => !GENERIC_WORDS.has(word.toLowerCase()));
+    release = candidate || null;
+  }
+
+  if (!apiVersion) {
+    const titled = headings.match(/\b(v\d+)\b/i);
+    const counts = {};
+    for (const match of html.matchAll(/\/api\/(v\d+)\//g)) {
+      counts[match[1]] = (counts[match[1]] || 0) + 1;
+    }
+    const documented = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    apiVersion = titled ? titled[1].toLowerCase() : documented ? documented[0] : null;
+  }
+
+  return { release, apiVersion };
+}
+
+/**
+ * Documentation ZIP buffer for a local ZIP file or unpacked directory
+ */
+export async function readLocalArchive(path) {
+  const info = await stat(path);
+  if (info.isDirectory()) {
+    return zipDirectory(path);
+  }
+  const buffer = await readFile(path);
+  try {
+    await new JSZip().loadAsync(buffer);
+  } catch (error) {
+    throw new ZipCorruptError(`Not a valid documentation ZIP: ${path} (${error.message})`, { url: path, cause: error });
+  }
+  return buffer;
+}
+
+async function readZipContents(path) {
+  let zip;
+  try {
+    zip = await new JSZip().loadAsync(await readFile(path));
+  } catch (error) {
+    throw new ZipCorruptError(`Not a valid documentation ZIP: ${path} (${error.message})`, { url: path, cause: error });
+  }
+
+  const paths = Object.keys(zip.files);
+  const main = Object.values(zip.files).find(file => file.name.endsWith('.html') && !file.dir);
+  return { paths, html: main ? await main.async('text') : '' };
+}
+
+async function readDirectoryContents(directory) {
+  const paths = [];
+  let html = '';
+
+  const walk = async (current, depth) => {
+    for (const entry of await readdir(current, { withFileTypes: true })) {
+      const path = join(current, entry.name);
+      if (entry.isDirectory() && depth < MAX_SCAN_DEPTH) {
+        paths.push(`${relative(directory, path).split(/[\\/]/).join('/')}/`);
+        await walk(path, depth + 1);
+      } else if (entry.isFile()) {
+        if (paths.length >= MAX_DIRECTORY_FILES) {
+          throw directoryTooLarge(directory);
+        }
+        paths.push(relative(directory, path).split(/[\\/]/).join('/'));
+        if (!html && entry.name.endsWith('.html')) {
+          html = await readFile(path, 'utf8');
+        }
+      }
+    }
+  };
+
+  await walk(directory, 0);
+  return { paths, html };
+}
@@ -0,0 +1,331 @@
+import { createServer } from 'http';
+import { bodySchema } from './openapi-exporter.js';
+import { RequestValidator, matchOperation } from './request-validator.js';
+import { sampleValue } from './example-generator.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Stand-in for a JovianDSS appliance, built from one endpoint model.
+ *
+ * Every documented method/path is routed; requests are checked with the
+ * RequestValidator (documented errors become 400 responses) and answered
+ * with the documented example response, or data generated from the
+ * documented fields when there is no example.
+ *
+ * With `stateful` (the default) every collection documented with both GET
+ * and POST (pools, volumes or zvols, snapshots...) lives in memory: POST
+ * creates an item (keyed by its `name`), GET lists or reads, PUT/PATCH
+ * update and DELETE removes it with everything below it. Pools listed in the
+ * documented example response are there from the start.
+ */
+export class MockAppliance {
+  constructor(model, { stateful = true } = {}) {
+    this.model = model;
+    this.stateful = stateful;
+    this.validator = new RequestValidator(model);
+    // Answer the way the documented examples do, e.g. `{ "data": [...] }`
+    this.envelope = model.operations.some(operation =>
+      operation.responseExamples.some(example => isObject(example.body) && 'data' in example.body));
+    this.collections = new Map();
+    // Collections whose items are kept in memory, so create/list/delete flows behave like an appliance
+    this.statefulCollections = statefulCollections(model);
+
+    if (stateful) {
+      this.seed();
+    }
+  }
+
+  seed() {
+    for (const operation of this.model.operations) {
+      const resource = resourceOf(operation.path, this.statefulCollections);
+      if (operation.method !== 'GET' || resource?.kind !== 'collection' || operation.path.includes('{')) {
+        continue;
+      }
+      const items = this.unwrap(successExample(operation)?.body);
+      for (const item of Array.isArray(items) ? items : []) {
+        if (isObject(item) && itemId(item) !== undefined) {
+          this.collection(operation.path).set(String(itemId(item)), structuredClone(item));
+        }
+      }
+    }
+  }
+
+  /**
+   * Answer one request: `{ status, headers, body }` (no body for 204)
+   */
+  handle({ method, path, query = {}, body }) {
+    const requestMethod = String(method || '').toUpperCase();
+    const match = matchOperation(this.model.operations, requestMethod, path);
+    if (match.malformed) {
+      return this.error(400, 'invalid-path', `${path} has a malformed percent-encoding`);
+    }
+    if (!match.operation) {
+      return match.allowedMethods.length > 0
+        ? this.error(405, 'method-not-allowed', `${requestMethod} is not documented for ${path}`,
+          { Allow: match.allowedMethods.join(', ') })
+        : this.error(404, 'unknown-operation', `No documented operation matches ${requestMethod} ${path}`);
+    }
+
+    const { operation, pathParameters } = match;
+    const errors = this.validator.validate({ method: requestMethod, path, query, body }).issues
+      .filter(issue => issue.severity === 'error');
+    const resource = resourceOf(operation.path, this.statefulCollections);
+    const response = errors.length > 0
+      ? this.error(400, 'invalid-request', errors.map(issue => issue.message).join('; '), {}, errors)
+      : (this.stateful && resource && this.handleState(operation, resource, pathParameters, body)) ||
+        this.documentedResponse(operation, resource);
+    return { ...response, headers: { 'X-Mock-Operation': operation.id, ...response.headers } };
+  }
+
+  handleState(operation, resource, parameters, body) {
+    const collectionPath = fillTemplate(resource.collectionTemplate, parameters);
+    const missing = this.missingParent(resource.collectionTemplate, parameters);
+    if (missing) {
+      return this.error(404, 'not-found', `${missing} not found`);
+    }
+
+    const items = this.collection(collectionPath);
+    if (resource.kind === 'collection') {
+      if (operation.method === 'GET') {
+        return this.respond(200, [...items.values()]);
+      }
+      if (operation.method === 'POST') {
+        const given = isObject(body) ? itemId(body) : undefined;
+        const id = given !== undefined ? String(given) : `${singular(resource.name)}-${items.size}`;
+        if (items.has(id)) {
+          return this.error(409, 'conflict', `${collectionPath}/${id} already exists`);
+        }
+        const item = { ...this.itemTemplate(resource.collectionTemplate), ...(isObject(body) ? body : {}) };
+        if (given === undefined) {
+          item.name = id;
+        }
+        items.set(id, item);
+        return this.respond(successStatus(operation, 201), item);
+      }
+      return null;
+    }
+
+    const id = parameters[resource.parameter];
+    const itemPath = `${collectionPath}/${id}`;
+    if (!items.has(id)) {
+      return this.error(404, 'not-found', `${itemPath} not found`);
+    }
+    switch (operation.method) {
+      case 'GET':
+        return this.respond(200, items.get(id));
+      case 'PUT':
+      case 'PATCH':
+        items.set(id, { ...items.get(id), ...(isObject(body) ? body : {}) });
+        return this.respond(successStatus(operation, 200), items.get(id));
+      case 'DELETE':
+        items.delete(id);
+        for (const path of this.collections.keys()) {
+          if (path.startsWith(`${itemPath}/`)) {
+            this.collections.delete(path);
+          }
+        }
+        return this.respond(successStatus(operation, 204), null);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * The documented example response, or data generated from the documented fields
+   */
+  documentedResponse(operation, resource) {
+    const example = successExample(operation);
+    if (example) {
+      return { status: Number(example.code), headers: {}, body: structuredClone(example.body) };
+    }
+
+    const fallback = operation.method === 'POST' ? 201 : operation.method === 'DELETE' ? 204 : 200;
+    let data = null;
+    if (operation.method === 'GET' && resource) {
+      const item = this.itemTemplate(resource.collectionTemplate);
+      data = resource.kind === 'collection' ? [item] : item;
+    }
+    return this.respond(successStatus(operation, fallback), data);
+  }
+
+  /**
+   * What an item of a collection looks like: the first documented list
+   * item, otherwise a sample of the documented creation body
+   */
+  itemTemplate(collectionTemplate) {
+    const operations = this.model.operations.filter(operation => operation.path === collectionTemplate);
+    const listed = this.unwrap(successExample(operations.find(operation => operation.method === 'GET'))?.body);
+    if (Array.isArray(listed) && isObject(listed[0])) {
+      return structuredClone(listed[0]);
+    }
+
+    const create = operations.find(operation => operation.method === 'POST');
+    const fields = create ? create.parameters.filter(parameter => parameter.in === 'body') : [];
+    if (fields.length > 0) {
+      return sampleValue(bodySchema(fields), null);
+    }
+    return isObject(create?.requestExample) ? structuredClone(create.requestExample) : {};
+  }
+
+  /**
+   * Path of a tracked parent item that does not exist, if any
+   */
+  missingParent(collectionTemplate, parameters) {
+    const segments = collectionTemplate.split('/').filter(Boolean).slice(0, -1);
+    const parent = resourceOf(`/${segments.join('/')}`, this.statefulCollections);
+    if (parent?.kind !== 'item') {
+      return null;
+    }
+
+    const parentCollection = fillTemplate(parent.collectionTemplate, parameters);
+    const id = parameters[parent.parameter];
+    if (!this.collection(parentCollection).has(id)) {
+      return `${parentCollection}/${id}`;
+    }
+    return this.missingParent(parent.collectionTemplate, parameters);
+  }
+
+  collection(path) {
+    if (!this.collections.has(path)) {
+      this.collections.set(path, new Map());
+    }
+    return this.collections.get(path);
+  }
+
+  respond(status, data) {
+    return status === 204
+      ? { status, headers: {}, body: undefined }
+      : { status, headers: {}, body: this.envelope ? { data } : data };
+  }
+
+  error(status, code, message, headers = {}, issues = undefined) {
+    const error = { code, message, issues };
+    return { status, headers, body: this.envelope ? { data: null, error } : { error } };
+  }
+
+  unwrap(body) {
+    return this.envelope && isObject(body) && 'data' in body ? body.data : body;
+  }
+}
+
+/**
+ * Serve a MockAppliance over HTTP; every request is logged to stderr
+ */
+export function startMockServer(appliance, { port, host = '127.0.0.1' }) {
+  const httpServer = createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    let response;
+    try {
+      const text = await readBody(req);
+      let body;
+      try {
+        body = text ? JSON.parse(text) : undefined;
+      } catch (error) {
+        response = appliance.error(400, 'invalid-json', `Request body is not valid JSON: ${error.message}`);
+      }
+      response = response || appliance.handle({
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        body
+      });
+    } catch (error) {
+      response = appliance.error(error.status || 500, 'internal-error', error.message);
+    }
+
+    console.error(`${req.method} ${url.pathname}${url.search} -> ${response.status}`);
+    const headers = { ...response.headers };
+    if (response.body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    res.writeHead(response.status, headers);
+    res.end(response.body !== undefined ? JSON.stringify(response.body, null, 2) : undefined);
+  });
+
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => resolve(httpServer));
+  });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Names of the collections documented with both GET and POST, e.g. `pools`
+ * and `zvols` (v3) or `volumes` (v4); actions such as `scrub` have no GET
+ */
+function statefulCollections(model) {
+  const methods = new Map();
+  for (const operation of model.operations) {
+    if (!/\}$/.test(operation.path)) {
+      methods.set(operation.path, [...(methods.get(operation.path) || []), operation.method]);
+    }
+  }
+  return new Set([...methods]
+    .filter(([, documented]) => documented.includes('GET') && documented.includes('POST'))
+    .map(([path]) => path.split('/').filter(Boolean).pop()));
+}
+
+/**
+ * `collection` for `.../volumes`, `item` for `.../volumes/{volume}`, null for anything else
+ */
+function resourceOf(template, collections) {
+  const segments = template.split('/').filter(Boolean);
+  const last = segments[segments.length - 1];
+  const parameter = last?.match(/^\{(.+)\}$/);
+
+  if (!parameter && collections.has(last)) {
+    return { kind: 'collection', name: last, collectionTemplate: template };
+  }
+  if (parameter && collections.has(segments[segments.length - 2])) {
+    return {
+      kind: 'item',
+      name: segments[segments.length - 2],
+      parameter: parameter[1],
+      collectionTemplate: `/${segments.slice(0, -1).join('/')}`
+    };
+  }
+  return null;
+}
+
+function fillTemplate(template, parameters) {
+  return template.replace(/\{([^}]+)\}/g, (_, name) => parameters[name]);
+}
+
+function successExample(operation) {
+  return operation?.responseExamples.find(example => /^2/.test(example.code) && example.body !== null) || null;
+}
+
+function successStatus(operation, fallback) {
+  const documented = operation.responses.find(response => /^2\d\d$/.test(response.code));
+  return documented ? Number(documented.code) : fallback;
+}
+
+function itemId(item) {
+  return item.name ?? item.id;
+}
+
+function singular(name) {
+  return name.replace(/s$/, '');
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,276 @@
+import { operationName } from './endpoint-model.js';
+
+/**
+ * Converts a parsed endpoint model into an OpenAPI 3.1 document
+ */
+export class OpenAPIExporter {
+  constructor(model, options = {}) {
+    this.model = model;
+    this.options = options;
+  }
+
+  build() {
+    const { model } = this;
+    const document = {
+      openapi: '3.1.0',
+      info: {
+        title: `JovianDSS REST API (${model.release} ${model.apiVersion})`,
+        version: `${model.release}-${model.apiVersion}`,
+        description: `Generated from the JovianDSS REST API documentation${model.source ? ` at ${model.source}` : ''}.`
+      },
+      servers: [
+        {
+          url: this.options.serverUrl || 'https://{host}:{port}',
+          variables: this.options.serverUrl ? undefined : {
+            host: { default: 'joviandss', description: 'JovianDSS appliance address' },
+            port: { default: '82', description: 'REST API port' }
+          }
+        }
+      ],
+      security: [{ basicAuth: [] }],
+      tags: model.sections.map(section => ({ name: section.title })),
+      paths: {},
+      components: {
+        securitySchemes: {
+          basicAuth: { type: 'http', scheme: 'basic' }
+        }
+      }
+    };
+
+    const usedIds = new Set();
+    for (const operation of model.operations) {
+      const pathItem = document.paths[operation.path] || (document.paths[operation.path] = {});
+      pathItem[operation.method.toLowerCase()] = this.buildOperation(operation, usedIds);
+    }
+
+    return prune(document);
+  }
+
+  buildOperation(operation, usedIds) {
+    let operationId = operationName(operation);
+    for (let suffix = 2; usedIds.has(operationId); suffix++) {
+      operationId = `${operationName(operation)}${suffix}`;
+    }
+    usedIds.add(operationId);
+
+    const parameters = operation.parameters
+      .filter(parameter => parameter.in === 'path' || parameter.in === 'query')
+      .map(parameter => ({
+        name: parameter.name,
+        in: parameter.in,
+        required: parameter.in === 'path' ? true : parameter.required,
+        description: parameter.description || undefined,
+        schema: parameterSchema(parameter)
+      }));
+
+    const result = {
+      operationId: operationId,
+      summary: operation.summary || undefined,
+      description: operation.description || undefined,
+      tags: [operation.section],
+      parameters: parameters.length > 0 ? parameters : undefined,
+      requestBody: this.buildRequestBody(operation),
+      responses: {}
+    };
+
+    for (const response of operation.responses) {
+      const example = operation.responseExamples.find(candidate => candidate.code === response.code);
+      result.responses[response.code] = {
+        description: response.description || defaultDescription(response.code),
+        content: example && example.body !== null ? {
+          'application/json': {
+            schema: schemaFromExample(example.body),
+            example: example.body
+          }
+        } : undefined
+      };
+    }
+
+    if (Object.keys(result.responses).length === 0) {
+      result.responses['200'] = { description: defaultDescription('200') };
+    }
+
+    return result;
+  }
+
+  buildRequestBody(operation) {
+    const bodyParameters = operation.parameters.filter(parameter => parameter.in === 'body');
+    if (bodyParameters.length === 0 && operation.requestExample === null) {
+      return undefined;
+    }
+
+    const schema = bodyParameters.length > 0
+      ? bodySchema(bodyParameters)
+      : schemaFromExample(operation.requestExample);
+
+    return {
+      required: bodyParameters.some(parameter => parameter.required) || undefined,
+      content: {
+        'application/json': {
+          schema: schema,
+          example: operation.requestExample ?? undefined
+        }
+      }
+    };
+  }
+}
+
+export function parameterSchema(parameter) {
+  // Parameters without a documented type accept any value
+  const schema = parameter.type ? { type: parameter.type } : {};
+  if (schema.type === 'array') {
+    schema.items = {};
+  }
+  if (parameter.enum) {
+    schema.enum = parameter.enum;
+  }
+  if (parameter.default !== undefined) {
+    schema.default = parameter.default;
+  }
+  return schema;
+}
+
+/**
+ * Object schema for body parameters; dotted names (`properties.compression`) become nested objects
+ */
+export function bodySchema(parameters) {
+  const root = { type: 'object', properties: {}, required: [] };
+
+  for (const parameter of parameters) {
+    const segments = parameter.name.split('.');
+    let target = root;
+
+    for (const segment of segments.slice(0, -1)) {
+      const key = segment.replace(/\[\]$/, '');
+      if (!target.properties[key]) {
+        target.properties[key] = { type: 'object', properties: {}, required: [] };
+      }
+      target = target.properties[key];
+      if (target.type === 'array') {
+        target.items = target.items?.properties ? target.items : { type: 'object', properties: {}, required: [] };
+        target = target.items;
+      } else if (!target.properties) {
+        target.properties = {};
+        target.required = [];
+      }
+    }
+
+    const name = segments[segments.length - 1];
+    target.properties[name] = {
+      ...parameterSchema(parameter),
+      description: parameter.description || undefined
+    };
+    if (parameter.required) {
+      target.required.push(name);
+    }
+  }
+
+  return prune(root);
+}
+
+/**
+ * Infer a JSON Schema from an example value
+ */
+export function schemaFromExample(value) {
+  if (value === null || value === undefined) {
+    return {};
+  }
+  if (Array.isArray(value)) {
+    return { type: 'array', items: value.length > 0 ? schemaFromExample(value[0]) : {} };
+  }
+  if (typeof value === 'object') {
+    const properties = {};
+    for (const [key, item] of Object.entries(value)) {
+      properties[key] = schemaFromExample(item);
+    }
+    return { type: 'object', properties: properties };
+  }
+  if (typeof value === 'number') {
+    return { type: Number.isInteger(value) ? 'integer' : 'number' };
+  }
+  return { type: typeof value };
+}
+
+/**
+ * Minimal YAML serializer for JSON-compatible data
+ */
+export function toYAML(value, indent = 0) {
+  const pad = ' '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return '[]';
+    }
+    return value.map(item => {
+      const rendered = toYAML(item, indent + 2);
+      return isCollection(item) && !isEmpty(item)
+        ? `${pad}- ${rendered.trimStart()}`
+        : `${pad}- ${rendered}`;
+    }).join('\n');
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) {
+      return '{}';
+    }
+    return entries.map(([key, item]) => {
+      const renderedKey = yamlScalar(key);
+      if (isCollection(item) && !isEmpty(item)) {
+        return `${pad}${renderedKey}:\n${toYAML(item, indent + 2)}`;
+      }
+      return `${pad}${renderedKey}: ${toYAML(item, indent + 2)}`;
+    }).join('\n');
+  }
+
+  return yamlScalar(value);
+}
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  const text = String(value);
+  // Dates and timestamps are quoted too: YAML 1.1 loaders read them as timestamps
+  if (text === '' || /^[\s-?:,[\]{}#&*!|>'"%@`]|[:#]\s|\s$|\n/.test(text) ||
+      /^(true|false|null|yes|no|on|off|~)$/i.test(text) || !Number.isNaN(Number(text)) ||
+      /^\d{4}-\d{1,2}-\d{1,2}(?:[Tt\s]|$)/.test(text)) {
+    return JSON.stringify(text);
+  }
+  return text;
+}
+
+function isCollection(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function isEmpty(value) {
+  return Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0;
+}
+
+function defaultDescription(code) {
+  return code.startsWith('2') ? 'Successful response' : `HTTP ${code}`;
+}
+
+/**
+ * Drop undefined values and empty `required` lists
+ */
+function prune(value) {
+  if (Array.isArray(value)) {
+    return value.map(prune);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined || (key === 'required' && Array.isArray(item) && item.length === 0)) {
+        continue;
+      }
+      result[key] = prune(item);
+    }
+    return result;
+  }
+  return value;
+}
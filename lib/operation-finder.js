@@ -0,0 +1,259 @@
+import { ValidationError } from './errors.js';
+import { schemaFromExample } from './openapi-exporter.js';
+import { isPlural, singular } from './schema-models.js';
+
+export const INTENTS = ['create', 'list', 'get', 'update', 'delete', 'action'];
+
+// Storage terms used interchangeably in questions and in the documentation; the first one is canonical
+const SYNONYMS = [
+  ['volume', 'zvol', 'lun', 'block'],
+  ['dataset', 'filesystem', 'fs', 'nas-volume'],
+  ['share', 'export'],
+  ['snapshot', 'snap'],
+  ['pool', 'zpool'],
+  ['clone'],
+  ['target', 'iscsi-target'],
+  ['user', 'account'],
+  ['interface', 'nic', 'network-interface']
+];
+
+const INTENT_WORDS = {
+  create: ['create', 'add', 'new', 'make', 'take'],
+  list: ['list', 'all', 'enumerate'],
+  get: ['get', 'show', 'read', 'describe', 'details', 'info', 'inspect'],
+  update: ['update', 'modify', 'change', 'edit', 'set', 'rename', 'resize', 'configure'],
+  delete: ['delete', 'remove', 'destroy', 'drop'],
+  action: ['action', 'run', 'start', 'stop', 'trigger', 'rollback', 'scrub', 'export', 'import']
+};
+
+const CANONICAL = new Map(SYNONYMS.flatMap(group => group.map(term => [term, group[0]])));
+
+/**
+ * Reverse lookup over a parsed endpoint model: operations by resource noun,
+ * intent, parameter/property name or response field.
+ *
+ * Each operation is classified by its path and method: POST on a collection
+ * creates, GET lists it, GET on an item or singleton reads, PUT/PATCH
+ * updates, DELETE deletes, anything posted below an item
+ * (`/pools/{pool}/scrub`) is an action. Resource nouns are singular and
+ * canonical (`zvols` → `volume`), so questions match whatever term the
+ * documentation uses.
+ */
+export class OperationFinder {
+  constructor(model) {
+    this.model = model;
+    this.operations = model.operations.map(operation => ({ operation, ...describeOperation(operation) }));
+  }
+
+  /**
+   * Matching operations, best first. `resource`, `intent`, `parameter` and
+   * `field` must all match; words of a free-text `query` only rank.
+   */
+  find({ resource, intent, parameter, field, query, limit = 20 } = {}) {
+    const wantedIntent = intent ? normalizeIntent(intent) : null;
+    if (intent && !wantedIntent) {
+      throw new ValidationError(`Unknown intent "${intent}"; use one of: ${INTENTS.join(', ')}`);
+    }
+    const parsed = parseQuestion(query || '');
+    const resources = resource ? [canonical(resource)] : [];
+
+    const results = [];
+    for (const entry of this.operations) {
+      const matched = [];
+      let score = 0;
+
+      if (resources.length > 0) {
+        const rank = resourceRank(entry, resources[0]);
+        if (rank === 0) {
+          continue;
+        }
+        score += rank;
+        matched.push(rank === 3 ? `resource ${entry.resource}` : `below ${resources[0]}`);
+      }
+      if (wantedIntent) {
+        if (entry.intent !== wantedIntent) {
+          continue;
+        }
+        score += 3;
+        matched.push(`intent ${entry.intent}`);
+      }
+      if (parameter) {
+        const names = matchNames(entry.inputs, parameter);
+        if (names.length === 0) {
+          continue;
+        }
+        score += 2;
+        matched.push(`accepts ${names.join(', ')}`);
+      }
+      if (field) {
+        const names = matchNames(entry.outputs, field);
+        if (names.length === 0) {
+          continue;
+        }
+        score += 2;
+        matched.push(`returns ${names.join(', ')}`);
+      }
+
+      // "create a snapshot of a zvol": first noun is the resource, later ones its parents
+      if (parsed.nouns.length > 0 || parsed.intent) {
+        // Words that are no resource may name a parameter or field ("which endpoints accept compression")
+        const nounRanks = parsed.nouns.map((noun, index) => resourceRank(entry, noun) * (index === 0 ? 1 : 0.5) ||
+          (matchNames([...entry.inputs, ...entry.outputs], noun).length > 0 ? 1 : 0));
+        const queryScore = nounRanks.reduce((sum, rank) => sum + rank, 0) + (parsed.intent === entry.intent ? 3 : 0);
+        if (queryScore === 0 && resources.length + (wantedIntent ? 1 : 0) + (parameter ? 1 : 0) + (field ? 1 : 0) === 0) {
+          continue;
+        }
+        score += queryScore;
+        if (queryScore > 0) {
+          matched.push('query');
+        }
+      }
+
+      results.push({ entry, score, matched });
+    }
+
+    results.sort((a, b) => b.score - a.score || a.entry.operation.path.localeCompare(b.entry.operation.path));
+    return {
+      total: results.length,
+      interpreted: query ? parsed : undefined,
+      operations: results.slice(0, limit).map(({ entry, matched }) => ({
+        id: entry.operation.id,
+        method: entry.operation.method,
+        path: entry.operation.path,
+        summary: oneLine(entry.operation.summary),
+        intent: entry.intent,
+        resource: entry.resource,
+        matched: matched
+      }))
+    };
+  }
+}
+
+/**
+ * Intent, resource noun, parent resources and input/output names of an operation
+ */
+export function describeOperation(operation) {
+  const segments = operation.path.replace(/^\/api\/v\d+(?=\/|$)/, '').split('/').filter(Boolean);
+  const last = segments[segments.length - 1] || '';
+  const endsWithParameter = last.startsWith('{');
+  const literals = segments.filter(segment => !segment.startsWith('{'));
+  const afterParameter = segments.length > 1 && segments[segments.length - 2].startsWith('{');
+
+  // A non-plural word posted below an item is an action on that item
+  const isAction = !endsWithParameter && !isPlural(last) && literals.length > 1 &&
+    (afterParameter || operation.method === 'POST');
+  const nouns = literals.map(canonical);
+  const resource = isAction ? nouns[nouns.length - 2] : nouns[nouns.length - 1];
+
+  let intent;
+  if (operation.method === 'DELETE') {
+    intent = 'delete';
+  } else if (operation.method === 'PUT' || operation.method === 'PATCH') {
+    intent = 'update';
+  } else if (isAction) {
+    intent = 'action';
+  } else if (operation.method === 'POST') {
+    intent = 'create';
+  } else {
+    intent = !endsWithParameter && isPlural(last) ? 'list' : 'get';
+  }
+
+  const inputs = operation.parameters.filter(parameter => parameter.in !== 'path').map(parameter => parameter.name);
+  inputs.push(...fieldNames(schemaFromExample(operation.requestExample)));
+  const outputs = [];
+  for (const example of operation.responseExamples.filter(candidate => /^2/.test(candidate.code))) {
+    outputs.push(...fieldNames(schemaFromExample(unwrap(example.body))));
+  }
+
+  return {
+    intent,
+    resource: resource || 'root',
+    action: isAction ? last : undefined,
+    parents: nouns.slice(0, isAction ? -2 : -1),
+    inputs: [...new Set(inputs)],
+    outputs: [...new Set(outputs)]
+  };
+}
+
+/**
+ * 3 for the operation's own resource (or action name), 1 for a parent resource, 0 otherwise
+ */
+function resourceRank(entry, noun) {
+  if (entry.resource === noun || (entry.action && canonical(entry.action) === noun)) {
+    return 3;
+  }
+  return entry.parents.includes(noun) ? 1 : 0;
+}
+
+/**
+ * Nouns and intent of a question such as "how do I create a snapshot of a zvol"
+ */
+function parseQuestion(text) {
+  const words = String(text).toLowerCase().split(/[^a-z0-9-]+/).filter(Boolean);
+  let intent = null;
+  const nouns = [];
+  for (const word of words) {
+    const wordIntent = normalizeIntent(word);
+    if (!intent && wordIntent && !CANONICAL.has(word)) {
+      intent = wordIntent;
+      continue;
+    }
+    const noun = canonical(word);
+    if (word.length > 2 && !STOP_WORDS.has(word) && !nouns.includes(noun)) {
+      nouns.push(noun);
+    }
+  }
+  return { intent, nouns };
+}
+
+const STOP_WORDS = new Set(['how', 'the', 'and', 'for', 'with', 'from', 'into', 'which', 'what', 'that', 'this',
+  'endpoint', 'endpoints', 'operation', 'operations', 'api', 'can', 'does', 'accept', 'accepts', 'return', 'returns']);
+
+function normalizeIntent(word) {
+  const wanted = String(word).toLowerCase();
+  if (INTENTS.includes(wanted)) {
+    return wanted;
+  }
+  return Object.keys(INTENT_WORDS).find(intent => INTENT_WORDS[intent].includes(wanted)) || null;
+}
+
+/**
+ * Singular, canonical resource noun: `zvols` → `volume`, `nas-volumes` → `dataset`
+ */
+export function canonical(word) {
+  const term = String(word).toLowerCase().replace(/[\s_]+/g, '-');
+  const single = isPlural(term) ? singular(term) : term;
+  return CANONICAL.get(term) || CANONICAL.get(single) || single;
+}
+
+/**
+ * Names matching a parameter or field: exact, or the last segment of a dotted name
+ */
+function matchNames(names, wanted) {
+  const target = String(wanted).toLowerCase().replace(/^`|`$/g, '');
+  return names.filter(name => {
+    const lower = name.toLowerCase();
+    return lower === target || lower.split('.').pop().replace(/\[\]$/, '') === target;
+  });
+}
+
+function fieldNames(schema, prefix = '') {
+  const target = schema.type === 'array' ? schema.items || {} : schema;
+  if (target.type !== 'object') {
+    return [];
+  }
+  return Object.entries(target.properties || {}).flatMap(([name, property]) => {
+    const path = prefix ? `${prefix}.${name}` : name;
+    return [path, ...fieldNames(property, path)];
+  });
+}
+
+function unwrap(body) {
+  return body !== null && typeof body === 'object' && !Array.isArray(body) && 'data' in body ? body.data : body;
+}
+
+function oneLine(text) {
+  const line = String(text || '').split(/\n/)[0].trim();
+  const sentence = line.match(/^(.+?[.!?])(\s|$)/);
+  return sentence ? sentence[1] : line;
+}
@@ -0,0 +1,182 @@
+import JSZip from 'jszip';
+
+const BUILD_DATE_PATTERN = /\b(?:build(?:\s+date)?|built(?:\s+on)?|generated(?:\s+on)?|release\s+date)\s*[:\-]?\s*(\d{4}-\d{2}-\d{2}(?:[ T]\d{2}:\d{2}(?::\d{2})?)?)/i;
+
+/**
+ * Catalog of the discovered documentation releases: API versions, build
+ * date, endpoint counts and an explicit order.
+ *
+ * Order (newest first): trunk, then releases by their position in the
+ * configured `releaseOrder`, then by build date, then by name (descending),
+ * then local sources (`local_*` keys). `latest` is the first release
+ * providing the API version, unless `defaultRelease` pins one, so it no
+ * longer depends on the order of the links on the documentation homepage.
+ * Build dates are learnt as ZIPs load, so the server passes the releases it
+ * already resolved `latest` to (`resolved`, by API version) to keep them.
+ *
+ * `metadata` holds what was learnt from downloaded ZIPs, keyed by ZIP URL:
+ * `{ buildDate, buildDateSource, endpoints, snapshot }`.
+ */
+export class ReleaseCatalog {
+  constructor(links, metadata = {}, { releaseOrder = [], defaultRelease = null, resolved = {} } = {}) {
+    this.releaseOrder = releaseOrder.map(release => String(release).toLowerCase());
+    this.defaultRelease = defaultRelease ? String(defaultRelease).toLowerCase() : null;
+    this.resolved = resolved;
+    this.warnings = [];
+    this.entries = this.buildEntries(links, metadata);
+
+    if (this.defaultRelease && !this.entries.some(entry => this.isPinned(entry))) {
+      this.warnings.push(`Default release "${defaultRelease}" was not discovered; using the newest release instead`);
+    }
+  }
+
+  buildEntries(links, metadata) {
+    const zipUrls = new Set(Object.entries(links)
+      .filter(([key]) => !key.startsWith('latest_'))
+      .map(([, link]) => link.zipUrl));
+    const groups = new Map();
+
+    for (const [key, link] of Object.entries(links)) {
+      // Aliases only count when they are the sole link to a release (legacy fallback URLs)
+      if (key.startsWith('latest_') && zipUrls.has(link.zipUrl)) {
+        continue;
+      }
+
+      const channel = key.startsWith('local_') ? 'local'
+        : link.release.toLowerCase() === 'trunk' ? 'trunk' : 'release';
+      const id = channel === 'local' ? key : link.release.toLowerCase();
+      if (!groups.has(id)) {
+        groups.set(id, {
+          release: link.release,
+          channel: channel,
+          apiVersions: [],
+          keys: {},
+          links: {},
+          buildDate: null,
+          buildDateSource: null,
+          endpoints: {},
+          hosts: []
+        });
+      }
+
+      const entry = groups.get(id);
+      const known = metadata[link.zipUrl] || {};
+      entry.apiVersions.push(link.apiVersion);
+      entry.keys[link.apiVersion] = key;
+      entry.links[link.apiVersion] = link;
+      entry.endpoints[link.apiVersion] = known.endpoints ?? null;
+      if (known.buildDate && (!entry.buildDate || known.buildDate > entry.buildDate)) {
+        entry.buildDate = known.buildDate;
+        entry.buildDateSource = known.buildDateSource;
+      }
+      for (const host of [link.host, ...(link.mirrors || []).map(mirror => mirror.host)]) {
+        if (host && !entry.hosts.includes(host)) {
+          entry.hosts.push(host);
+        }
+      }
+    }
+
+    const channels = ['trunk', 'release', 'local'];
+    return [...groups.values()]
+      .map(entry => ({ ...entry, apiVersions: [...new Set(entry.apiVersions)].sort() }))
+      .sort((a, b) => channels.indexOf(a.channel) - channels.indexOf(b.channel) || this.compareReleases(a, b))
+      .map((entry, index) => ({ order: index + 1, ...entry }));
+  }
+
+  /**
+   * Newest first: configured order, then build date, then name
+   */
+  compareReleases(a, b) {
+    const rank = entry => {
+      const index = this.releaseOrder.indexOf(entry.release.toLowerCase());
+      return index === -1 ? Infinity : index;
+    };
+    if (rank(a) !== rank(b)) {
+      return rank(a) - rank(b);
+    }
+    if (a.buildDate !== b.buildDate) {
+      return !a.buildDate ? 1 : !b.buildDate ? -1 : b.buildDate.localeCompare(a.buildDate);
+    }
+    return b.release.toLowerCase().localeCompare(a.release.toLowerCase());
+  }
+
+  isPinned(entry) {
+    return this.defaultRelease !== null && (entry.release.toLowerCase() === this.defaultRelease ||
+      Object.values(entry.keys).includes(this.defaultRelease));
+  }
+
+  /**
+   * The release `latest` resolves to for an API version
+   */
+  latest(apiVersion) {
+    const provides = entry => entry.apiVersions.includes(apiVersion);
+    const resolved = this.resolved[apiVersion]?.toLowerCase();
+    return this.entries.find(entry => this.isPinned(entry) && provides(entry)) ||
+      this.entries.find(entry => entry.channel === 'release' && entry.release.toLowerCase() === resolved && provides(entry)) ||
+      this.entries.find(entry => entry.channel === 'release' && provides(entry)) ||
+      null;
+  }
+
+  /**
+   * `latest_<apiVersion>` aliases for every API version that has a release
+   */
+  latestLinks() {
+    const aliases = {};
+    const apiVersions = new Set(this.entries.flatMap(entry => entry.apiVersions));
+    for (const apiVersion of [...apiVersions].sort()) {
+      const entry = this.latest(apiVersion);
+      if (entry) {
+        aliases[`latest_${apiVersion}`] = { ...entry.links[apiVersion] };
+      }
+    }
+    return aliases;
+  }
+
+  toJSON() {
+    const latest = {};
+    for (const apiVersion of [...new Set(this.entries.flatMap(entry => entry.apiVersions))].sort()) {
+      latest[apiVersion] = this.latest(apiVersion)?.release ?? null;
+    }
+
+    return {
+      latest: latest,
+      defaultRelease: this.defaultRelease,
+      releaseOrder: this.releaseOrder.length > 0 ? this.releaseOrder : undefined,
+      warnings: this.warnings.length > 0 ? this.warnings : undefined,
+      releases: this.entries.map(({ links, ...entry }) => ({ ...entry, pinned: this.isPinned(entry) || undefined }))
+    };
+  }
+}
+
+/**
+ * Build date of a documentation ZIP. In order of preference: a date stated
+ * on the documentation page, the HTTP Last-Modified of the download, the
+ * newest file in the ZIP, and for local sources their modification time.
+ */
+export async function inspectBuildDate(zipBuffer, { lastModified = null, localModified = null } = {}) {
+  const contents = await new JSZip().loadAsync(zipBuffer);
+  const files = Object.values(contents.files).filter(file => !file.dir);
+
+  const page = files.find(file => file.name.endsWith('.html'));
+  if (page) {
+    const text = (await page.async('text')).replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ');
+    const stated = text.match(BUILD_DATE_PATTERN);
+    if (stated && !Number.isNaN(Date.parse(stated[1]))) {
+      return { buildDate: new Date(stated[1]).toISOString(), buildDateSource: 'documentation' };
+    }
+  }
+
+  if (lastModified && !Number.isNaN(Date.parse(lastModified))) {
+    return { buildDate: new Date(lastModified).toISOString(), buildDateSource: 'last-modified' };
+  }
+
+  // ZIPs packed from a local directory carry the packing time, not the build time
+  if (localModified) {
+    return { buildDate: localModified, buildDateSource: 'file' };
+  }
+
+  const newest = files.reduce((latest, file) => (!latest || file.date > latest ? file.date : latest), null);
+  return newest
+    ? { buildDate: newest.toISOString(), buildDateSource: 'zip' }
+    : { buildDate: null, buildDateSource: null };
+}
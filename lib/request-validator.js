@@ -0,0 +1,303 @@
+import { bodySchema, parameterSchema, schemaFromExample } from './openapi-exporter.js';
+
+/**
+ * Checks a concrete request (method, path, query, JSON body) against the
+ * documented operations of one endpoint model.
+ *
+ * Issues carry a machine-readable `code`:
+ *   invalid-path, unknown-operation, method-not-allowed, unknown-field,
+ *   missing-required, wrong-type, enum-violation, body-not-expected
+ *
+ * Responses are checked against the documented example of their status code
+ * (`undocumented-status`, `wrong-type`, `unknown-field`).
+ */
+export class RequestValidator {
+  constructor(model) {
+    this.model = model;
+  }
+
+  validate({ method, path, query = {}, body }) {
+    const requestMethod = String(method || '').toUpperCase();
+    const [rawPath, queryString] = String(path || '').split('?');
+    const requestQuery = { ...Object.fromEntries(new URLSearchParams(queryString || '')), ...(query || {}) };
+    const issues = [];
+
+    const match = matchOperation(this.model.operations, requestMethod, rawPath);
+    if (match.malformed) {
+      issues.push(issue('error', 'invalid-path', 'path', null, `${rawPath} has a malformed percent-encoding`));
+      return { operation: null, pathParameters: {}, issues };
+    }
+    if (!match.operation) {
+      const allowed = match.allowedMethods;
+      issues.push(allowed.length > 0
+        ? issue('error', 'method-not-allowed', 'method', null,
+          `${requestMethod} is not documented for ${rawPath}; documented methods: ${allowed.join(', ')}`)
+        : issue('error', 'unknown-operation', 'path', null,
+          `No documented operation matches ${requestMethod} ${rawPath}`));
+      return { operation: null, pathParameters: {}, issues };
+    }
+
+    const { operation, pathParameters } = match;
+    this.validatePathParameters(operation, pathParameters, issues);
+    this.validateQuery(operation, requestQuery, issues);
+    this.validateBody(operation, body, issues);
+
+    return { operation, pathParameters, issues };
+  }
+
+  validatePathParameters(operation, values, issues) {
+    // A `.` or `..` segment would change the path the request reaches
+    for (const [name, value] of Object.entries(values)) {
+      if (value === '.' || value === '..') {
+        issues.push(issue('error', 'invalid-path', 'path', name, `Path parameter \`${name}\` cannot be \`${value}\``));
+      }
+    }
+    for (const parameter of operation.parameters.filter(p => p.in === 'path')) {
+      const value = values[parameter.name];
+      if (value === undefined) {
+        continue;
+      }
+      checkValue(coerce(value, parameter.type), parameterSchema(parameter), 'path', parameter.name, issues);
+    }
+  }
+
+  validateQuery(operation, query, issues) {
+    const documented = operation.parameters.filter(parameter => parameter.in === 'query');
+    const names = new Set(documented.map(parameter => parameter.name));
+
+    for (const parameter of documented) {
+      if (query[parameter.name] === undefined) {
+        if (parameter.required) {
+          issues.push(issue('error', 'missing-required', 'query', parameter.name,
+            `Required query parameter \`${parameter.name}\` is missing`));
+        }
+        continue;
+      }
+      checkValue(coerce(query[parameter.name], parameter.type), parameterSchema(parameter),
+        'query', parameter.name, issues);
+    }
+
+    for (const name of Object.keys(query)) {
+      if (!names.has(name)) {
+        issues.push(issue('error', 'unknown-field', 'query', name, `Query parameter \`${name}\` is not documented`));
+      }
+    }
+  }
+
+  validateBody(operation, body, issues) {
+    const documented = operation.parameters.filter(parameter => parameter.in === 'body');
+    const hasBody = body !== undefined && body !== null;
+
+    if (documented.length === 0 && operation.requestExample === null) {
+      if (hasBody) {
+        issues.push(issue('warning', 'body-not-expected', 'body', null,
+          `No request body is documented for ${operation.id}`));
+      }
+      return;
+    }
+
+    // Parameter tables are authoritative; a request example only shows some of the fields
+    const strict = documented.length > 0;
+    const schema = strict ? bodySchema(documented) : schemaFromExample(operation.requestExample);
+
+    if (!hasBody) {
+      if (strict && documented.some(parameter => parameter.required)) {
+        issues.push(issue('error', 'missing-required', 'body', null, `Request body is required for ${operation.id}`));
+      }
+      return;
+    }
+
+    checkValue(body, schema, 'body', null, issues, strict);
+  }
+
+  /**
+   * Check an actual response against the documented responses of an operation.
+   * Examples only show some of the fields, so undocumented fields are warnings.
+   */
+  validateResponse(operation, { status, body }) {
+    const issues = [];
+    const code = String(status);
+    const documented = operation.responses.some(response => response.code === code) ||
+      operation.responseExamples.some(example => example.code === code);
+    if (!documented && (operation.responses.length > 0 || operation.responseExamples.length > 0)) {
+      issues.push(issue('warning', 'undocumented-status', 'response', null,
+        `Status ${code} is not documented for ${operation.id}`));
+    }
+
+    const example = operation.responseExamples.find(candidate => candidate.code === code && candidate.body !== null);
+    if (example && body !== undefined && body !== null) {
+      checkValue(body, looseNumbers(schemaFromExample(example.body)), 'response', null, issues, false);
+    }
+    return { issues };
+  }
+}
+
+/**
+ * Find the documented operation for a method and concrete path.
+ * Literal segments win over templated ones; the `/api/vN` prefix may be omitted.
+ * A path with a malformed percent-encoding (`%E0`) matches nothing and is
+ * flagged `malformed`.
+ */
+export function matchOperation(operations, method, path) {
+  const requestPath = normalizeRequestPath(path);
+  const candidates = [];
+  try {
+    decodeURIComponent(requestPath);
+  } catch {
+    return { operation: null, pathParameters: {}, allowedMethods: [], malformed: true };
+  }
+
+  for (const operation of operations) {
+    const pathParameters = matchTemplate(operation.path, requestPath) ||
+      matchTemplate(operation.path.replace(/^\/api\/v\d+(?=\/|$)/, ''), requestPath);
+    if (pathParameters) {
+      const literals = operation.path.split('/').filter(segment => segment && !segment.startsWith('{')).length;
+      candidates.push({ operation, pathParameters, literals });
+    }
+  }
+
+  candidates.sort((a, b) => b.literals - a.literals);
+  const best = candidates.find(candidate => candidate.operation.method === method);
+  const allowedMethods = [...new Set(candidates
+    .filter(candidate => candidate.literals === candidates[0].literals)
+    .map(candidate => candidate.operation.method))];
+
+  return best
+    ? { operation: best.operation, pathParameters: best.pathParameters, allowedMethods }
+    : { operation: null, pathParameters: {}, allowedMethods };
+}
+
+function normalizeRequestPath(path) {
+  const withoutQuery = String(path || '').split(/[?#]/)[0];
+  const absolute = withoutQuery.replace(/^https?:\/\/[^/]+/, '') || '/';
+  const prefixed = absolute.startsWith('/') ? absolute : `/${absolute}`;
+  return prefixed.length > 1 ? prefixed.replace(/\/+$/, '') : prefixed;
+}
+
+function matchTemplate(template, path) {
+  const templateSegments = template.split('/').filter(Boolean);
+  const pathSegments = path.split('/').filter(Boolean);
+  if (templateSegments.length !== pathSegments.length) {
+    return null;
+  }
+
+  const parameters = {};
+  for (let i = 0; i < templateSegments.length; i++) {
+    const parameter = templateSegments[i].match(/^\{(.+)\}$/);
+    if (parameter) {
+      parameters[parameter[1]] = decodeURIComponent(pathSegments[i]);
+    } else if (templateSegments[i] !== pathSegments[i]) {
+      return null;
+    }
+  }
+  return parameters;
+}
+
+/**
+ * Query and path values arrive as strings; convert them to the documented type when they parse
+ */
+function coerce(value, type) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if ((type === 'integer' || type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (type === 'boolean' && /^(true|false)$/i.test(value)) {
+    return value.toLowerCase() === 'true';
+  }
+  return value;
+}
+
+function checkValue(value, schema, location, field, issues, strict = true) {
+  const label = field ? `\`${field}\`` : location === 'response' ? 'Response body' : 'Request body';
+  const expected = schema.type;
+
+  if (expected && !matchesType(value, expected)) {
+    issues.push(issue('error', 'wrong-type', location, field,
+      `${label} should be ${article(expected)} ${expected}, got ${typeOf(value)}`,
+      { expected, actual: typeOf(value) }));
+    return;
+  }
+
+  if (schema.enum && !schema.enum.some(allowed => String(allowed) === String(value))) {
+    issues.push(issue('error', 'enum-violation', location, field,
+      `${label} must be one of: ${schema.enum.join(', ')}`, { allowed: schema.enum, actual: value }));
+  }
+
+  if (expected === 'object' && schema.properties) {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        issues.push(issue('error', 'missing-required', location, join(field, name),
+          `Required field \`${join(field, name)}\` is missing`));
+      }
+    }
+    for (const [name, item] of Object.entries(value)) {
+      const property = schema.properties[name];
+      if (!property) {
+        issues.push(issue(strict ? 'error' : 'warning', 'unknown-field', location, join(field, name),
+          `Field \`${join(field, name)}\` is not documented`));
+        continue;
+      }
+      if (item !== null) {
+        checkValue(item, property, location, join(field, name), issues, strict);
+      }
+    }
+  }
+
+  if (expected === 'array' && schema.items && Object.keys(schema.items).length > 0) {
+    value.forEach((item, index) => checkValue(item, schema.items, location, `${field || ''}[${index}]`, issues, strict));
+  }
+}
+
+/**
+ * An example showing `5` does not mean the field is never `5.5`
+ */
+function looseNumbers(schema) {
+  const loose = schema.type === 'integer' ? { ...schema, type: 'number' } : { ...schema };
+  if (loose.properties) {
+    loose.properties = Object.fromEntries(Object.entries(loose.properties)
+      .map(([name, property]) => [name, looseNumbers(property)]));
+  }
+  if (loose.items) {
+    loose.items = looseNumbers(loose.items);
+  }
+  return loose;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return Number.isInteger(value) ? 'integer' : typeof value;
+}
+
+function article(word) {
+  return /^[aeiou]/.test(word) ? 'an' : 'a';
+}
+
+function join(parent, name) {
+  return parent ? `${parent}.${name}` : name;
+}
+
+function issue(severity, code, location, field, message, details = {}) {
+  return { severity, code, location, field: field || undefined, message, ...details };
+}
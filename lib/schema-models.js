@@ -0,0 +1,305 @@
+import { bodySchema, schemaFromExample } from './openapi-exporter.js';
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+// Sub-paths describing their parent rather than a collection: `/volumes/{volume}/properties` → `VolumeProperties`
+const PARENT_ASPECTS = ['properties', 'settings', 'options', 'attributes', 'stats', 'details'];
+
+/**
+ * Named payload models (pool, volume, snapshot, ...) collected from the
+ * request and response bodies of an endpoint model.
+ *
+ * A body is named after the resource of its path (`/pools/{pool}/volumes`
+ * → `Volume`; actions such as `/pools/{pool}/scrub` → `PoolScrub`).
+ * Documented body fields are authoritative; examples add the nested objects
+ * and arrays the parameter tables leave out. Nested objects become models of
+ * their own (`Pool.vdevs[]` → `PoolVdev`). Response bodies are unwrapped
+ * from the `{ "data": … }` envelope.
+ *
+ * Constraints come from the documentation: enums, defaults and ranges stated
+ * in descriptions ("range 1-100", "max 64 characters").
+ */
+export class SchemaCatalog {
+  constructor(model) {
+    this.model = model;
+    this.entries = new Map();
+
+    for (const operation of model.operations) {
+      this.collect(operation);
+    }
+  }
+
+  collect(operation) {
+    const name = resourceModelName(operation.path);
+    const fields = operation.parameters.filter(parameter => parameter.in === 'body');
+
+    if (fields.length > 0 || operation.requestExample !== null) {
+      let schema = fields.length > 0 ? withConstraints(bodySchema(fields), fields) : {};
+      if (operation.requestExample !== null) {
+        schema = mergeSchemas(schema, schemaFromExample(operation.requestExample));
+      }
+      if (schema.type === 'object') {
+        this.add(name, schema, operation, 'input');
+      }
+    }
+
+    const example = operation.responseExamples.find(candidate => /^2/.test(candidate.code) && candidate.body !== null);
+    if (example) {
+      const body = unwrap(example.body);
+      const schema = schemaFromExample(Array.isArray(body) ? body[0] : body);
+      if (schema.type === 'object' && Object.keys(schema.properties).length > 0) {
+        this.add(name, schema, operation, Array.isArray(body) ? 'output (list)' : 'output');
+      }
+    }
+  }
+
+  /**
+   * Merge a body schema into a named model; nested objects are split out as models of their own
+   */
+  add(name, schema, operation, role, parent = null) {
+    if (!this.entries.has(name)) {
+      this.entries.set(name, { name, parent, schema: { type: 'object', properties: {} }, inputRequired: null, usedBy: [] });
+    }
+    const entry = this.entries.get(name);
+    const { required, ...shape } = schema;
+    entry.schema = mergeSchemas(entry.schema, shape);
+
+    // Fields required by every request that sends the model
+    if (role === 'input') {
+      entry.inputRequired = entry.inputRequired === null
+        ? [...(required || [])]
+        : entry.inputRequired.filter(field => (required || []).includes(field));
+    }
+    if (!entry.usedBy.some(usage => usage.operation === operation.id && usage.role === role)) {
+      entry.usedBy.push({ operation: operation.id, role, required: role === 'input' ? required || [] : undefined });
+    }
+
+    for (const [property, propertySchema] of Object.entries(schema.properties || {})) {
+      const nested = propertySchema.type === 'array' ? propertySchema.items : propertySchema;
+      if (nested?.type === 'object' && Object.keys(nested.properties || {}).length > 0) {
+        this.add(`${name}${pascalCase(singular(property))}`, nested, operation, role, name);
+      }
+    }
+  }
+
+  /**
+   * Model summaries: property count, parent and the operations using each
+   */
+  list() {
+    return [...this.entries.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(entry => ({
+        name: entry.name,
+        parent: entry.parent || undefined,
+        properties: Object.keys(entry.schema.properties).length,
+        input: usages(entry, 'input'),
+        output: usages(entry, 'output')
+      }));
+  }
+
+  /**
+   * Model by name: case-insensitive, singular or plural (`pools`, `Pool`),
+   * or the unique nested model ending in it (`vdev` → `PoolVdev`)
+   */
+  find(name) {
+    const wanted = normalizeName(name);
+    const entries = [...this.entries.values()];
+    const exact = entries.find(entry => normalizeName(entry.name) === wanted);
+    if (exact || !wanted) {
+      return exact || null;
+    }
+    const nested = entries.filter(entry => entry.parent && normalizeName(entry.name).endsWith(wanted));
+    return nested.length === 1 ? nested[0] : null;
+  }
+
+  suggestions(name) {
+    const wanted = normalizeName(name);
+    return [...this.entries.keys()]
+      .filter(candidate => normalizeName(candidate).includes(wanted) || wanted.includes(normalizeName(candidate)))
+      .slice(0, 10);
+  }
+
+  /**
+   * JSON Schema (2020-12) of a model; nested models are `$defs` referenced with `$ref`.
+   * `required` holds the fields every request sending the model requires.
+   */
+  jsonSchema(name) {
+    const entry = this.find(name);
+    if (!entry) {
+      return null;
+    }
+
+    const definitions = {};
+    const root = this.resolve(entry, definitions, new Set([entry.name]));
+    return {
+      $schema: JSON_SCHEMA_DIALECT,
+      title: entry.name,
+      description: `${entry.name} (${this.model.release} ${this.model.apiVersion})`,
+      ...root,
+      $defs: Object.keys(definitions).length > 0 ? definitions : undefined
+    };
+  }
+
+  resolve(entry, definitions, seen) {
+    const schema = structuredClone(entry.schema);
+    if (entry.inputRequired && entry.inputRequired.length > 0) {
+      schema.required = entry.inputRequired;
+    }
+
+    for (const [property, propertySchema] of Object.entries(schema.properties)) {
+      const child = this.entries.get(`${entry.name}${pascalCase(singular(property))}`);
+      if (!child || child.parent !== entry.name || seen.has(child.name)) {
+        continue;
+      }
+      if (!definitions[child.name]) {
+        definitions[child.name] = this.resolve(child, definitions, new Set([...seen, child.name]));
+      }
+      const reference = { $ref: `#/$defs/${child.name}` };
+      schema.properties[property] = propertySchema.type === 'array'
+        ? { ...propertySchema, items: reference }
+        : { ...reference, description: propertySchema.description };
+    }
+    return schema;
+  }
+
+  /**
+   * Operations using a model; inputs list the fields each request requires
+   */
+  usage(name) {
+    const entry = this.find(name);
+    if (!entry) {
+      return null;
+    }
+    return {
+      input: entry.usedBy.filter(usage => usage.role === 'input')
+        .map(usage => ({ operation: usage.operation, required: usage.required })),
+      output: usages(entry, 'output')
+    };
+  }
+
+  children(name) {
+    const entry = this.find(name);
+    return entry ? [...this.entries.values()].filter(child => child.parent === entry.name).map(child => child.name) : [];
+  }
+}
+
+/**
+ * Model name for the body of an operation on a path
+ */
+export function resourceModelName(path) {
+  const literals = path
+    .replace(/^\/api\/v\d+(?=\/|$)/, '')
+    .split('/')
+    .filter(segment => segment && !segment.startsWith('{'));
+  if (literals.length === 0) {
+    return 'Root';
+  }
+
+  const last = literals[literals.length - 1];
+  if (literals.length > 1 && (!isPlural(last) || PARENT_ASPECTS.includes(last.toLowerCase()))) {
+    return `${pascalCase(singular(literals[literals.length - 2]))}${pascalCase(last)}`;
+  }
+  return pascalCase(isPlural(last) ? singular(last) : last);
+}
+
+/**
+ * Ranges and lengths stated in field descriptions, added to the documented schema
+ */
+function withConstraints(schema, fields) {
+  for (const field of fields) {
+    const constraints = parseConstraints(field.description, field.type);
+    if (Object.keys(constraints).length === 0) {
+      continue;
+    }
+
+    let target = schema;
+    for (const segment of field.name.split('.')) {
+      const property = target?.properties?.[segment.replace(/\[\]$/, '')];
+      target = property?.type === 'array' && property.items?.properties ? property.items : property;
+    }
+    if (target) {
+      Object.assign(target, constraints);
+    }
+  }
+  return schema;
+}
+
+function parseConstraints(description, type) {
+  const text = String(description || '');
+  const number = '(-?\\d+(?:\\.\\d+)?)';
+  const range = text.match(new RegExp(`\\b(?:range|between|from)\\s*:?\\s*${number}\\s*(?:-|–|\\.\\.|to|and)\\s*${number}`, 'i')) ||
+    text.match(new RegExp(`[(\\[]${number}\\s*(?:\\.\\.|–|-)\\s*${number}[)\\]]`));
+  const minimum = range ? range[1] : text.match(new RegExp(`\\b(?:min(?:imum)?|at least)\\s*:?\\s*${number}`, 'i'))?.[1];
+  const maximum = range ? range[2] : text.match(new RegExp(`\\b(?:max(?:imum)?|at most|up to)\\s*:?\\s*${number}`, 'i'))?.[1];
+
+  const constraints = {};
+  if (type === 'string') {
+    if (minimum !== undefined && /\bchar|\blength\b/i.test(text)) {
+      constraints.minLength = Number(minimum);
+    }
+    if (maximum !== undefined && /\bchar|\blength\b/i.test(text)) {
+      constraints.maxLength = Number(maximum);
+    }
+  } else if (type === 'integer' || type === 'number') {
+    if (minimum !== undefined) {
+      constraints.minimum = Number(minimum);
+    }
+    if (maximum !== undefined) {
+      constraints.maximum = Number(maximum);
+    }
+  }
+  return constraints;
+}
+
+/**
+ * Combine two schemas of the same payload; the first one wins on conflicts
+ */
+function mergeSchemas(base, addition) {
+  if (!base || Object.keys(base).length === 0) {
+    return structuredClone(addition);
+  }
+  if (!addition || Object.keys(addition).length === 0) {
+    return base;
+  }
+
+  const merged = { ...addition, ...base };
+  if (base.type === 'object' && addition.type === 'object') {
+    merged.properties = { ...(base.properties || {}) };
+    for (const [name, schema] of Object.entries(addition.properties || {})) {
+      merged.properties[name] = mergeSchemas(merged.properties[name], schema);
+    }
+  }
+  if (base.type === 'array' && addition.type === 'array') {
+    merged.items = mergeSchemas(base.items, addition.items);
+  }
+  return merged;
+}
+
+function unwrap(body) {
+  return body !== null && typeof body === 'object' && !Array.isArray(body) && 'data' in body ? body.data : body;
+}
+
+function usages(entry, role) {
+  return entry.usedBy.filter(usage => usage.role.startsWith(role)).map(usage =>
+    usage.role === role ? usage.operation : `${usage.operation} (list)`);
+}
+
+export function isPlural(word) {
+  // Not protocol names such as nfs, cifs or smbs
+  return /s$/i.test(word) && !/(ss|us|is|fs)$/i.test(word) && /[aeiou]/i.test(word.slice(0, -1));
+}
+
+export function singular(word) {
+  return word
+    .replace(/ies$/i, 'y')
+    .replace(/(ss|x|ch|sh)es$/i, '$1')
+    .replace(/([^s])s$/i, '$1');
+}
+
+function pascalCase(text) {
+  return text.split(/[^a-zA-Z0-9]+/).filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+function normalizeName(name) {
+  return singular(String(name || '').toLowerCase().replace(/[^a-z0-9]/g, ''));
+}
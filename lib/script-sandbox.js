@@ -0,0 +1,76 @@
+import { once } from 'events';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+/**
+ * Child process for dom-renderer.js: runs the documentation page's own
+ * scripts and reports the document once the collapsed operations are open.
+ *
+ * `runScripts: 'dangerously'` is not isolation: a page script can reach
+ * Node.js from the jsdom window. The parent therefore starts this process
+ * under the Node.js permission model (no file writes, no reads outside its
+ * code, no child processes or workers) and enforces the time and memory
+ * limits. Sockets are not covered by the permission model; page scripts
+ * only lose the browser network APIs below.
+ */
+const [{ html, readyTimeout }] = await once(process, 'message');
+const POLL_INTERVAL = 25;
+
+// Loading the page and opening its operations share one deadline
+const deadline = Date.now() + readyTimeout;
+
+const dom = new JSDOM(html, {
+  runScripts: 'dangerously',
+  pretendToBeVisual: true,
+  virtualConsole: new VirtualConsole(),
+  beforeParse(window) {
+    // Subresources are never loaded; also keep page scripts from talking to the network
+    for (const name of ['XMLHttpRequest', 'WebSocket', 'EventSource', 'fetch']) {
+      window[name] = undefined;
+    }
+  }
+});
+const { window } = dom;
+
+function collapsedCount() {
+  return [...window.document.querySelectorAll('.func_doc, .operation .content')]
+    .filter(element => window.getComputedStyle(element).display === 'none')
+    .length;
+}
+
+function waitFor(condition) {
+  return new Promise(resolve => {
+    const check = () => {
+      if (condition() || Date.now() >= deadline) {
+        resolve();
+      } else {
+        setTimeout(check, POLL_INTERVAL);
+      }
+    };
+    check();
+  });
+}
+
+try {
+  // Ready: the page has loaded and jQuery (when present) has run its ready handlers
+  await waitFor(() => window.document.readyState === 'complete' && (!window.jQuery || window.jQuery.isReady));
+
+  // One click per operation: method and path links toggle the same block
+  const toggles = window.document.querySelectorAll('.toggleOperation');
+  const opened = new Set();
+  for (const toggle of toggles) {
+    const block = toggle.closest('.operation') || toggle;
+    if (!opened.has(block)) {
+      opened.add(block);
+      toggle.dispatchEvent(new window.MouseEvent('click', { bubbles: true, cancelable: true }));
+    }
+  }
+
+  // Opened: no documentation block is still collapsed (animations included)
+  await waitFor(() => collapsedCount() === 0 || toggles.length === 0);
+
+  process.send({ html: dom.serialize() });
+} catch (error) {
+  process.send({ error: `Script rendering failed: ${error.message}` });
+} finally {
+  window.close();
+}
@@ -0,0 +1,303 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Inverted index with BM25 ranking over parsed operations and sections.
+ *
+ * Queries mix free text with fielded filters:
+ *   `create snapshot method:POST path:/pools release:trunk api:v4`
+ */
+
+const FIELD_BOOSTS = {
+  path: 3,
+  summary: 2,
+  section: 1.5,
+  parameters: 1.5,
+  description: 1
+};
+
+const FILTER_FIELDS = {
+  method: 'method',
+  path: 'path',
+  section: 'section',
+  param: 'parameter',
+  parameter: 'parameter',
+  release: 'release',
+  api: 'apiVersion',
+  apiversion: 'apiVersion',
+  version: 'apiVersion',
+  type: 'type'
+};
+
+const K1 = 1.2;
+const B = 0.75;
+
+export class SearchIndex {
+  constructor() {
+    this.documents = new Map();
+    this.postings = new Map();
+    this.sources = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Index every operation and section of a model under a source key
+   * (re-indexing the same key replaces the previous snapshot)
+   */
+  addModel(key, model) {
+    this.removeSource(key);
+
+    const ids = [];
+    const base = { source: key, release: model.release, apiVersion: model.apiVersion };
+
+    for (const operation of model.operations) {
+      ids.push(this.addDocument(`${key}#${operation.id}`, {
+        ...base,
+        type: 'operation',
+        method: operation.method,
+        path: operation.path,
+        section: operation.section,
+        summary: operation.summary,
+        parameterNames: operation.parameters.map(parameter => parameter.name.toLowerCase())
+      }, {
+        path: operation.path,
+        summary: operation.summary,
+        section: operation.section,
+        parameters: operation.parameters.map(p => `${p.name} ${p.description || ''}`).join(' '),
+        description: operation.description
+      }));
+    }
+
+    for (const section of model.sections) {
+      const operations = model.operations.filter(operation => operation.sectionId === section.id);
+      ids.push(this.addDocument(`${key}#section:${section.id}`, {
+        ...base,
+        type: 'section',
+        section: section.title,
+        sectionId: section.id,
+        summary: `${operations.length} operations`,
+        parameterNames: []
+      }, {
+        section: section.title,
+        summary: operations.map(operation => operation.summary).join(' '),
+        path: operations.map(operation => operation.path).join(' ')
+      }));
+    }
+
+    this.sources.set(key, { parsedAt: model.parsedAt, ids: ids });
+  }
+
+  hasSnapshot(key, model) {
+    const source = this.sources.get(key);
+    return Boolean(source && source.parsedAt === model.parsedAt);
+  }
+
+  addDocument(id, document, fields) {
+    const termFrequencies = new Map();
+    let length = 0;
+
+    for (const [field, text] of Object.entries(fields)) {
+      const tokens = tokenize(text);
+      length += tokens.length;
+      for (const token of tokens) {
+        termFrequencies.set(token, (termFrequencies.get(token) || 0) + FIELD_BOOSTS[field]);
+      }
+    }
+
+    for (const [term, frequency] of termFrequencies) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, frequency);
+    }
+
+    this.documents.set(id, { ...document, fields: fields, length: length });
+    this.totalLength += length;
+    return id;
+  }
+
+  removeSource(key) {
+    const source = this.sources.get(key);
+    if (!source) {
+      return;
+    }
+    for (const id of source.ids) {
+      this.totalLength -= this.documents.get(id).length;
+      this.documents.delete(id);
+    }
+    for (const [term, posting] of this.postings) {
+      source.ids.forEach(id => posting.delete(id));
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+    this.sources.delete(key);
+  }
+
+  /**
+   * Search the index. `options.sources` (source keys), `options.release` and
+   * `options.apiVersion` narrow the scope in addition to any `release:` /
+   * `api:` filters in the query. `options.limit` (default 20) caps the results returned.
+   */
+  search(query, options = {}) {
+    const limit = options.limit ?? 20;
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new ValidationError(`Invalid limit ${limit}; use a whole number of 0 or more`);
+    }
+    const { terms, filters } = parseQuery(query);
+    // Nothing to search for: no word of two characters or more and no filter
+    if (terms.length === 0 && filters.length === 0) {
+      return { total: 0, results: [] };
+    }
+    if (options.sources) {
+      filters.push({ field: 'source', value: options.sources });
+    }
+    if (options.release) {
+      filters.push({ field: 'release', value: options.release.toLowerCase() });
+    }
+    if (options.apiVersion) {
+      filters.push({ field: 'apiVersion', value: options.apiVersion.toLowerCase() });
+    }
+
+    const candidates = [...this.documents.entries()]
+      .filter(([, document]) => filters.every(filter => matchesFilter(document, filter)));
+
+    const averageLength = this.documents.size > 0 ? this.totalLength / this.documents.size : 0;
+    const results = [];
+
+    for (const [id, document] of candidates) {
+      let score = terms.length === 0 ? 1 : 0;
+      const matched = [];
+
+      for (const term of terms) {
+        const posting = this.postings.get(term);
+        const frequency = posting ? posting.get(id) : undefined;
+        if (!frequency) {
+          continue;
+        }
+        const idf = Math.log(1 + (this.documents.size - posting.size + 0.5) / (posting.size + 0.5));
+        const norm = frequency + K1 * (1 - B + B * (document.length / (averageLength || 1)));
+        score += idf * (frequency * (K1 + 1)) / norm;
+        matched.push(term);
+      }
+
+      if (score > 0) {
+        results.push({ id, document, score, matched });
+      }
+    }
+
+    results.sort((a, b) => b.score - a.score ||
+      (a.document.path || '').localeCompare(b.document.path || ''));
+
+    return {
+      total: results.length,
+      results: results.slice(0, limit).map(({ document, score, matched }) => ({
+        score: Math.round(score * 1000) / 1000,
+        type: document.type,
+        release: document.release,
+        apiVersion: document.apiVersion,
+        method: document.method,
+        path: document.path,
+        section: document.section,
+        summary: document.summary,
+        snippet: buildSnippet(document.fields, matched.length > 0 ? matched : terms)
+      }))
+    };
+  }
+}
+
+/**
+ * Split a query into free-text terms and `field:value` filters
+ */
+export function parseQuery(query) {
+  const terms = [];
+  const filters = [];
+
+  for (const part of String(query || '').match(/(\w+:)?"[^"]*"|\S+/g) || []) {
+    const fielded = part.match(/^(\w+):(.+)$/);
+    const field = fielded ? FILTER_FIELDS[fielded[1].toLowerCase()] : null;
+
+    if (field) {
+      filters.push({ field: field, value: fielded[2].replace(/^"|"$/g, '').toLowerCase() });
+    } else {
+      terms.push(...tokenize(part));
+    }
+  }
+
+  return { terms: [...new Set(terms)], filters };
+}
+
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1)
+    .map(stem);
+}
+
+/**
+ * Light plural folding so that "pools" matches "pool" and "properties" matches "property"
+ */
+function stem(token) {
+  if (token.length > 4 && token.endsWith('ies')) {
+    return token.slice(0, -3) + 'y';
+  }
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) {
+    return token.slice(0, -1);
+  }
+  return token;
+}
+
+function matchesFilter(document, filter) {
+  const value = filter.value;
+  switch (filter.field) {
+    case 'method':
+      return (document.method || '').toLowerCase() === value;
+    case 'path':
+      return (document.path || '').toLowerCase().includes(value);
+    case 'section':
+      return (document.section || '').toLowerCase().includes(value) || document.sectionId === value;
+    case 'parameter':
+      return document.parameterNames.includes(value);
+    case 'release':
+      return (document.release || '').toLowerCase() === value;
+    case 'apiVersion':
+      return (document.apiVersion || '').toLowerCase() === value;
+    case 'type':
+      return document.type === value;
+    case 'source':
+      return value.includes(document.source);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Short excerpt around the first matching term, with matches wrapped in **bold**
+ */
+function buildSnippet(fields, terms, radius = 60) {
+  const texts = [fields.summary, fields.description, fields.parameters, fields.path, fields.section]
+    .filter(Boolean)
+    .map(text => text.replace(/\s+/g, ' '));
+
+  const wordPattern = /[A-Za-z0-9]+/g;
+  for (const text of texts) {
+    const hits = [...text.matchAll(wordPattern)].filter(match => terms.includes(stem(match[0].toLowerCase())));
+    if (hits.length === 0) {
+      continue;
+    }
+
+    const start = Math.max(0, hits[0].index - radius);
+    const end = Math.min(text.length, hits[0].index + hits[0][0].length + radius);
+    let snippet = '';
+    let cursor = start;
+    for (const hit of hits.filter(match => match.index >= start && match.index + match[0].length <= end)) {
+      snippet += text.slice(cursor, hit.index) + `**${hit[0]}**`;
+      cursor = hit.index + hit[0].length;
+    }
+    snippet += text.slice(cursor, end);
+
+    return `${start > 0 ? '…' : ''}${snippet.trim()}${end < text.length ? '…' : ''}`;
+  }
+
+  return texts.length > 0 ? texts[0].slice(0, radius * 2) : '';
+}
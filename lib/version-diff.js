@@ -0,0 +1,259 @@
+import { schemaFromExample } from './openapi-exporter.js';
+
+/**
+ * Semantic comparison of two endpoint models.
+ *
+ * Operations are matched by method and path with the `/api/vN` prefix and
+ * path parameter names ignored, so v3 can be compared against v4 and renamed
+ * path parameters do not show up as removed operations.
+ */
+export class DocumentationDiff {
+  constructor(from, to) {
+    this.from = from;
+    this.to = to;
+  }
+
+  compare() {
+    const fromOps = indexOperations(this.from.operations);
+    const toOps = indexOperations(this.to.operations);
+    const changes = [];
+
+    for (const [key, operation] of fromOps) {
+      const counterpart = toOps.get(key);
+      if (!counterpart) {
+        changes.push(change(operation, 'operation-removed', true, 'Operation removed'));
+        continue;
+      }
+      changes.push(...this.compareParameters(operation, counterpart));
+      changes.push(...this.compareResponses(operation, counterpart));
+    }
+
+    for (const [key, operation] of toOps) {
+      if (!fromOps.has(key)) {
+        changes.push(change(operation, 'operation-added', false, 'Operation added'));
+      }
+    }
+
+    const changedOperations = new Set(changes.map(item => item.operation));
+    return {
+      from: { release: this.from.release, apiVersion: this.from.apiVersion },
+      to: { release: this.to.release, apiVersion: this.to.apiVersion },
+      summary: {
+        from_operations: this.from.operations.length,
+        to_operations: this.to.operations.length,
+        operations_changed: changedOperations.size,
+        added: changes.filter(item => item.type === 'operation-added').length,
+        removed: changes.filter(item => item.type === 'operation-removed').length,
+        breaking: changes.filter(item => item.breaking).length,
+        non_breaking: changes.filter(item => !item.breaking).length
+      },
+      changes: changes
+    };
+  }
+
+  compareParameters(before, after) {
+    const changes = [];
+    const beforePath = before.parameters.filter(p => p.in === 'path');
+    const afterPath = after.parameters.filter(p => p.in === 'path');
+
+    // Path parameters are positional: a different name is only a rename
+    beforePath.forEach((parameter, index) => {
+      const renamed = afterPath[index];
+      if (renamed && renamed.name !== parameter.name) {
+        changes.push(change(after, 'parameter-renamed', false,
+          `Path parameter \`${parameter.name}\` renamed to \`${renamed.name}\``, { parameter: renamed.name, in: 'path' }));
+      }
+    });
+
+    const keyOf = (parameter) => `${parameter.in}:${parameter.name}`;
+    const beforeOther = new Map(before.parameters.filter(p => p.in !== 'path').map(p => [keyOf(p), p]));
+    const afterOther = new Map(after.parameters.filter(p => p.in !== 'path').map(p => [keyOf(p), p]));
+
+    for (const [key, parameter] of beforeOther) {
+      const updated = afterOther.get(key);
+      const details = { parameter: parameter.name, in: parameter.in };
+
+      if (!updated) {
+        changes.push(change(after, 'parameter-removed', true,
+          `Parameter \`${parameter.name}\` (${parameter.in}) removed`, details));
+        continue;
+      }
+
+      // A type documented on one side only is not a change
+      if (updated.type && parameter.type && updated.type !== parameter.type) {
+        changes.push(change(after, 'parameter-type-changed', true,
+          `Parameter \`${parameter.name}\` (${parameter.in}) changed type from ${parameter.type} to ${updated.type}`,
+          { ...details, before: parameter.type, after: updated.type }));
+      }
+
+      if (updated.required && !parameter.required) {
+        changes.push(change(after, 'parameter-became-required', true,
+          `Parameter \`${parameter.name}\` (${parameter.in}) became required`, details));
+      } else if (!updated.required && parameter.required) {
+        changes.push(change(after, 'parameter-became-optional', false,
+          `Parameter \`${parameter.name}\` (${parameter.in}) became optional`, details));
+      }
+
+      const removedValues = (parameter.enum || []).filter(value => updated.enum && !updated.enum.includes(value));
+      const addedValues = (updated.enum || []).filter(value => !(parameter.enum || []).includes(value));
+      if (removedValues.length > 0) {
+        changes.push(change(after, 'parameter-enum-narrowed', true,
+          `Parameter \`${parameter.name}\` (${parameter.in}) no longer accepts: ${removedValues.join(', ')}`,
+          { ...details, removed: removedValues }));
+      }
+      if (addedValues.length > 0 && parameter.enum) {
+        changes.push(change(after, 'parameter-enum-extended', false,
+          `Parameter \`${parameter.name}\` (${parameter.in}) now also accepts: ${addedValues.join(', ')}`,
+          { ...details, added: addedValues }));
+      }
+    }
+
+    for (const [key, parameter] of afterOther) {
+      if (!beforeOther.has(key)) {
+        changes.push(change(after, 'parameter-added', parameter.required,
+          `Parameter \`${parameter.name}\` (${parameter.in}) added${parameter.required ? ' as required' : ''}`,
+          { parameter: parameter.name, in: parameter.in }));
+      }
+    }
+
+    return changes;
+  }
+
+  compareResponses(before, after) {
+    const changes = [];
+    const afterCodes = new Set(after.responses.map(response => response.code));
+    const beforeCodes = new Set(before.responses.map(response => response.code));
+
+    for (const code of beforeCodes) {
+      if (!afterCodes.has(code)) {
+        changes.push(change(after, 'response-removed', code.startsWith('2'),
+          `Response ${code} no longer documented`, { code }));
+      }
+    }
+    for (const code of afterCodes) {
+      if (!beforeCodes.has(code)) {
+        changes.push(change(after, 'response-added', false, `Response ${code} added`, { code }));
+      }
+    }
+
+    for (const example of before.responseExamples) {
+      const updated = after.responseExamples.find(candidate => candidate.code === example.code);
+      if (!updated) {
+        continue;
+      }
+
+      const beforeFields = flattenSchema(schemaFromExample(example.body));
+      const afterFields = flattenSchema(schemaFromExample(updated.body));
+
+      for (const [field, type] of beforeFields) {
+        if (!afterFields.has(field)) {
+          changes.push(change(after, 'response-field-removed', true,
+            `Response ${example.code} field \`${field}\` removed`, { code: example.code, field }));
+        } else if (afterFields.get(field) !== type) {
+          changes.push(change(after, 'response-field-type-changed', true,
+            `Response ${example.code} field \`${field}\` changed type from ${type} to ${afterFields.get(field)}`,
+            { code: example.code, field, before: type, after: afterFields.get(field) }));
+        }
+      }
+      for (const [field] of afterFields) {
+        if (!beforeFields.has(field)) {
+          changes.push(change(after, 'response-field-added', false,
+            `Response ${example.code} field \`${field}\` added`, { code: example.code, field }));
+        }
+      }
+    }
+
+    return changes;
+  }
+}
+
+/**
+ * Render a comparison produced by DocumentationDiff as a Markdown changelog
+ */
+export function formatChangelog(diff) {
+  const label = (side) => `${side.release} ${side.apiVersion}`;
+  const lines = [
+    `# JovianDSS REST API changes: ${label(diff.from)} → ${label(diff.to)}`,
+    '',
+    `${diff.summary.breaking} breaking and ${diff.summary.non_breaking} non-breaking changes ` +
+      `across ${diff.summary.operations_changed} operations ` +
+      `(${diff.summary.from_operations} → ${diff.summary.to_operations} operations documented).`,
+    ''
+  ];
+
+  const groups = [
+    ['Breaking changes', item => item.breaking && item.type !== 'operation-removed'],
+    ['Removed operations', item => item.type === 'operation-removed'],
+    ['Added operations', item => item.type === 'operation-added'],
+    ['Other changes', item => !item.breaking && item.type !== 'operation-added']
+  ];
+
+  for (const [title, matches] of groups) {
+    const items = diff.changes.filter(matches);
+    if (items.length === 0) {
+      continue;
+    }
+
+    lines.push(`## ${title}`, '');
+    const bySection = new Map();
+    for (const item of items) {
+      if (!bySection.has(item.section)) {
+        bySection.set(item.section, []);
+      }
+      bySection.get(item.section).push(item);
+    }
+
+    for (const [section, sectionItems] of bySection) {
+      lines.push(`### ${section}`, '');
+      for (const item of sectionItems) {
+        const detail = item.type.startsWith('operation-') ? '' : `: ${item.message}`;
+        lines.push(`- \`${item.operation}\`${detail}`);
+      }
+      lines.push('');
+    }
+  }
+
+  if (diff.changes.length === 0) {
+    lines.push('No differences in documented operations.', '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Operation key that ignores the API version prefix and path parameter names
+ */
+export function comparableKey(operation) {
+  const path = operation.path
+    .replace(/^\/api\/v\d+(?=\/|$)/, '')
+    .replace(/\{[^}]+\}/g, '{}');
+  return `${operation.method} ${path || '/'}`;
+}
+
+function indexOperations(operations) {
+  return new Map(operations.map(operation => [comparableKey(operation), operation]));
+}
+
+function change(operation, type, breaking, message, details = {}) {
+  return {
+    operation: `${operation.method} ${operation.path}`,
+    section: operation.section,
+    type: type,
+    breaking: Boolean(breaking),
+    message: message,
+    ...details
+  };
+}
+
+function flattenSchema(schema, prefix = '', fields = new Map()) {
+  if (schema.type === 'object' && schema.properties) {
+    for (const [name, property] of Object.entries(schema.properties)) {
+      const field = prefix ? `${prefix}.${name}` : name;
+      fields.set(field, property.type || 'any');
+      flattenSchema(property, field, fields);
+    }
+  } else if (schema.type === 'array' && schema.items) {
+    flattenSchema(schema.items, `${prefix}[]`, fields);
+  }
+  return fields;
+}
@@ -0,0 +1,32 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TypeScriptClientGenerator } from '../lib/client-generator.js';
+
+const operation = (method, path, parameters, extra = {}) => ({
+  id: `${method} ${path}`, method, path, summary: '', section: 'Test', sectionId: 'test',
+  parameters, responses: [], requestExample: null, responseExamples: [], ...extra
+});
+
+describe('TypeScriptClientGenerator', () => {
+  test('renames path parameters named like reserved words or the body and query arguments', () => {
+    const model = {
+      release: 'test', apiVersion: 'v4', operations: [
+        operation('PUT', '/api/v4/targets/{class}/{default}/{body}', [
+          { name: 'class', in: 'path', type: 'string', required: true, description: 'Target class' },
+          { name: 'default', in: 'path', type: 'string', required: true },
+          { name: 'body', in: 'path', type: 'string', required: true },
+          { name: 'enabled', in: 'body', type: 'boolean', required: true }
+        ]),
+        operation('GET', '/api/v4/queries/{query}', [
+          { name: 'query', in: 'path', type: 'string', required: true }
+        ])
+      ]
+    };
+    const client = new TypeScriptClientGenerator(model).generate()['client.ts'];
+
+    assert.match(client, /\(classParam: string, defaultParam: string, bodyParam: string, body: \w+Request\)/);
+    assert.match(client, /\/api\/v4\/targets\/\$\{encodeURIComponent\(String\(classParam\)\)\}\/\$\{encodeURIComponent\(String\(defaultParam\)\)\}\/\$\{encodeURIComponent\(String\(bodyParam\)\)\}`, \{ body \}\)/);
+    assert.match(client, /@param classParam Target class/);
+    assert.match(client, /\(queryParam: string\): Promise<unknown> \{\n    return this\.request<unknown>\('GET', `\/api\/v4\/queries\/\$\{encodeURIComponent\(String\(queryParam\)\)\}`\);/);
+  });
+});
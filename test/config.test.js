@@ -0,0 +1,51 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { defaultConfig, loadConfig } from '../lib/config.js';
+
+describe('loadConfig', () => {
+  let directory;
+  let configFile;
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'jdss-doc-config-'));
+    configFile = join(directory, 'config.json');
+    await writeFile(configFile, JSON.stringify({
+      hosts: ['http://file-host/'],
+      legacyRelease: 'FILE',
+      defaultRelease: 'FILE',
+      cacheDir: join(directory, 'file-cache'),
+      port: 1000
+    }));
+  });
+  after(() => rm(directory, { recursive: true, force: true }));
+
+  test('layers the config file, environment and flags over the defaults', () => {
+    const config = loadConfig({
+      argv: ['--config', configFile, '--port', '3000', '--host', 'http://flag-host/'],
+      env: { JDSS_DOC_HOSTS: 'http://env-host/', JDSS_DOC_LEGACY_RELEASE: 'ENV', JDSS_DOC_PORT: '2000' }
+    });
+
+    assert.equal(config.configFile, configFile);
+    assert.equal(config.requestTimeout, defaultConfig().requestTimeout);
+    assert.equal(config.cacheDir, join(directory, 'file-cache'));
+    assert.equal(config.defaultRelease, 'FILE');
+    assert.equal(config.legacyRelease, 'ENV');
+    assert.equal(config.port, 3000);
+    assert.deepEqual(config.hosts.map(host => host.url), ['http://flag-host/']);
+  });
+
+  test('lets the environment replace the hosts of the config file', () => {
+    const config = loadConfig({ argv: [], env: { JDSS_DOC_CONFIG: configFile, JDSS_DOC_HOSTS: 'http://a/,http://b/' } });
+
+    assert.deepEqual(config.hosts.map(host => host.url), ['http://a/', 'http://b/']);
+    assert.equal(config.port, 1000);
+  });
+
+  test('rejects a missing config file and invalid values', () => {
+    assert.throws(() => loadConfig({ argv: ['--config', join(directory, 'missing.json')], env: {} }),
+      /Configuration file not found/);
+    assert.throws(() => loadConfig({ argv: ['--config', configFile, '--port', 'abc'], env: {} }), /Invalid port: abc/);
+  });
+});
@@ -0,0 +1,116 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { FIXTURES_DIR, readManifest, startFixtureServer } from './helpers/fixture-server.js';
+import { createDocumentation } from './helpers/mcp-client.js';
+
+const manifest = readManifest();
+const homepage = readFileSync(join(FIXTURES_DIR, 'index.html'), 'utf8');
+
+describe('parseDocumentationLinks', () => {
+  let context;
+  before(async () => {
+    context = await createDocumentation('http://dh.lan:777/');
+  });
+  after(() => context.cleanup());
+
+  test('finds every release and API version of the homepage', () => {
+    const links = context.documentation.parseDocumentationLinks(homepage, 'http://dh.lan:777/');
+    assert.deepEqual(Object.keys(links).sort(), Object.keys(manifest.releases).sort());
+
+    for (const [key, link] of Object.entries(links)) {
+      const expected = manifest.releases[key];
+      assert.equal(link.release, expected.release);
+      assert.equal(link.apiVersion, expected.apiVersion);
+      assert.equal(link.url, `http://dh.lan:777/${expected.path}`);
+      assert.equal(link.zipUrl, `http://dh.lan:777/${expected.path}get_doc.php?t=zip`);
+    }
+  });
+
+  test('accepts absolute and root-relative links and ignores other documentation', () => {
+    const html = `
+      <a href="http://mirror.example/docs/EDSS/KOKOMO/documentation/v4/">KOKOMO</a>
+      <a href="/docs/EDSS/TRUNK/documentation/v3">trunk v3</a>
+      <a href="docs/EDSS/KOKOMO/documentation/v5/">future</a>
+      <a href="docs/other/manual.pdf">manual</a>`;
+    const links = context.documentation.parseDocumentationLinks(html, 'http://dh.lan:777/');
+
+    assert.deepEqual(Object.keys(links).sort(), ['kokomo_v4', 'trunk_v3']);
+    assert.equal(links.kokomo_v4.zipUrl, 'http://mirror.example/docs/EDSS/KOKOMO/documentation/v4/get_doc.php?t=zip');
+    assert.equal(links.trunk_v3.url, 'http://dh.lan:777/docs/EDSS/TRUNK/documentation/v3');
+  });
+});
+
+describe('discoverDocumentationLinks', () => {
+  let server;
+  let context;
+  before(async () => {
+    server = await startFixtureServer();
+    context = await createDocumentation(server.url);
+  });
+  after(async () => {
+    await context.cleanup();
+    await server.close();
+  });
+
+  test('discovers the releases of the stand-in host with latest aliases', async () => {
+    const links = await context.documentation.discoverDocumentationLinks();
+
+    for (const key of Object.keys(manifest.releases)) {
+      assert.ok(links[key], `${key} discovered`);
+    }
+    assert.equal(links.latest_v4.release, 'JEFFERSONVILLE');
+    assert.equal(links.latest_v3.release, 'JEFFERSONVILLE');
+    assert.equal(links.trunk_v4.release, 'trunk');
+    assert.ok(server.requests.includes('GET /'));
+  });
+
+  test('resolves latest, trunk and release names to links', async () => {
+    const latest = await context.documentation.resolveDocumentationLink('latest', 'v4');
+    const trunk = await context.documentation.resolveDocumentationLink('trunk', 'v4');
+    const named = await context.documentation.resolveDocumentationLink('jeffersonville', 'v3');
+
+    assert.equal(latest.zipUrl, `${server.url}${manifest.releases.jeffersonville_v4.path}get_doc.php?t=zip`);
+    assert.equal(trunk.release, 'trunk');
+    assert.equal(named.apiVersion, 'v3');
+  });
+
+  test('works offline from the links cached by an earlier discovery', async () => {
+    await context.documentation.discoverDocumentationLinks();
+    const offline = await createDocumentation(server.url, { cacheDir: context.documentation.config.cacheDir, offline: true });
+    try {
+      const before = server.requests.length;
+      const links = await offline.documentation.discoverDocumentationLinks();
+      assert.equal(links.latest_v4.release, 'JEFFERSONVILLE');
+      assert.equal(server.requests.length, before, 'no request in offline mode');
+
+      let reads = 0;
+      const readLinks = offline.documentation.cache.readLinks.bind(offline.documentation.cache);
+      offline.documentation.cache.readLinks = () => (reads++, readLinks());
+      assert.equal(await offline.documentation.discoverDocumentationLinks(), links);
+      assert.equal(reads, 0, 'saved links are kept between calls');
+    } finally {
+      await offline.cleanup();
+    }
+  });
+
+  test('retries failing hosts after a shorter delay, not on every call', async () => {
+    const failing = await createDocumentation(server.url, { cacheDir: context.documentation.config.cacheDir });
+    try {
+      let attempts = 0;
+      failing.documentation.discoverHttpHost = async () => {
+        attempts++;
+        throw new Error('unreachable');
+      };
+      const links = await failing.documentation.discoverDocumentationLinks();
+      assert.equal(links.latest_v4.release, 'JEFFERSONVILLE', 'links saved by an earlier discovery');
+      await failing.documentation.discoverDocumentationLinks();
+
+      assert.equal(attempts, 1);
+      assert.ok(failing.documentation.discoveryTtl < failing.documentation.cacheTimeout);
+    } finally {
+      await failing.cleanup();
+    }
+  });
+});
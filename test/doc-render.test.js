@@ -0,0 +1,62 @@
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readDocumentationPage, renderStatic } from '../lib/dom-renderer.js';
+import { estimateTokens, renderDocumentation, renderDocumentationPage } from '../lib/doc-render.js';
+import { readFixtureZip } from './helpers/fixture-server.js';
+
+describe('renderDocumentation', () => {
+  let document;
+  before(async () => {
+    const page = await readDocumentationPage(readFixtureZip('jeffersonville_v4'));
+    document = renderStatic(page.html);
+  });
+
+  test('writes Markdown headings, tables and fenced examples without scripts', () => {
+    const markdown = renderDocumentation(document, 'markdown');
+
+    assert.match(markdown, /^## Pools$/m);
+    assert.match(markdown, /^### GET \/api\/v4\/pools\/\\<pool>$/m);
+    assert.match(markdown, /^\| pool \| str \| path \| yes \| Pool name \|$/m);
+    assert.match(markdown, /^```http\nHTTP\/1\.1 200 OK\nContent-Type: application\/json\n/m);
+    assert.doesNotMatch(markdown, /<script|function\s*\(/);
+  });
+
+  test('writes plain text with underlined sections and indented examples', () => {
+    const text = renderDocumentation(document, 'text');
+
+    assert.match(text, /^Pools\n-----$/m);
+    assert.match(text, /^GET \/api\/v4\/pools\/<pool>$/m);
+    assert.match(text, /^pool \| str \| path \| yes \| Pool name$/m);
+    assert.match(text, /^ {4}HTTP\/1\.1 200 OK$/m);
+    assert.doesNotMatch(text, /[#`]{3}/);
+  });
+
+  test('writes JSON content blocks, paged between blocks', () => {
+    const blocks = JSON.parse(renderDocumentation(document, 'json'));
+
+    assert.deepEqual(blocks.find(block => block.type === 'heading' && block.text === 'GET /api/v4/pools'),
+      { type: 'heading', level: 3, text: 'GET /api/v4/pools', anchor: 'get-apiv4pools' });
+    assert.ok(blocks.some(block => block.type === 'table' && block.headers.join() === 'Code,Description'));
+    assert.ok(blocks.some(block => block.type === 'code' && block.language === 'http'));
+
+    const page = renderDocumentationPage(document, { format: 'json', page: 2, pageSize: 2000 });
+    assert.equal(page.page, 2);
+    assert.ok(page.pages > 2);
+    assert.ok(Array.isArray(JSON.parse(page.text)));
+    assert.ok(page.to - page.from <= 2000);
+  });
+
+  test('rejects an unknown format', () => {
+    assert.throws(() => renderDocumentation(document, 'pdf'), error => error.code === 'invalid-argument');
+  });
+});
+
+describe('estimateTokens', () => {
+  test('counts about four characters per token, from a text or a length', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens('abcd'), 1);
+    assert.equal(estimateTokens('abcdefghi'), 3);
+    assert.equal(estimateTokens(9), 3);
+    assert.equal(estimateTokens(null), 0);
+  });
+});
@@ -0,0 +1,63 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { access, copyFile, mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { copyFixtures, startFixtureServer } from './helpers/fixture-server.js';
+import { createDocumentation } from './helpers/mcp-client.js';
+
+describe('DocumentationWatcher', () => {
+  let directory;
+  let root;
+  let server;
+  let context;
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'jdss-doc-watch-'));
+    root = await copyFixtures(directory);
+    server = await startFixtureServer({ root });
+    context = await createDocumentation(server.url);
+  });
+  after(async () => {
+    await context.cleanup();
+    await server.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  test('records a baseline and emits nothing while the documentation is unchanged', async () => {
+    const events = [];
+    const watcher = context.documentation.createWatcher({ releases: ['trunk'], onChange: event => events.push(event) });
+
+    assert.deepEqual(await watcher.check(), []);
+    assert.deepEqual(await watcher.check(), []);
+
+    assert.deepEqual(events, []);
+    assert.equal(watcher.status().events, 0);
+    assert.deepEqual(watcher.lastCheck.errors, []);
+    await assert.rejects(access(context.documentation.config.watchLog), { code: 'ENOENT' });
+  });
+
+  test('reports a changed release to onChange and the event log', async () => {
+    const events = [];
+    const watcher = context.documentation.createWatcher({ releases: ['trunk'], onChange: event => events.push(event) });
+    await watcher.check();
+
+    // trunk now serves the JEFFERSONVILLE ZIP, where creating a volume takes no blocksize
+    await copyFile(join(root, 'docs/EDSS/JEFFERSONVILLE/documentation/v4/documentation.zip'),
+      join(root, 'docs/EDSS/trunk/documentation/v4/documentation.zip'));
+    const [event] = await watcher.check();
+
+    assert.equal(event.type, 'documentation-changed');
+    assert.equal(event.release, 'trunk');
+    assert.equal(event.apiVersion, 'v4');
+    assert.ok(event.operations.changed.includes('POST /api/v4/pools/{pool}/volumes'));
+    assert.deepEqual(events, [event]);
+    assert.equal(watcher.status().events, 1);
+
+    const log = await readFile(context.documentation.config.watchLog, 'utf8');
+    assert.deepEqual(log.trim().split('\n').map(line => JSON.parse(line)), [event]);
+
+    // The new content is the baseline now
+    assert.deepEqual(await watcher.check(), []);
+    assert.equal(events.length, 1);
+  });
+});
@@ -0,0 +1,147 @@
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { coverageReport, findApiCalls, formatCoverage, methodOnLine, scanSourceTree } from '../lib/endpoint-coverage.js';
+import { loadFixtureModel } from './helpers/fixture-server.js';
+
+const SAMPLE_PROJECT = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sample-project');
+
+describe('findApiCalls', () => {
+  test('turns interpolated values into path placeholders', () => {
+    const calls = findApiCalls([
+      'fetch(`${base}/api/v4/pools/${encodeURIComponent(pool)}/volumes`)',
+      'requests.get(f"{BASE}/api/v4/pools/{pool}")',
+      "http.put(BASE + '/api/v4/pools/' + pool + '/volumes/' + volume.name, body)",
+      'router.get("/api/v4/pools/:pool")',
+      'url = "/api/v4/pools/%s" % pool'
+    ].join('\n'));
+
+    assert.deepEqual(calls.map(call => call.path), [
+      '/api/v4/pools/{pool}/volumes',
+      '/api/v4/pools/{pool}',
+      '/api/v4/pools/{pool}/volumes/{name}',
+      '/api/v4/pools/{pool}',
+      '/api/v4/pools/{}'
+    ]);
+  });
+
+  test('finds the method on the line, in the following options or assumes GET', () => {
+    const calls = findApiCalls([
+      'await fetch(`/api/v4/pools`, {',
+      "  method: 'DELETE'",
+      '});',
+      'axios.post("/api/v4/pools", pool);',
+      'fetch("/api/v4/system/info");'
+    ].join('\n'));
+
+    assert.deepEqual(calls.map(call => [call.line, call.method, call.methodAssumed]), [
+      [1, 'DELETE', false],
+      [4, 'POST', false],
+      [5, 'GET', true]
+    ]);
+  });
+
+  test('reads curl calls continued over several lines', () => {
+    const calls = findApiCalls([
+      'curl -k -u "$USER:$PASSWORD" \\',
+      '  "$JDSS/api/v4/pools/$POOL/volumes" \\',
+      "  -d '{\"name\": \"data\"}'",
+      'curl -s "$JDSS/api/v4/pools"'
+    ].join('\n'), 'shell');
+
+    assert.deepEqual(calls.map(call => [call.line, call.method, call.path, call.methodAssumed]), [
+      [1, 'POST', '/api/v4/pools/{POOL}/volumes', false],
+      [4, 'GET', '/api/v4/pools', false]
+    ]);
+  });
+
+  test('takes the method from the Ansible uri task holding the URL', () => {
+    const calls = findApiCalls([
+      '- name: Remove',
+      '  uri:',
+      '    method: DELETE',
+      '    url: "https://{{ host }}/api/v4/pools/{{ pool }}"',
+      '- name: Read',
+      '  uri:',
+      '    url: "https://{{ host }}/api/v4/pools"'
+    ].join('\n'), 'yaml');
+
+    assert.deepEqual(calls.map(call => [call.method, call.path]), [
+      ['DELETE', '/api/v4/pools/{pool}'],
+      ['GET', '/api/v4/pools']
+    ]);
+  });
+
+  test('methodOnLine', () => {
+    assert.equal(methodOnLine('curl -X PUT https://jdss/api/v4/pools/p'), 'PUT');
+    assert.equal(methodOnLine('requests.patch(url)'), 'PATCH');
+    assert.equal(methodOnLine('curl --data @body.json https://jdss/api/v4/pools'), 'POST');
+    assert.equal(methodOnLine('const url = "/api/v4/pools"'), null);
+  });
+});
+
+describe('coverage of a source tree', () => {
+  let scan;
+  const models = {};
+  before(async () => {
+    scan = await scanSourceTree(SAMPLE_PROJECT);
+    for (const key of ['jeffersonville_v4', 'jeffersonville_v3', 'trunk_v4']) {
+      models[key] = await loadFixtureModel(key);
+    }
+  });
+
+  test('scans JS/TS, Python, shell and YAML files, skipping dependencies', () => {
+    assert.equal(scan.files, 4);
+    assert.deepEqual([...new Set(scan.calls.map(call => call.file))],
+      ['ansible/volumes.yml', 'scripts/nightly-snapshot.sh', 'scripts/report.py', 'src/storage.ts']);
+    assert.ok(!scan.calls.some(call => call.path.includes('/targets')));
+  });
+
+  test('lists used operations with their call sites', () => {
+    const report = coverageReport({ v4: models.jeffersonville_v4, v3: models.jeffersonville_v3 }, scan);
+    const used = Object.fromEntries(report.used.map(item => [item.operation, item.references]));
+
+    assert.deepEqual(used['POST /api/v4/pools/{pool}/volumes'], ['ansible/volumes.yml:6', 'src/storage.ts:9']);
+    assert.deepEqual(used['PUT /api/v4/pools/{pool}/volumes/{volume}'], ['src/storage.ts:16']);
+    assert.deepEqual(used['GET /api/v3/legacy/stats'], ['scripts/report.py:18']);
+    assert.ok(report.unused.some(item => item.operation === 'GET /api/v4/system/info'));
+    assert.equal(report.summary.used + report.summary.unused, report.summary.operations);
+  });
+
+  test('reports calls with an undocumented method', () => {
+    const report = coverageReport({ v4: models.jeffersonville_v4, v3: models.jeffersonville_v3 }, scan);
+
+    assert.deepEqual(report.undocumented, [{
+      call: 'PATCH /api/v4/pools/{pool}',
+      reference: 'ansible/volumes.yml:22',
+      note: 'PATCH is not documented for this path (documented: GET, DELETE)'
+    }]);
+  });
+
+  test('reports calls removed in trunk', () => {
+    const report = coverageReport({ v4: models.trunk_v4 }, scan, { unavailable: { v3: 'No v3 documentation for trunk' } });
+    const undocumented = Object.fromEntries(report.undocumented.map(item => [item.call, item]));
+
+    assert.equal(undocumented['GET /api/v4/shares'].note, 'Not documented in trunk v4');
+    assert.equal(undocumented['GET /api/v4/shares'].reference, 'src/storage.ts:20');
+    assert.equal(undocumented['GET /api/v3/legacy/stats'].note, 'No v3 documentation for trunk');
+    assert.deepEqual(report.apiVersions, ['v4']);
+  });
+
+  test('renders the report as Markdown', () => {
+    const markdown = formatCoverage(coverageReport({ v4: models.trunk_v4 }, scan));
+
+    assert.match(markdown, /^# JovianDSS REST API coverage: trunk v4/);
+    assert.match(markdown, /## Undocumented or removed calls\n\n\| Call \| Location \| Notes \|/);
+    assert.match(markdown, /\| `GET \/api\/v4\/shares` \| src\/storage\.ts:20 \| Not documented in trunk v4 \|/);
+    assert.match(markdown, /## Unused operations\n\n- `POST \/api\/v4\/pools` — Create a storage pool\./);
+  });
+
+  test('rejects a missing path and anything but a file or directory', async () => {
+    for (const path of [join(SAMPLE_PROJECT, 'missing'), join(SAMPLE_PROJECT, 'scripts/report.py/nested')]) {
+      await assert.rejects(scanSourceTree(path), { name: 'NotFoundError', code: 'not-found' });
+    }
+    await assert.rejects(scanSourceTree('/dev/null'), { name: 'ValidationError', code: 'invalid-argument' });
+  });
+});
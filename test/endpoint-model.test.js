@@ -0,0 +1,142 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { SCRIPT_SANDBOX_AVAILABLE, readDocumentationPage, renderStatic, renderWithScripts } from '../lib/dom-renderer.js';
+import { EndpointModelParser, normalizeType } from '../lib/endpoint-model.js';
+import { RequestValidator } from '../lib/request-validator.js';
+import { loadFixtureModel, readFixtureZip, readManifest } from './helpers/fixture-server.js';
+
+const manifest = readManifest();
+
+describe('ZIP processing', () => {
+  test('reads the documentation page and its scripts from a ZIP', async () => {
+    const page = await readDocumentationPage(readFixtureZip('jeffersonville_v4'));
+
+    assert.match(page.path, /\.html$/);
+    assert.match(page.html, /<title>JovianDSS REST API/);
+    assert.ok([...page.scripts.keys()].some(path => path.endsWith('.js')));
+  });
+
+  test('rejects a ZIP without an HTML page', async () => {
+    const zip = new JSZip();
+    zip.file('readme.txt', 'no documentation here');
+    const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+
+    await assert.rejects(readDocumentationPage(buffer), /No HTML file found in ZIP/);
+  });
+
+  test('reveals collapsed operation content without running scripts', async () => {
+    const page = await readDocumentationPage(readFixtureZip('jeffersonville_v4'));
+    const document = renderStatic(page.html);
+
+    const contents = [...document.querySelectorAll('.content.func_doc')];
+    assert.ok(contents.length > 0);
+    assert.ok(contents.every(element => element.style.display !== 'none'));
+  });
+
+  const sandboxed = { skip: !SCRIPT_SANDBOX_AVAILABLE && 'needs the Node.js permission model (Node.js 20 or later)' };
+
+  test('runs page scripts without access to the server files', sandboxed, async () => {
+    const script = `
+      const process = this.constructor.constructor('return process')();
+      let access;
+      try { access = typeof process.binding('fs'); } catch (error) { access = error.code; }
+      document.addEventListener('DOMContentLoaded', () => {
+        document.body.innerHTML = '<h2>Pools</h2><p id="fs">' + access + '</p>';
+      });`;
+    const page = { path: 'index.html', html: '<html><head><script src="app.js"></script></head><body></body></html>', scripts: new Map([['app.js', script]]) };
+    const document = await renderWithScripts(page);
+
+    assert.equal(document.querySelector('h2').textContent, 'Pools');
+    assert.equal(document.querySelector('#fs').textContent, 'ERR_ACCESS_DENIED');
+  });
+
+  test('stops page scripts at the time limit', sandboxed, async () => {
+    const page = { path: 'index.html', html: '<html><body><script>while (true) {}</script></body></html>', scripts: new Map() };
+    await assert.rejects(renderWithScripts(page, { timeout: 1000 }), /Script rendering exceeded 1000 ms/);
+  });
+
+  test('refuses to run page scripts without the permission model', { skip: SCRIPT_SANDBOX_AVAILABLE && 'the permission model is available' }, async () => {
+    const page = { path: 'index.html', html: '<html><body><script>document.title = "x"</script></body></html>', scripts: new Map() };
+    await assert.rejects(renderWithScripts(page), error => error.code === 'sandbox-unavailable');
+  });
+});
+
+describe('EndpointModelParser', () => {
+  for (const [key, expected] of Object.entries(manifest.releases)) {
+    test(`extracts the recorded operations and sections of ${key}`, async () => {
+      const model = await loadFixtureModel(key);
+
+      assert.equal(model.release, expected.release);
+      assert.equal(model.title, expected.title);
+      assert.deepEqual(model.sections.map(section => section.id), expected.sections);
+      assert.deepEqual(model.operations.map(operation => operation.id), expected.operations);
+    });
+  }
+
+  test('normalizes path templates and parameter types', async () => {
+    const model = await loadFixtureModel('jeffersonville_v4');
+    const create = model.operations.find(operation => operation.id === 'POST /api/v4/pools/{pool}/volumes');
+    const parameter = name => create.parameters.find(candidate => candidate.name === name);
+
+    assert.equal(create.path, '/api/v4/pools/{pool}/volumes');
+    assert.deepEqual(
+      [parameter('pool').in, parameter('pool').type, parameter('pool').required],
+      ['path', 'string', true]);
+    assert.deepEqual([parameter('size').in, parameter('size').type], ['body', 'integer']);
+    assert.equal(parameter('sparse').type, 'boolean');
+    assert.equal(parameter('sparse').required, false);
+    assert.deepEqual(create.responses.map(response => response.code), ['201', '409']);
+  });
+
+  test('reads field lists and request and response examples', async () => {
+    const model = await loadFixtureModel('jeffersonville_v4');
+    const createPool = model.operations.find(operation => operation.id === 'POST /api/v4/pools');
+    const listPools = model.operations.find(operation => operation.id === 'GET /api/v4/pools');
+
+    assert.deepEqual(createPool.parameters.map(parameter => [parameter.name, parameter.type, parameter.required]), [
+      ['name', 'string', true],
+      ['vdevs', 'array', true],
+      ['compression', 'string', false]
+    ]);
+    assert.equal(createPool.requestExample.name, 'Pool-0');
+    assert.equal(listPools.responseExamples[0].code, '200');
+    assert.equal(listPools.responseExamples[0].body.data[0].health, 'ONLINE');
+  });
+
+  test('leaves undocumented and unknown types unconstrained', () => {
+    assert.equal(normalizeType('Integer (bytes)'), 'integer');
+    assert.equal(normalizeType(''), null);
+    assert.equal(normalizeType('size unit'), null);
+
+    const operation = {
+      id: 'POST /api/v4/pools', method: 'POST', path: '/api/v4/pools',
+      parameters: [{ name: 'label', in: 'body', type: normalizeType(''), required: false }],
+      responses: [], responseExamples: []
+    };
+    const result = new RequestValidator({ operations: [operation] })
+      .validate({ method: 'POST', path: '/api/v4/pools', body: { label: 42 } });
+    assert.deepEqual(result.issues, []);
+  });
+
+  test('merges repeated operation blocks without duplicating examples', () => {
+    const parser = EndpointModelParser.fromHTML('<html></html>');
+    const block = () => ({
+      summary: '', description: '', parameters: [], responses: [], requestExample: null,
+      responseExamples: [{ code: '200', body: { data: [] } }]
+    });
+    const target = block();
+    parser.mergeOperation(target, block());
+    parser.mergeOperation(target, { ...block(), responseExamples: [{ code: '404', body: null }] });
+
+    assert.deepEqual(target.responseExamples.map(example => example.code), ['200', '404']);
+  });
+
+  test('assigns operations to the section of their heading', async () => {
+    const model = await loadFixtureModel('jeffersonville_v4');
+    const snapshots = model.sections.find(section => section.id === 'snapshots');
+
+    assert.equal(snapshots.title, 'Snapshots');
+    assert.ok(snapshots.operationIds.every(id => id.includes('/snapshots')));
+  });
+});
@@ -0,0 +1,220 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DocumentationCache } from '../lib/doc-cache.js';
+import JSZip from 'jszip';
+import { readDocumentationPage } from '../lib/dom-renderer.js';
+import { zipDirectory } from '../lib/local-sources.js';
+import {
+  DocumentationError, NetworkError, ReleaseNotFoundError, TimeoutError, ZipCorruptError, requestError, withContext
+} from '../lib/errors.js';
+import { startFixtureServer } from './helpers/fixture-server.js';
+import { callTool, connectClient, createDocumentation } from './helpers/mcp-client.js';
+
+/**
+ * URL of a port nothing listens on
+ */
+async function closedPortUrl() {
+  const server = createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return `http://127.0.0.1:${port}/documentation.zip`;
+}
+
+describe('error types', () => {
+  test('keep their type, code and hints when given context', () => {
+    const error = withContext(new ZipCorruptError('No HTML file found in ZIP', { url: 'http://host/doc.zip' }), 'Search failed');
+
+    assert.ok(error instanceof ZipCorruptError);
+    assert.equal(error.message, 'Search failed: No HTML file found in ZIP');
+    assert.deepEqual(Object.keys(error.toJSON()), ['code', 'message', 'url', 'hints']);
+    assert.equal(error.toJSON().code, 'zip-corrupt');
+    assert.equal(withContext(new Error('A path is required'), 'API call failed').code, 'tool-error');
+  });
+
+  test('tell timeouts from unreachable hosts', () => {
+    const refused = new TypeError('fetch failed', { cause: Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }) });
+    const network = requestError(refused, 'http://jdss/');
+    assert.ok(network instanceof NetworkError);
+    assert.equal(network.message, 'http://jdss/ is unreachable (ECONNREFUSED)');
+
+    const timeout = requestError(new DOMException('The operation was aborted due to timeout', 'TimeoutError'), 'http://jdss/');
+    assert.ok(timeout instanceof TimeoutError);
+    assert.equal(timeout.url, 'http://jdss/');
+  });
+
+  test('keep TLS and URL failures apart from unreachable hosts', () => {
+    const certificate = new TypeError('fetch failed', { cause: Object.assign(new Error('self-signed certificate'), { code: 'DEPTH_ZERO_SELF_SIGNED_CERT' }) });
+    const tls = requestError(certificate, 'https://jdss/');
+    assert.ok(!(tls instanceof NetworkError));
+    assert.equal(tls.code, 'tls-error');
+    assert.equal(tls.message, 'TLS connection to https://jdss/ failed (self-signed certificate)');
+
+    const url = requestError(new TypeError('Failed to parse URL from ht tp://jdss', { cause: Object.assign(new TypeError('Invalid URL'), { code: 'ERR_INVALID_URL' }) }), 'ht tp://jdss');
+    assert.equal(url.code, 'invalid-url');
+
+    const other = requestError(new Error('response exceeds 10485760 bytes'), 'http://jdss/');
+    assert.equal(other.code, 'request-failed');
+    assert.equal(other.message, 'Request to http://jdss/ failed (response exceeds 10485760 bytes)');
+  });
+});
+
+describe('DocumentationCache failures', () => {
+  let directory;
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'jdss-doc-errors-'));
+  });
+  after(() => rm(directory, { recursive: true, force: true }));
+
+  const link = zipUrl => ({ release: 'KOKOMO', apiVersion: 'v4', zipUrl });
+
+  test('reports an unreachable host with the URL attempted', async () => {
+    const url = await closedPortUrl();
+    const cache = new DocumentationCache({ directory: join(directory, 'unreachable') });
+
+    await assert.rejects(cache.fetchZip(link(url)), error =>
+      error instanceof NetworkError && error.code === 'network-unreachable' && error.url === url);
+  });
+
+  test('reports a missing ZIP as a release that was not found', async () => {
+    const server = await startFixtureServer();
+    try {
+      const url = `${server.url}docs/EDSS/KOKOMO/documentation/v4/get_doc.php?t=zip`;
+      const cache = new DocumentationCache({ directory: join(directory, 'missing') });
+      await assert.rejects(cache.fetchZip(link(url)), error =>
+        error instanceof ReleaseNotFoundError && error.url === url && /HTTP 404/.test(error.message));
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('reports a host that does not answer in time', async () => {
+    const server = createServer(() => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const url = `http://127.0.0.1:${server.address().port}/documentation.zip`;
+      const cache = new DocumentationCache({ directory: join(directory, 'slow'), downloadTimeout: 200 });
+      await assert.rejects(cache.fetchZip(link(url)), error => error instanceof TimeoutError && error.code === 'timeout');
+    } finally {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('downloads a release again when its cached ZIP was removed', async () => {
+    const server = await startFixtureServer();
+    try {
+      const url = `${server.url}docs/EDSS/JEFFERSONVILLE/documentation/v4/get_doc.php?t=zip`;
+      const jeffersonville = { release: 'JEFFERSONVILLE', apiVersion: 'v4', zipUrl: url };
+      const cache = new DocumentationCache({ directory: join(directory, 'removed') });
+      const { meta } = await cache.fetchZip(jeffersonville);
+      const entryDir = cache.entryDirectory(jeffersonville);
+      await rm(join(entryDir, 'documentation.zip'));
+
+      await assert.rejects(cache.readCachedZip(entryDir, meta, null), error =>
+        error instanceof DocumentationError && error.code === 'not-cached' && error.url === url);
+      const offline = new DocumentationCache({ directory: join(directory, 'removed'), offline: true });
+      await assert.rejects(offline.fetchZip(jeffersonville), error => error.code === 'not-cached');
+      assert.equal((await cache.fetchZip(jeffersonville)).freshness.source, 'network');
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('refuses to pack a directory beyond the size and depth limits', async () => {
+    const root = join(directory, 'tree');
+    await mkdir(join(root, 'a', 'b', 'c', 'd', 'e', 'f', 'g'), { recursive: true });
+    await writeFile(join(root, 'index.html'), '<html></html>');
+    await writeFile(join(root, 'a', 'b', 'c', 'd', 'e', 'f', 'g', 'deep.txt'), 'too deep');
+
+    const zip = await JSZip.loadAsync(await zipDirectory(root));
+    assert.deepEqual(Object.keys(zip.files).filter(name => !zip.files[name].dir), ['index.html']);
+    await assert.rejects(zipDirectory(root, { maxBytes: 4 }), error =>
+      error instanceof ZipCorruptError && /too large for a documentation directory/.test(error.message));
+  });
+
+  test('reports a corrupt ZIP', async () => {
+    await assert.rejects(readDocumentationPage(Buffer.from('<html>not a zip</html>')), error =>
+      error instanceof ZipCorruptError && /Not a valid documentation ZIP/.test(error.message));
+  });
+});
+
+describe('structured tool errors', () => {
+  let server;
+  let context;
+  let client;
+  before(async () => {
+    server = await startFixtureServer();
+    context = await createDocumentation(server.url);
+    client = await connectClient(context.documentation);
+  });
+  after(async () => {
+    await client.close();
+    await context.cleanup();
+    await server.close();
+  });
+
+  test('set isError with a code and the available releases', async () => {
+    const result = await client.callTool({ name: 'get_edss_documentation', arguments: { version: 'KOKOMO' } });
+    const { error } = JSON.parse(result.content[1].text);
+
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /^Error: Documentation retrieval failed: Could not find documentation for version: KOKOMO/);
+    assert.match(result.content[0].text, /\nHint: Available v4 releases are: .*jeffersonville/);
+    assert.equal(error.code, 'release-not-found');
+    assert.ok(error.hints.some(hint => /trunk/.test(hint)));
+  });
+
+  test('do not resolve latest or trunk to another API version', async () => {
+    for (const version of ['latest', 'trunk']) {
+      await assert.rejects(callTool(client, 'analyze_edss_api_endpoints', { version, apiVersion: 'v2' }), error => {
+        assert.equal(error.failure.code, 'release-not-found');
+        assert.match(error.failure.message, new RegExp(`version: ${version}, apiVersion: v2`));
+        assert.ok(error.failure.hints.some(hint => new RegExp(`^${version} is documented for: .*v4`).test(hint)));
+        return true;
+      });
+    }
+  });
+
+  test('include the URL attempted', async () => {
+    const path = join(context.directory, 'broken.zip');
+    await writeFile(path, 'not a zip');
+
+    await assert.rejects(callTool(client, 'analyze_edss_api_endpoints', { version: path }), error => {
+      assert.equal(error.failure.code, 'zip-corrupt');
+      assert.equal(error.failure.url, path);
+      assert.match(error.message, /Not a valid documentation ZIP/);
+      return true;
+    });
+  });
+
+  test('mark invalid arguments, unknown names and unknown tools', async () => {
+    await assert.rejects(callTool(client, 'generate_jdss_example', { method: 'POST' }), error => {
+      assert.deepEqual(error.failure, { code: 'invalid-argument', message: 'Example generation failed: Both method and path are required' });
+      return true;
+    });
+    await assert.rejects(callTool(client, 'find_jdss_operations', { intent: 'teleport' }),
+      error => error.failure.code === 'invalid-argument' && /Unknown intent "teleport"/.test(error.failure.message));
+    await assert.rejects(callTool(client, 'get_jdss_schema', { model: 'nothing' }),
+      error => error.failure.code === 'not-found' && /No model "nothing"/.test(error.failure.message));
+    await assert.rejects(callTool(client, 'get_jdss_endpoint'), error => error.failure.code === 'unknown-tool');
+  });
+
+  test('report live calls without a configured appliance', async () => {
+    await assert.rejects(callTool(client, 'call_jdss_api', { path: '/api/v4/pools' }), error => {
+      assert.equal(error.failure.code, 'appliance-not-configured');
+      assert.equal(error.failure.message, 'API call failed: No appliance configured');
+      assert.match(error.failure.hints[0], /JDSS_DOC_APPLIANCE_URL/);
+      return true;
+    });
+  });
+
+  test('leave successful results unflagged', async () => {
+    const result = await client.callTool({ name: 'list_documentation_sections', arguments: {} });
+    assert.equal(result.isError, false);
+  });
+});
@@ -0,0 +1,11 @@
+#!/bin/sh
+set -e
+
+for VOLUME in $(cat volumes.txt); do
+  curl -k -u "$JDSS_USER:$JDSS_PASSWORD" \
+    -X POST "$JDSS_URL/api/v4/pools/$POOL/volumes/$VOLUME/snapshots" \
+    -H 'Content-Type: application/json' \
+    -d "{\"name\": \"nightly-$(date +%F)\"}"
+done
+
+curl -k -u "$JDSS_USER:$JDSS_PASSWORD" -d '{}' "$JDSS_URL/api/v4/pools/$POOL/scrub"
@@ -0,0 +1,18 @@
+import os
+import requests
+
+BASE = os.environ["JDSS_URL"]
+
+
+def pool_health(pool):
+    response = requests.get(f"{BASE}/api/v4/pools/{pool}", auth=AUTH, verify=False)
+    return response.json()["data"]["health"]
+
+
+def volume_sizes(pool):
+    response = requests.get(f"{BASE}/api/v4/pools/{pool}/volumes", auth=AUTH, verify=False)
+    return {volume["name"]: volume["size"] for volume in response.json()["data"]}
+
+
+def legacy_stats():
+    return requests.get(BASE + "/api/v3/legacy/stats", auth=AUTH, verify=False).json()
@@ -0,0 +1,21 @@
+const BASE = process.env.JDSS_URL;
+
+export async function listPools(): Promise<Pool[]> {
+  const response = await fetch(`${BASE}/api/v4/pools`);
+  return (await response.json()).data;
+}
+
+export async function createVolume(pool: string, name: string, size: number) {
+  return fetch(`${BASE}/api/v4/pools/${encodeURIComponent(pool)}/volumes`, {
+    method: 'POST',
+    body: JSON.stringify({ name, size })
+  });
+}
+
+export async function resizeVolume(pool: string, volume: string, size: number) {
+  return http.put(BASE + '/api/v4/pools/' + pool + '/volumes/' + volume, { size });
+}
+
+export async function listShares() {
+  return http.get(`${BASE}/api/v4/shares`);
+}
@@ -0,0 +1,97 @@
+import { createServer } from 'http';
+import { dirname, join, normalize, relative } from 'path';
+import { cp, readFile } from 'fs/promises';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { readDocumentationPage, renderStatic } from '../../lib/dom-renderer.js';
+import { EndpointModelParser } from '../../lib/endpoint-model.js';
+
+export const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'dh.lan');
+
+/**
+ * What the fixtures hold, written by record-fixtures.js: per discovery key the
+ * release, its directory, Last-Modified, checksum and parsed operations
+ */
+export function readManifest(root = FIXTURES_DIR) {
+  return JSON.parse(readFileSync(join(root, 'manifest.json'), 'utf8'));
+}
+
+export function readFixtureZip(key, root = FIXTURES_DIR) {
+  return readFileSync(join(root, readManifest(root).releases[key].path, 'documentation.zip'));
+}
+
+/**
+ * Copy of the fixtures under `directory`, for tests that change what the host serves
+ */
+export async function copyFixtures(directory) {
+  const root = join(directory, 'dh.lan');
+  await cp(FIXTURES_DIR, root, { recursive: true });
+  return root;
+}
+
+/**
+ * Endpoint model of a recorded release, parsed the way the server parses a download
+ */
+export async function loadFixtureModel(key, root = FIXTURES_DIR) {
+  const { release, apiVersion } = readManifest(root).releases[key];
+  const page = await readDocumentationPage(readFixtureZip(key, root));
+  return new EndpointModelParser(renderStatic(page.html), { release, apiVersion, source: key }).parse();
+}
+
+/**
+ * Local stand-in for the dh.lan documentation host, serving recorded fixtures
+ * with the real URL layout:
+ *
+ *   /                                              homepage (index.html)
+ *   /docs/EDSS/<RELEASE>/documentation/<vN>/        documentation page (index.html)
+ *   /docs/EDSS/<RELEASE>/documentation/<vN>/get_doc.php?t=zip   documentation.zip
+ *
+ * Every request is kept in `requests` (`"GET /path"`).
+ */
+export async function startFixtureServer({ root = FIXTURES_DIR, host = '127.0.0.1' } = {}) {
+  const manifest = readManifest(root);
+  const requests = [];
+
+  const httpServer = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://fixture');
+    requests.push(`${req.method} ${url.pathname}${url.search}`);
+
+    let file = url.pathname.endsWith('/') ? `${url.pathname}index.html` : url.pathname;
+    const headers = {};
+    if (url.pathname.endsWith('/get_doc.php') && url.searchParams.get('t') === 'zip') {
+      const directory = url.pathname.replace(/get_doc\.php$/, '');
+      file = `${directory}documentation.zip`;
+      const release = Object.values(manifest.releases).find(entry => `/${entry.path}` === directory);
+      if (release?.lastModified) {
+        headers['Last-Modified'] = release.lastModified;
+      }
+    }
+
+    const path = normalize(join(root, file));
+    if (relative(root, path).startsWith('..')) {
+      res.writeHead(403).end();
+      return;
+    }
+
+    try {
+      const body = await readFile(path);
+      headers['Content-Type'] = path.endsWith('.zip') ? 'application/zip' : 'text/html; charset=utf-8';
+      res.writeHead(200, headers);
+      res.end(req.method === 'HEAD' ? undefined : body);
+    } catch (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(0, host, resolve);
+  });
+
+  return {
+    url: `http://${host}:${httpServer.address().port}/`,
+    manifest,
+    requests,
+    close: () => new Promise(resolve => httpServer.close(resolve))
+  };
+}
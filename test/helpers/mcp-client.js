@@ -0,0 +1,132 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { EDSSDocumentationMCPServer } from '../../index.js';
+
+/**
+ * Two linked in-process MCP transports: what one sends, the other receives
+ */
+export function transportPair() {
+  const create = () => ({
+    peer: null,
+    closed: false,
+    async start() {},
+    async send(message) {
+      const peer = this.peer;
+      queueMicrotask(() => peer.onmessage?.(JSON.parse(JSON.stringify(message))));
+    },
+    async close() {
+      for (const transport of [this, this.peer]) {
+        if (!transport.closed) {
+          transport.closed = true;
+          transport.onclose?.();
+        }
+      }
+    }
+  });
+  const client = create();
+  const server = create();
+  client.peer = server;
+  server.peer = client;
+  return { client, server };
+}
+
+/**
+ * Documentation server reading from the given host, with its own cache in a
+ * temporary directory (removed by `cleanup`)
+ */
+export async function createDocumentation(hostUrl, config = {}) {
+  const directory = await mkdtemp(join(tmpdir(), 'jdss-doc-test-'));
+  const documentation = new EDSSDocumentationMCPServer({
+    hosts: [{ name: 'fixtures', url: hostUrl }],
+    cacheDir: join(directory, 'cache'),
+    watchLog: join(directory, 'watch-events.jsonl'),
+    applianceAuditLog: join(directory, 'appliance-audit.jsonl'),
+    ...config
+  });
+  return {
+    documentation,
+    directory,
+    cleanup: () => rm(directory, { recursive: true, force: true })
+  };
+}
+
+/**
+ * MCP client connected to a documentation server in the same process
+ */
+export async function connectClient(documentation) {
+  const { client: clientTransport, server: serverTransport } = transportPair();
+  await documentation.connect(serverTransport);
+  const client = new Client({ name: 'jdss-doc-test', version: '1.0.0' }, { capabilities: {} });
+  await client.connect(clientTransport);
+  return client;
+}
+
+/**
+ * Text of a tool result; tool failures (`isError`) are thrown, with the
+ * structured error (code, url, hints) as `failure`
+ */
+export async function callTool(client, name, args = {}) {
+  const result = await client.callTool({ name, arguments: args });
+  if (result.isError) {
+    const [message, details] = result.content.map(item => item.text);
+    throw Object.assign(new Error(`${name}: ${message}`), { failure: JSON.parse(details).error });
+  }
+  return result.content.map(item => item.text).join('\n');
+}
+
+/**
+ * Raw MCP session over the HTTP/SSE transport: `request` posts a JSON-RPC
+ * request to /messages and resolves with the response from the event stream
+ */
+export async function openHttpSession(baseUrl, token) {
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  const controller = new AbortController();
+  const response = await fetch(new URL('sse', baseUrl), { headers, signal: controller.signal });
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+
+  let buffer = '';
+  const nextEvent = async () => {
+    while (!buffer.includes('\n\n')) {
+      const { value, done } = await reader.read();
+      if (done) {
+        throw new Error('Event stream closed');
+      }
+      buffer += value;
+    }
+    const block = buffer.slice(0, buffer.indexOf('\n\n'));
+    buffer = buffer.slice(block.length + 2);
+    const lines = block.split('\n');
+    return {
+      event: lines.find(line => line.startsWith('event: '))?.slice(7),
+      data: lines.filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n')
+    };
+  };
+
+  const messagesUrl = new URL((await nextEvent()).data, baseUrl);
+  let id = 0;
+  return {
+    messagesUrl,
+    post: message => fetch(messagesUrl, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(message)
+    }),
+    async request(method, params = {}) {
+      const request = { jsonrpc: '2.0', id: ++id, method, params };
+      const accepted = await this.post(request);
+      if (accepted.status !== 202) {
+        throw new Error(`${method}: HTTP ${accepted.status}`);
+      }
+      for (;;) {
+        const { event, data } = await nextEvent();
+        const message = event === 'message' ? JSON.parse(data) : null;
+        if (message?.id === request.id) {
+          return message;
+        }
+      }
+    },
+    close: () => controller.abort()
+  };
+}
@@ -0,0 +1,493 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { copyFile, mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { MockAppliance, startMockServer } from '../lib/mock-server.js';
+import { copyFixtures, loadFixtureModel, startFixtureServer } from './helpers/fixture-server.js';
+import { callTool, connectClient, createDocumentation, openHttpSession } from './helpers/mcp-client.js';
+
+const DOCUMENTATION_TOOLS = [
+  'get_edss_documentation',
+  'get_edss_documentation_enhanced',
+  'list_documentation_sections',
+  'download_edss_documentation',
+  'search_edss_documentation',
+  'analyze_edss_api_endpoints',
+  'compare_documentation_versions',
+  'export_openapi_specification',
+  'generate_typescript_client',
+  'validate_jdss_request',
+  'generate_jdss_example',
+  'get_jdss_schema',
+  'find_jdss_operations',
+  'plan_jdss_migration',
+  'report_jdss_coverage',
+  'discover_documentation_links',
+  'list_documentation_releases'
+];
+
+describe('MCP tools', () => {
+  let server;
+  let context;
+  let client;
+  before(async () => {
+    server = await startFixtureServer();
+    context = await createDocumentation(server.url);
+    client = await connectClient(context.documentation);
+  });
+  after(async () => {
+    await client.close();
+    await context.cleanup();
+    await server.close();
+  });
+
+  const json = async (name, args) => JSON.parse(await callTool(client, name, args));
+
+  test('lists every documentation tool, without the live bridge by default', async () => {
+    const { tools } = await client.listTools();
+    const names = tools.map(tool => tool.name);
+
+    assert.deepEqual([...names].sort(), [...DOCUMENTATION_TOOLS].sort());
+    assert.ok(tools.every(tool => tool.description && tool.inputSchema.type === 'object'));
+  });
+
+  test('discover_documentation_links', async () => {
+    const { links } = await json('discover_documentation_links');
+    assert.equal(links.jeffersonville_v4.zipUrl,
+      `${server.url}docs/EDSS/JEFFERSONVILLE/documentation/v4/get_doc.php?t=zip`);
+    assert.equal(links.trunk_v4.release, 'trunk');
+  });
+
+  test('list_documentation_releases', async () => {
+    const catalog = await json('list_documentation_releases');
+    assert.deepEqual(catalog.latest, { v3: 'JEFFERSONVILLE', v4: 'JEFFERSONVILLE' });
+    assert.deepEqual(catalog.releases.map(release => release.release), ['trunk', 'JEFFERSONVILLE']);
+  });
+
+  test('get_edss_documentation', async () => {
+    const text = await callTool(client, 'get_edss_documentation', { section: 'pools' });
+    assert.match(text, /^## Pools/);
+    assert.match(text, /### POST \/api\/v4\/pools\/\\<pool>\/scrub/);
+    assert.doesNotMatch(text, /## Volumes/);
+  });
+
+  test('get_edss_documentation rejects pages and page sizes below 1', async () => {
+    for (const args of [{ pageSize: 0 }, { pageSize: -5 }, { page: 0 }, { pageSize: 2.5 }]) {
+      await assert.rejects(callTool(client, 'get_edss_documentation', args), error => {
+        assert.equal(error.failure.code, 'invalid-argument');
+        assert.match(error.failure.message, /(page|pageSize) must be a whole number of 1 or more/);
+        return true;
+      });
+    }
+  });
+
+  test('get_edss_documentation_enhanced', async () => {
+    const text = await callTool(client, 'get_edss_documentation_enhanced');
+    assert.match(text, /^Enhanced EDSS Documentation \(JEFFERSONVILLE v4\)/);
+    assert.match(text, /Rendering: static, collapsed content revealed/);
+    assert.match(text, /### GET \/api\/v4\/shares/);
+  });
+
+  test('list_documentation_sections', async () => {
+    const outline = await json('list_documentation_sections');
+    assert.equal(outline.release, 'JEFFERSONVILLE');
+    assert.ok(outline.sections.some(section => section.id === 'snapshots' && section.subsections === 2));
+
+    const top = await json('list_documentation_sections', { depth: 1 });
+    assert.ok(top.sections.every(section => !section.children));
+    await assert.rejects(callTool(client, 'list_documentation_sections', { depth: 0 }),
+      error => error.failure.code === 'invalid-argument');
+  });
+
+  test('download_edss_documentation', async () => {
+    const download = await json('download_edss_documentation', { version: 'trunk' });
+    assert.equal(download.zipUrl, `${server.url}docs/EDSS/trunk/documentation/v4/get_doc.php?t=zip`);
+    assert.equal(download.contentType, 'application/zip');
+  });
+
+  test('search_edss_documentation', async () => {
+    const search = await json('search_edss_documentation', { query: 'scrub' });
+    assert.equal(search.results[0].path, '/api/v4/pools/{pool}/scrub');
+    assert.match(search.results[0].snippet, /\*\*scrub\*\*/);
+  });
+
+  test('search_edss_documentation selects releases by release: and api: filters', async () => {
+    const trunk = await json('search_edss_documentation', { query: 'release:trunk rollback' });
+    assert.deepEqual(trunk.searched, ['trunk v4']);
+    assert.ok(trunk.total > 0);
+
+    const v3 = await json('search_edss_documentation', { query: 'api:v3 zvol' });
+    assert.deepEqual(v3.searched, ['JEFFERSONVILLE v3']);
+    assert.ok(v3.results.every(result => result.apiVersion === 'v3'));
+
+    await assert.rejects(callTool(client, 'search_edss_documentation', { query: 'release:kokomo pool' }),
+      error => error.failure.code === 'release-not-found');
+  });
+
+  test('analyze_edss_api_endpoints', async () => {
+    const analysis = await json('analyze_edss_api_endpoints');
+    assert.deepEqual(analysis.methods, { GET: 7, POST: 4, DELETE: 2, PUT: 1 });
+    assert.deepEqual(analysis.sections.map(section => section.id), ['pools', 'volumes', 'snapshots', 'shares', 'system']);
+  });
+
+  test('compare_documentation_versions', async () => {
+    const changelog = await callTool(client, 'compare_documentation_versions',
+      { from: 'latest', to: 'trunk', focus: 'semantic' });
+    assert.match(changelog, /2 breaking and 1 non-breaking changes across 3 operations/);
+    assert.match(changelog, /Parameter `blocksize` \(body\) added as required/);
+  });
+
+  test('compare_documentation_versions keeps the latest_*/trunk_* keys', async () => {
+    const comparison = await json('compare_documentation_versions', { focus: 'all' });
+    assert.deepEqual(comparison.endpoints.to_only, comparison.endpoints.trunk_only);
+    assert.deepEqual(comparison.endpoints.latest_only.map(operation => operation.path), ['/api/v4/shares']);
+    assert.equal(comparison.summary.latest_release, 'JEFFERSONVILLE');
+    assert.equal(comparison.summary.trunk_operations, comparison.summary.to_operations);
+  });
+
+  test('export_openapi_specification', async () => {
+    const spec = await json('export_openapi_specification', { format: 'json' });
+    assert.equal(spec.openapi, '3.1.0');
+    assert.ok(spec.paths['/api/v4/pools/{pool}/volumes'].post);
+    assert.equal(Object.keys(spec.paths).length, 8);
+
+    const yaml = await callTool(client, 'export_openapi_specification', { format: 'yaml' });
+    assert.match(yaml, /created: "2026-01-01T00:00:00Z"/);
+    assert.doesNotMatch(yaml, /: \d{4}-\d\d-\d\d/);
+  });
+
+  test('generate_typescript_client', async () => {
+    const text = await callTool(client, 'generate_typescript_client');
+    assert.match(text, /\/\/ types\.ts/);
+    assert.match(text, /export interface PostPoolsRequest \{/);
+    assert.match(text, /compression\?: "lz4" \| "gzip" \| "off";/);
+  });
+
+  test('validate_jdss_request', async () => {
+    const result = await json('validate_jdss_request',
+      { method: 'POST', path: '/api/v4/pools/Pool-0/volumes', body: { name: 'vol', size: 'big' } });
+    assert.equal(result.valid, false);
+    assert.equal(result.operation.id, 'POST /api/v4/pools/{pool}/volumes');
+    assert.deepEqual(result.errors.map(error => [error.code, error.field]), [['wrong-type', 'size']]);
+
+    const malformed = await json('validate_jdss_request', { method: 'GET', path: '/api/v4/pools/%E0' });
+    assert.deepEqual(malformed.errors.map(error => error.code), ['invalid-path']);
+  });
+
+  test('generate_jdss_example', async () => {
+    const text = await callTool(client, 'generate_jdss_example',
+      { method: 'POST', path: '/api/v4/pools/Pool-0/volumes', languages: ['curl'] });
+    assert.match(text, /-X POST 'https:\/\/joviandss:82\/api\/v4\/pools\/Pool-0\/volumes'/);
+    assert.doesNotMatch(text, /python:/);
+  });
+
+  test('get_jdss_schema', async () => {
+    const result = await json('get_jdss_schema', { model: 'Volume' });
+    assert.equal(result.schema.title, 'Volume');
+    assert.deepEqual(result.usedBy.input[0], { operation: 'POST /api/v4/pools/{pool}/volumes', required: ['name', 'size'] });
+  });
+
+  test('find_jdss_operations', async () => {
+    const result = await json('find_jdss_operations', { resource: 'zvol', intent: 'create' });
+    assert.equal(result.operations[0].id, 'POST /api/v4/pools/{pool}/volumes');
+    assert.deepEqual(result.operations[0].matched, ['resource volume', 'intent create']);
+  });
+
+  test('plan_jdss_migration', async () => {
+    const text = await callTool(client, 'plan_jdss_migration', { calls: 'GET /api/v3/pools/Pool-0/zvols' });
+    assert.match(text, /1 of 1 calls have a v4 replacement/);
+    assert.match(text, /`GET \/api\/v4\/pools\/Pool-0\/volumes`/);
+  });
+
+  test('report_jdss_coverage', async () => {
+    const directory = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sample-project');
+    const report = await json('report_jdss_coverage', { directory, version: 'trunk', format: 'json' });
+    assert.equal(report.release, 'trunk');
+    assert.ok(report.undocumented.some(item => item.call === 'GET /api/v4/shares' && item.reference === 'src/storage.ts:20'));
+    assert.ok(report.undocumented.some(item => item.call === 'GET /api/v3/legacy/stats' && /No v3 documentation/.test(item.note)));
+
+    const markdown = await callTool(client, 'report_jdss_coverage', { directory, apiVersion: 'v4' });
+    assert.match(markdown, /^# JovianDSS REST API coverage: JEFFERSONVILLE v4/);
+  });
+
+  test('reports tool failures as errors', async () => {
+    await assert.rejects(callTool(client, 'generate_jdss_example', { method: 'POST' }),
+      /Example generation failed: Both method and path are required/);
+    await assert.rejects(callTool(client, 'report_jdss_coverage', { directory: '/nonexistent/jdss-project' }), error => {
+      assert.equal(error.failure.code, 'not-found');
+      assert.match(error.message, /Coverage report failed: No such directory or file: \/nonexistent\/jdss-project/);
+      return true;
+    });
+    await assert.rejects(callTool(client, 'get_edss_documentation', { version: 'KOKOMO' }), /Error: /);
+  });
+});
+
+describe('MCP resources and prompts', () => {
+  const volumesUri = 'jdss-doc://trunk/v4/operations/POST/pools/{pool}/volumes';
+  let directory;
+  let root;
+  let server;
+  let context;
+  let client;
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'jdss-doc-resources-'));
+    root = await copyFixtures(directory);
+    server = await startFixtureServer({ root });
+    context = await createDocumentation(server.url);
+    client = await connectClient(context.documentation);
+  });
+  after(async () => {
+    await client.close();
+    await context.cleanup();
+    await server.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  test('resources/list names every release, section and operation once', async () => {
+    const { resources } = await client.listResources();
+    const uris = resources.map(resource => resource.uri);
+
+    assert.ok(uris.includes('jdss-doc://jeffersonville/v4'));
+    assert.ok(uris.includes('jdss-doc://jeffersonville/v3'));
+    assert.ok(uris.includes('jdss-doc://trunk/v4/sections/pools'));
+    assert.ok(uris.includes(volumesUri));
+    assert.ok(!uris.some(uri => uri.startsWith('jdss-doc://latest')));
+    assert.equal(new Set(uris).size, uris.length);
+  });
+
+  test('resources/read returns the operation as JSON, also for a concrete path', async () => {
+    const { contents: [release] } = await client.readResource({ uri: 'jdss-doc://trunk/v4' });
+    assert.equal(JSON.parse(release.text).operations, 14);
+
+    const { contents: [operation] } = await client.readResource({ uri: 'jdss-doc://jeffersonville/v4/operations/GET/pools/Pool-0' });
+    assert.equal(operation.mimeType, 'application/json');
+    assert.equal(JSON.parse(operation.text).id, 'GET /api/v4/pools/{pool}');
+
+    await assert.rejects(client.readResource({ uri: 'jdss-doc://kokomo/v4' }), /Unknown documentation release: kokomo v4/);
+    await assert.rejects(client.readResource({ uri: 'https://example.com/' }), /Unsupported resource URI/);
+  });
+
+  test('prompts embed the operation resource', async () => {
+    const { prompts } = await client.listPrompts();
+    assert.deepEqual(prompts.map(prompt => prompt.name), ['explain_endpoint', 'write_curl_call', 'summarize_release_changes']);
+
+    const { messages } = await client.getPrompt({ name: 'explain_endpoint', arguments: { method: 'GET', path: '/api/v4/pools/Pool-0' } });
+    const embedded = messages.find(message => message.content.type === 'resource').content.resource;
+    assert.equal(embedded.uri, 'jdss-doc://jeffersonville/v4/operations/GET/pools/{pool}');
+    assert.equal(JSON.parse(embedded.text).method, 'GET');
+
+    await assert.rejects(client.getPrompt({ name: 'write_curl_call', arguments: { method: 'GET' } }), /requires the method and path/);
+  });
+
+  test('resources/subscribe notifies when the resource changes', async () => {
+    const updated = [];
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+      updated.push(notification.params.uri);
+    });
+    await client.subscribeResource({ uri: volumesUri });
+    const watcher = context.documentation.createWatcher({ releases: ['trunk'] });
+    await watcher.check();
+
+    // trunk now serves the JEFFERSONVILLE ZIP, where creating a volume takes no blocksize
+    await copyFile(join(root, 'docs/EDSS/JEFFERSONVILLE/documentation/v4/documentation.zip'),
+      join(root, 'docs/EDSS/trunk/documentation/v4/documentation.zip'));
+    await watcher.check();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(updated, [volumesUri]);
+  });
+});
+
+describe('call_jdss_api', () => {
+  let server;
+  let appliance;
+  let context;
+  let client;
+  before(async () => {
+    server = await startFixtureServer();
+    const scratch = await createDocumentation(server.url);
+    const { appliance: mock } = await scratch.documentation.buildMockAppliance('latest', 'v4');
+    await scratch.cleanup();
+    appliance = await startMockServer(mock, { port: 0 });
+
+    context = await createDocumentation(server.url, {
+      applianceUrl: `http://127.0.0.1:${appliance.address().port}`,
+      applianceUser: 'admin',
+      appliancePassword: 'secret'
+    });
+    client = await connectClient(context.documentation);
+  });
+  after(async () => {
+    await client.close();
+    await context.cleanup();
+    await new Promise(resolve => appliance.close(resolve));
+    await server.close();
+  });
+
+  test('is listed once an appliance is configured', async () => {
+    const { tools } = await client.listTools();
+    assert.ok(tools.some(tool => tool.name === 'call_jdss_api'));
+  });
+
+  test('sends documented reads to the appliance', async () => {
+    const result = JSON.parse(await callTool(client, 'call_jdss_api', { path: '/api/v4/pools' }));
+    assert.equal(result.status, 200);
+    assert.equal(result.operation, 'GET /api/v4/pools');
+    assert.deepEqual(result.responseIssues, []);
+  });
+
+  test('mock appliance answers a malformed path with 400', async () => {
+    const response = await fetch(`http://127.0.0.1:${appliance.address().port}/api/v4/pools/%E0`);
+    assert.equal(response.status, 400);
+    assert.match(await response.text(), /invalid-path/);
+  });
+
+  test('refuses invalid and unlisted writes without sending them', async () => {
+    await assert.rejects(callTool(client, 'call_jdss_api', { path: '/api/v4/nowhere' }), /API call failed/);
+    await assert.rejects(
+      callTool(client, 'call_jdss_api', { method: 'POST', path: '/api/v4/pools/Pool-0/scrub' }),
+      /API call failed: .*is not allow-listed/);
+  });
+
+  test('sends the documented path with encoded parameters, never dot segments', async () => {
+    const encoded = JSON.parse(await callTool(client, 'call_jdss_api', { path: '/pools/Pool%2F0' }));
+    assert.equal(encoded.operation, 'GET /api/v4/pools/{pool}');
+    assert.equal(encoded.path, '/api/v4/pools/Pool%2F0');
+
+    for (const path of ['/api/v4/pools/..', '/api/v4/pools/%2E%2E']) {
+      await assert.rejects(callTool(client, 'call_jdss_api', { path }), error => {
+        assert.equal(error.failure.code, 'invalid-request');
+        assert.match(error.message, /Path parameter `pool` cannot be `\.\.`/);
+        return true;
+      });
+    }
+  });
+
+  test('audits calls without credentials', async () => {
+    const audit = await readFile(context.documentation.config.applianceAuditLog, 'utf8');
+    const entries = audit.trim().split('\n').map(line => JSON.parse(line));
+
+    assert.ok(entries.length >= 3);
+    assert.doesNotMatch(audit, /secret/);
+  });
+});
+
+describe('mock appliance', () => {
+  const flows = [
+    { key: 'jeffersonville_v4', collection: '/api/v4/pools/Pool-0/volumes', body: { name: 'vol00', size: 1073741824 } },
+    { key: 'jeffersonville_v3', collection: '/api/v3/pools/Pool-0/zvols', body: { name: 'zvol00', volsize: 1073741824 } }
+  ];
+
+  for (const { key, collection, body } of flows) {
+    test(`creates, lists and deletes items in ${collection} (${key})`, async () => {
+      const appliance = await startMockServer(new MockAppliance(await loadFixtureModel(key)), { port: 0 });
+      const url = path => `http://127.0.0.1:${appliance.address().port}${path}`;
+      const list = async () => (await (await fetch(url(collection))).json()).data.map(item => item.name);
+      try {
+        const created = await fetch(url(collection), { method: 'POST', body: JSON.stringify(body) });
+        assert.equal(created.status, 201);
+        assert.deepEqual(await list(), [body.name]);
+        assert.equal((await fetch(url(`${collection}/${body.name}`))).status, 200);
+
+        const deleted = await fetch(url(`${collection}/${body.name}`), { method: 'DELETE' });
+        assert.ok(deleted.ok);
+        assert.deepEqual(await list(), []);
+        assert.equal((await fetch(url(`${collection}/${body.name}`))).status, 404);
+      } finally {
+        await new Promise(resolve => appliance.close(resolve));
+      }
+    });
+  }
+});
+
+describe('served over HTTP', () => {
+  const project = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sample-project');
+  const token = 'test-token';
+  let server;
+  let context;
+  let httpServer;
+  let baseUrl;
+  let client;
+  before(async () => {
+    server = await startFixtureServer();
+    context = await createDocumentation(server.url, { port: 0, authToken: token, fileRoots: [project] });
+    httpServer = await context.documentation.runHttp();
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}/`;
+    client = await connectClient(context.documentation);
+  });
+  after(async () => {
+    await client.close();
+    httpServer.closeAllConnections();
+    await new Promise(resolve => httpServer.close(resolve));
+    await context.cleanup();
+    await server.close();
+  });
+
+  test('report health without authentication', async () => {
+    const response = await fetch(new URL('health', baseUrl));
+    assert.equal(response.status, 200);
+    const health = await response.json();
+    assert.equal(health.status, 'ok');
+    assert.equal(typeof health.sessions, 'number');
+  });
+
+  test('require the bearer token and a known session', async () => {
+    const unauthorized = await fetch(new URL('sse', baseUrl));
+    assert.equal(unauthorized.status, 401);
+    assert.match(unauthorized.headers.get('www-authenticate'), /^Bearer/);
+    assert.equal((await fetch(new URL('sse', baseUrl), { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+
+    const unknown = await fetch(new URL('messages?sessionId=nope', baseUrl), {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: '{}'
+    });
+    assert.equal(unknown.status, 404);
+    assert.equal((await unknown.json()).error, 'unknown_session');
+    assert.equal((await fetch(new URL('elsewhere', baseUrl))).status, 404);
+  });
+
+  test('initialize and call tools over /sse and /messages', async () => {
+    const session = await openHttpSession(baseUrl, token);
+    try {
+      assert.equal(session.messagesUrl.pathname, '/messages');
+      const initialized = await session.request('initialize', {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'jdss-doc-test', version: '1.0.0' }
+      });
+      assert.equal(initialized.result.serverInfo.name, 'edss-documentation-server');
+      await session.post({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+      const { result: { tools } } = await session.request('tools/list');
+      assert.ok(tools.some(tool => tool.name === 'report_jdss_coverage'));
+
+      const { result } = await session.request('tools/call', { name: 'report_jdss_coverage', arguments: { directory: '/etc' } });
+      assert.equal(result.isError, true);
+      assert.equal(JSON.parse(result.content[1].text).error.code, 'path-not-allowed');
+    } finally {
+      session.close();
+    }
+  });
+
+  const refused = argument => error => {
+    assert.equal(error.failure.code, 'path-not-allowed');
+    assert.match(error.message, new RegExp(`${argument} .* is outside the directories this server shares over HTTP`));
+    return true;
+  };
+
+  test('refuse server paths outside the file roots', async () => {
+    await assert.rejects(callTool(client, 'report_jdss_coverage', { directory: '/etc' }), refused('directory'));
+    await assert.rejects(callTool(client, 'report_jdss_coverage', { directory: `${project}/../..` }), refused('directory'));
+    await assert.rejects(callTool(client, 'generate_typescript_client', { outputDir: context.directory }), refused('outputDir'));
+    await assert.rejects(callTool(client, 'analyze_edss_api_endpoints', { version: '/etc/docs.zip' }), refused('version'));
+  });
+
+  test('accept paths under the file roots', async () => {
+    const report = JSON.parse(await callTool(client, 'report_jdss_coverage', { directory: join(project, 'src'), format: 'json' }));
+    assert.ok(report.used.length > 0);
+  });
+});
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Record (or refresh) the test fixtures from a live documentation host.
+ *
+ *   node test/record-fixtures.js [--host URL] [--output DIR]
+ *
+ * Downloads the homepage, every discovered documentation page and its ZIP
+ * into the dh.lan URL layout served by helpers/fixture-server.js, and writes
+ * manifest.json with what the tests expect: per discovery key the release,
+ * Last-Modified, checksum, sections and parsed operations. The host defaults
+ * to the configured primary host (dh.lan), the output to test/fixtures/dh.lan.
+ * Absolute links to the host are made relative so the stand-in can serve them.
+ */
+import { createHash } from 'crypto';
+import { mkdir, rename, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { loadConfig, primaryHttpHost } from '../lib/config.js';
+import { renderStatic, readDocumentationPage } from '../lib/dom-renderer.js';
+import { EndpointModelParser } from '../lib/endpoint-model.js';
+import { EDSSDocumentationMCPServer } from '../index.js';
+import { FIXTURES_DIR } from './helpers/fixture-server.js';
+
+const TIMEOUT = 2 * 60 * 1000;
+
+async function record({ host, output }) {
+  const hostUrl = host.endsWith('/') ? host : `${host}/`;
+  const staging = `${output}.recording`;
+  await rm(staging, { recursive: true, force: true });
+  await mkdir(staging, { recursive: true });
+
+  const homepage = (await fetchFrom(hostUrl)).text.split(hostUrl).join('');
+  await writeFile(join(staging, 'index.html'), homepage);
+
+  const documentation = new EDSSDocumentationMCPServer({ hosts: [{ name: 'recording', url: hostUrl }] });
+  const links = documentation.parseDocumentationLinks(homepage, hostUrl);
+  if (Object.keys(links).length === 0) {
+    throw new Error(`No documentation links found on ${hostUrl}`);
+  }
+
+  const manifest = { recordedAt: new Date().toISOString(), source: hostUrl, releases: {} };
+  for (const [key, link] of Object.entries(links)) {
+    const path = link.url.slice(hostUrl.length);
+    const directory = join(staging, path);
+    await mkdir(directory, { recursive: true });
+    console.log(`Recording ${key} (${link.url})`);
+
+    const page = await fetchFrom(link.url).catch(error => {
+      console.warn(`  documentation page skipped: ${error.message}`);
+      return null;
+    });
+    if (page) {
+      await writeFile(join(directory, 'index.html'), page.text);
+    }
+
+    const zip = await fetchFrom(link.zipUrl, { binary: true });
+    await writeFile(join(directory, 'documentation.zip'), zip.buffer);
+
+    const { html } = await readDocumentationPage(zip.buffer);
+    const model = new EndpointModelParser(renderStatic(html), { release: link.release, apiVersion: link.apiVersion }).parse();
+    manifest.releases[key] = {
+      release: link.release,
+      apiVersion: link.apiVersion,
+      path: path,
+      lastModified: zip.lastModified,
+      sha256: createHash('sha256').update(zip.buffer).digest('hex'),
+      title: model.title,
+      sections: model.sections.map(section => section.id),
+      operations: model.operations.map(operation => operation.id)
+    };
+    console.log(`  ${model.operations.length} operations in ${model.sections.length} sections`);
+  }
+
+  await writeFile(join(staging, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+  await rm(output, { recursive: true, force: true });
+  await rename(staging, output);
+  console.log(`Fixtures written to ${output}`);
+}
+
+async function fetchFrom(url, { binary = false } = {}) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(TIMEOUT) });
+  if (!response.ok) {
+    throw new Error(`${url}: HTTP ${response.status}`);
+  }
+  return binary
+    ? { buffer: Buffer.from(await response.arrayBuffer()), lastModified: response.headers.get('last-modified') }
+    : { text: await response.text() };
+}
+
+function optionValue(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+const args = process.argv.slice(2);
+const host = optionValue(args, '--host', primaryHttpHost(loadConfig({ argv: [] }))?.url);
+if (!host) {
+  console.error('No HTTP documentation host configured; use --host URL');
+  process.exit(1);
+}
+
+try {
+  await record({ host, output: optionValue(args, '--output', FIXTURES_DIR) });
+} catch (error) {
+  console.error(`Recording failed: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,84 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReleaseCatalog } from '../lib/release-catalog.js';
+
+/**
+ * Discovered links for releases, keyed like the documentation homepage
+ */
+function linksFor(releases) {
+  const links = {};
+  for (const [release, apiVersions] of Object.entries(releases)) {
+    for (const apiVersion of apiVersions) {
+      const key = `${release.toLowerCase()}_${apiVersion}`;
+      links[key] = { release, apiVersion, zipUrl: `http://docs/${key}.zip`, host: 'docs' };
+    }
+  }
+  return links;
+}
+
+const links = {
+  ...linksFor({ JEFFERSONVILLE: ['v3', 'v4'], trunk: ['v4'], HAMILTON: ['v4'], KOKOMO: ['v4'] }),
+  local_notes: { release: 'notes', apiVersion: 'v4', zipUrl: 'file:///notes.zip' }
+};
+
+describe('ReleaseCatalog', () => {
+  test('orders trunk first, then releases by name without build dates, then local sources', () => {
+    const catalog = new ReleaseCatalog(links);
+
+    assert.deepEqual(catalog.entries.map(entry => entry.release), ['trunk', 'KOKOMO', 'JEFFERSONVILLE', 'HAMILTON', 'notes']);
+    assert.deepEqual(catalog.entries.map(entry => entry.order), [1, 2, 3, 4, 5]);
+    assert.deepEqual(catalog.toJSON().latest, { v3: 'JEFFERSONVILLE', v4: 'KOKOMO' });
+  });
+
+  test('orders releases by configured order, then build date, then name', () => {
+    const metadata = {
+      'http://docs/hamilton_v4.zip': { buildDate: '2026-03-01T00:00:00.000Z', buildDateSource: 'documentation' },
+      'http://docs/kokomo_v4.zip': { buildDate: '2025-01-01T00:00:00.000Z', buildDateSource: 'last-modified' }
+    };
+
+    const byDate = new ReleaseCatalog(links, metadata);
+    assert.deepEqual(byDate.entries.map(entry => entry.release), ['trunk', 'HAMILTON', 'KOKOMO', 'JEFFERSONVILLE', 'notes']);
+    assert.equal(byDate.latest('v4').release, 'HAMILTON');
+
+    const configured = new ReleaseCatalog(links, metadata, { releaseOrder: ['Jeffersonville'] });
+    assert.deepEqual(configured.entries.map(entry => entry.release), ['trunk', 'JEFFERSONVILLE', 'HAMILTON', 'KOKOMO', 'notes']);
+    assert.equal(configured.latestLinks().latest_v4.zipUrl, 'http://docs/jeffersonville_v4.zip');
+  });
+
+  test('pins latest to the default release, by release name or link key', () => {
+    const byName = new ReleaseCatalog(links, {}, { defaultRelease: 'hamilton' });
+    assert.equal(byName.latest('v4').release, 'HAMILTON');
+    // The pinned release does not provide v3, so v3 falls back to the newest release
+    assert.equal(byName.latest('v3').release, 'JEFFERSONVILLE');
+    assert.equal(byName.toJSON().releases.find(entry => entry.release === 'HAMILTON').pinned, true);
+    assert.equal(byName.warnings.length, 0);
+
+    const byKey = new ReleaseCatalog(links, {}, { defaultRelease: 'jeffersonville_v4' });
+    assert.equal(byKey.latest('v4').release, 'JEFFERSONVILLE');
+  });
+
+  test('warns when the default release was not discovered', () => {
+    const catalog = new ReleaseCatalog(links, {}, { defaultRelease: 'Lafayette' });
+
+    assert.equal(catalog.latest('v4').release, 'KOKOMO');
+    assert.match(catalog.toJSON().warnings[0], /Default release "Lafayette" was not discovered/);
+  });
+
+  test('keeps latest on the release it resolved to when build dates are learnt later', () => {
+    const resolved = {};
+    for (const link of Object.values(new ReleaseCatalog(links, {}, { resolved }).latestLinks())) {
+      resolved[link.apiVersion] = link.release;
+    }
+    assert.deepEqual(resolved, { v3: 'JEFFERSONVILLE', v4: 'KOKOMO' });
+
+    const metadata = { 'http://docs/hamilton_v4.zip': { buildDate: '2026-03-01T00:00:00.000Z', buildDateSource: 'documentation' } };
+    const later = new ReleaseCatalog(links, metadata, { resolved });
+    assert.equal(later.entries[1].release, 'HAMILTON');
+    assert.equal(later.latest('v4').release, 'KOKOMO');
+
+    // A pinned default release still wins, and a release no longer discovered is dropped
+    assert.equal(new ReleaseCatalog(links, metadata, { resolved, defaultRelease: 'JEFFERSONVILLE' }).latest('v4').release, 'JEFFERSONVILLE');
+    const { kokomo_v4, ...withoutKokomo } = links;
+    assert.equal(new ReleaseCatalog(withoutKokomo, metadata, { resolved }).latest('v4').release, 'HAMILTON');
+  });
+});
@@ -0,0 +1,95 @@
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchIndex, parseQuery, tokenize } from '../lib/search-index.js';
+import { loadFixtureModel, readManifest } from './helpers/fixture-server.js';
+
+describe('SearchIndex', () => {
+  const index = new SearchIndex();
+  before(async () => {
+    for (const key of Object.keys(readManifest().releases)) {
+      index.addModel(key, await loadFixtureModel(key));
+    }
+  });
+
+  test('returns at most limit results, none for limit 0', () => {
+    assert.equal(index.search('pool', { limit: 2 }).results.length, 2);
+    const none = index.search('pool', { limit: 0 });
+    assert.equal(none.results.length, 0);
+    assert.ok(none.total > 0);
+    for (const limit of [-1, 2.5]) {
+      assert.throws(() => index.search('pool', { limit }), error => error.code === 'invalid-argument');
+    }
+  });
+
+  test('ranks the operation named by the query first', () => {
+    const { results } = index.search('scrub');
+
+    assert.equal(results[0].type, 'operation');
+    assert.equal(results[0].method, 'POST');
+    assert.match(results[0].path, /\/pools\/\{pool\}\/scrub$/);
+    assert.match(results[0].snippet, /\*\*scrub\*\*/i);
+  });
+
+  test('finds operations across their path, summary and parameters', () => {
+    const volumes = index.search('create volume', { limit: 5 }).results;
+    assert.ok(volumes.some(result => result.method === 'POST' && result.path === '/api/v4/pools/{pool}/volumes'));
+
+    const zvols = index.search('zvol', { apiVersion: 'v3' }).results;
+    assert.ok(zvols.length > 0);
+    assert.ok(zvols.every(result => result.apiVersion === 'v3'));
+  });
+
+  test('applies fielded filters', () => {
+    const deletes = index.search('volume method:DELETE').results;
+    assert.ok(deletes.length > 0);
+    assert.ok(deletes.every(result => result.method === 'DELETE'));
+
+    const blocksize = index.search('param:blocksize').results;
+    assert.deepEqual(blocksize.map(result => `${result.release} ${result.method} ${result.path}`),
+      ['trunk POST /api/v4/pools/{pool}/volumes']);
+
+    const sections = index.search('snapshots type:section release:trunk').results;
+    assert.ok(sections.length > 0);
+    assert.ok(sections.every(result => result.type === 'section' && result.release === 'trunk'));
+  });
+
+  test('narrows results by release, API version and source', () => {
+    const trunk = index.search('snapshots', { release: 'trunk' }).results;
+    assert.ok(trunk.every(result => result.release === 'trunk'));
+
+    const v3 = index.search('pools api:v3').results;
+    assert.ok(v3.every(result => result.apiVersion === 'v3'));
+
+    const sourced = index.search('pools', { sources: ['jeffersonville_v4'] }).results;
+    assert.ok(sourced.every(result => result.release === 'JEFFERSONVILLE' && result.apiVersion === 'v4'));
+  });
+
+  test('finds nothing for a query without terms or filters', () => {
+    assert.deepEqual(index.search('(', { sources: ['jeffersonville_v4'] }), { total: 0, results: [] });
+    assert.deepEqual(index.search(''), { total: 0, results: [] });
+    assert.ok(index.search('method:DELETE').total > 0);
+  });
+
+  test('re-indexing a source replaces its previous snapshot', async () => {
+    const scratch = new SearchIndex();
+    const model = await loadFixtureModel('trunk_v4');
+    scratch.addModel('trunk_v4', model);
+    const total = scratch.search('pools').total;
+
+    scratch.addModel('trunk_v4', model);
+    assert.equal(scratch.search('pools').total, total);
+  });
+});
+
+describe('query parsing', () => {
+  test('separates free-text terms from filters', () => {
+    assert.deepEqual(parseQuery('create snapshots method:POST release:"trunk"'), {
+      terms: ['create', 'snapshot'],
+      filters: [{ field: 'method', value: 'post' }, { field: 'release', value: 'trunk' }]
+    });
+  });
+
+  test('folds plurals', () => {
+    assert.deepEqual(tokenize('Pools properties access'), ['pool', 'property', 'access']);
+  });
+});
@@ -0,0 +1,88 @@
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DocumentationDiff, comparableKey, formatChangelog } from '../lib/version-diff.js';
+import { MigrationPlanner } from '../lib/api-migration.js';
+import { loadFixtureModel } from './helpers/fixture-server.js';
+
+const models = {};
+before(async () => {
+  for (const key of ['jeffersonville_v4', 'jeffersonville_v3', 'trunk_v4']) {
+    models[key] = await loadFixtureModel(key);
+  }
+});
+
+describe('DocumentationDiff', () => {
+  test('reports the changes between two releases', () => {
+    const diff = new DocumentationDiff(models.jeffersonville_v4, models.trunk_v4).compare();
+    const find = type => diff.changes.filter(change => change.type === type);
+
+    assert.deepEqual(diff.from, { release: 'JEFFERSONVILLE', apiVersion: 'v4' });
+    assert.deepEqual(diff.to, { release: 'trunk', apiVersion: 'v4' });
+    assert.deepEqual(find('operation-removed').map(change => change.operation), ['GET /api/v4/shares']);
+    assert.deepEqual(find('operation-added').map(change => change.operation),
+      ['POST /api/v4/pools/{pool}/volumes/{volume}/snapshots/{snapshot}/rollback']);
+
+    const [blocksize] = find('parameter-added');
+    assert.equal(blocksize.operation, 'POST /api/v4/pools/{pool}/volumes');
+    assert.equal(blocksize.parameter, 'blocksize');
+    assert.equal(blocksize.breaking, true);
+    assert.equal(diff.summary.breaking, 2);
+  });
+
+  test('finds no changes between a release and itself', () => {
+    const diff = new DocumentationDiff(models.trunk_v4, models.trunk_v4).compare();
+    assert.equal(diff.changes.length, 0);
+    assert.match(formatChangelog(diff), /No differences in documented operations/);
+  });
+
+  test('matches v3 against v4 operations by shape, not by prefix or parameter names', () => {
+    const [v3] = models.jeffersonville_v3.operations.filter(operation => operation.id === 'GET /api/v3/pools/{pool_name}');
+    const [v4] = models.jeffersonville_v4.operations.filter(operation => operation.id === 'GET /api/v4/pools/{pool}');
+
+    assert.equal(comparableKey(v3), 'GET /pools/{}');
+    assert.equal(comparableKey(v3), comparableKey(v4));
+
+    const diff = new DocumentationDiff(models.jeffersonville_v3, models.jeffersonville_v4).compare();
+    const renamed = diff.changes.find(change => change.type === 'parameter-renamed' && change.operation === v4.id);
+    assert.equal(renamed.parameter, 'pool');
+    assert.equal(renamed.breaking, false);
+  });
+
+  test('renders a changelog grouped by kind and section', () => {
+    const changelog = formatChangelog(new DocumentationDiff(models.jeffersonville_v4, models.trunk_v4).compare());
+
+    assert.match(changelog, /^# JovianDSS REST API changes: JEFFERSONVILLE v4 → trunk v4/);
+    assert.match(changelog, /## Breaking changes\n\n### Volumes\n\n- `POST \/api\/v4\/pools\/\{pool\}\/volumes`: Parameter `blocksize` \(body\) added as required/);
+    assert.match(changelog, /## Removed operations\n\n### Shares\n\n- `GET \/api\/v4\/shares`/);
+    assert.match(changelog, /## Added operations\n\n### Snapshots\n/);
+  });
+});
+
+describe('MigrationPlanner', () => {
+  test('maps v3 zvol operations onto v4 volumes with parameter renames', () => {
+    const plan = new MigrationPlanner(models.jeffersonville_v3, models.jeffersonville_v4).plan();
+    const create = plan.operations.find(entry => entry.from === 'POST /api/v3/pools/{pool_name}/zvols');
+
+    assert.equal(create.to, 'POST /api/v4/pools/{pool}/volumes');
+    assert.ok(create.parameters.renamed.some(rename => rename.from === 'volsize' && rename.to === 'size'));
+    assert.ok(plan.unmapped.includes('GET /api/v3/legacy/stats'));
+  });
+
+  test('rewrites recorded calls', () => {
+    const result = new MigrationPlanner(models.jeffersonville_v3, models.jeffersonville_v4)
+      .migrate('GET /api/v3/pools/Pool-0/zvols?page=2');
+    const [call] = result.calls;
+
+    assert.equal(call.operation, 'GET /api/v3/pools/{pool_name}/zvols');
+    assert.equal(call.replacementOperation, 'GET /api/v4/pools/{pool}/volumes');
+    assert.match(call.replacement, /^GET \/api\/v4\/pools\/Pool-0\/volumes/);
+  });
+
+  test('notes calls with a malformed path instead of failing', () => {
+    const [call] = new MigrationPlanner(models.jeffersonville_v3, models.jeffersonville_v4)
+      .migrate('GET /api/v3/pools/%E0/zvols').calls;
+
+    assert.equal(call.operation, null);
+    assert.equal(call.note, 'Malformed percent-encoding in the path');
+  });
+});